@@ -7,25 +7,25 @@
  * - Occupancy percentage visualization
  * - Permit badge
  * - Last updated timestamp
- * - Hourly average occupancy chart
+ * - Hourly average occupancy chart, per weekday when available
+ * - Forecast for the coming hours, dashed on today's chart
+ * - Today's occupancy line chart, rebuilt from the event log
+ * - Lot insights: turnover, average stay, time to full, time at capacity
+ * - Per-level occupancy bars for multi-floor garages
+ * - Stale-sensor warning when the lot's sensors stop heartbeating
  * - Near-full alert banner when occupancy exceeds threshold (Req 25)
  *
  * Requirements:
  *  - Req 25: Near-full alert when occupancy exceeds configurable threshold
  *  - Req 36: Website fetches occupancy via Firebase GET endpoint (no mock data)
- *  - Real-time updates supported via manual refresh (1–3s typical latency)
+ *  - Real-time updates pushed over Server-Sent Events on web; manual refresh
+ *    everywhere (1–3s typical latency)
  *
  * Notes:
  *  - All occupancy values come from Firestore through the Express API
  *  - averageByHour is derived from Firestore historical data
  */
 
-/**
- * FR25.1 – Configurable occupancy threshold for near-full alert.
- * Change this value to adjust when the alert triggers (e.g., 0.9 for 90%).
- */
-const NEAR_FULL_THRESHOLD = 0.80; // 80% occupancy triggers the alert
-
 import React, { useCallback, useEffect, useMemo, useState } from "react";
 import {
   View,
@@ -36,12 +36,26 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { useLocalSearchParams, useRouter } from "expo-router";
+import { LineChart } from "react-native-chart-kit";
 import { useFonts, Poppins_600SemiBold } from "@expo-google-fonts/poppins";
 import { Inter_400Regular, Inter_600SemiBold } from "@expo-google-fonts/inter";
 
 import PopularTimes from "../components/popular-times";
 import { useTheme } from "./context/ThemeContext";
-import { getLot } from "../src/firebase/parkingReads";
+import {
+  getLot,
+  getLotForecast,
+  getLotHistory,
+  mergeLiveStatus,
+  subscribeLotStatus,
+} from "../src/firebase/parkingReads";
+import { formatLocalTime, localHourAndDay, lotTimeZone } from "../src/utils/lotTime";
+
+/**
+ * FR25.1 – Configurable occupancy threshold for near-full alert.
+ * Change this value to adjust when the alert triggers (e.g., 0.9 for 90%).
+ */
+const NEAR_FULL_THRESHOLD = 0.80; // 80% occupancy triggers the alert
 
 /**
  * Local Express API base.
@@ -49,6 +63,46 @@ import { getLot } from "../src/firebase/parkingReads";
  */
 
 
+/**
+ * Warning shown instead of trusting the live count when sensors are unhealthy.
+ * Keys match the sensorStatus values derived in parkingReads.
+ */
+const SENSOR_STATUS_WARNINGS = {
+  offline: "Sensor offline — count may be stale",
+  degraded: "Sensor degraded — count may be inaccurate",
+};
+
+/**
+ * Color thresholds for occupancy visualization.
+ * Low < 40%, Medium 40–69%, High ≥ 70%.
+ */
+function occupancyColor(percentFull) {
+  if (percentFull >= 70) return "#FF9C9C";
+  if (percentFull >= 40) return "#FFE57E";
+  return "#9AE29B";
+}
+
+/**
+ * Formatting for the Lot insights rows. Values come from the nightly
+ * analytics job (lots/{lotId}.insights) and may be null.
+ */
+function formatDuration(minutes) {
+  if (typeof minutes !== "number") return "—";
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+function formatClock(hhmm) {
+  if (!hhmm) return "Didn't fill";
+  const [h, m] = hhmm.split(":").map(Number);
+  return `${h % 12 === 0 ? 12 : h % 12}:${String(m).padStart(2, "0")} ${h < 12 ? "AM" : "PM"}`;
+}
+
+function formatTurnover(rate) {
+  return typeof rate === "number" ? `${rate.toFixed(1)}× per space` : "—";
+}
+
 /**
  * Normalizes Firestore timestamps or ISO strings into JS Date.
  */
@@ -85,6 +139,8 @@ export default function StatsPage() {
   const [lotData, setLotData] = useState(null);
   const [lotLoading, setLotLoading] = useState(true);
   const [lotError, setLotError] = useState(null);
+  const [forecast, setForecast] = useState(null);
+  const [history, setHistory] = useState(null);
 
   const lotId = typeof lot === "string" ? lot : "";
 
@@ -106,6 +162,14 @@ export default function StatsPage() {
 
       const lotDoc = await getLot(lotId);
       setLotData(lotDoc);
+
+      // The forecast comes from the Express API; the page works without it
+      getLotForecast(lotId)
+        .then(setForecast)
+        .catch(() => setForecast(null));
+      getLotHistory(lotId)
+        .then(setHistory)
+        .catch(() => setHistory(null));
     } catch (e) {
       setLotError(e.message || String(e));
       setLotData(null);
@@ -123,6 +187,35 @@ export default function StatsPage() {
     fetchLot();
   }, [fetchLot]);
 
+  /**
+   * Live count and level counts while the page is open (Req 22). Where the stream is not
+   * available the Refresh button is the only way to update.
+   */
+  useEffect(() => {
+    if (!lotId) return undefined;
+    // Sensor health is not in the stream, so each update also refetches the
+    // lot for sensorStatus (one request at a time)
+    let refreshing = false;
+    let active = true;
+    const unsubscribe = subscribeLotStatus(lotId, (status) => {
+      setLotData((prev) => (prev ? mergeLiveStatus(prev, status) : prev));
+      if (refreshing) return;
+      refreshing = true;
+      getLot(lotId)
+        .then((lot) => {
+          if (active) setLotData((prev) => (prev ? { ...prev, sensorStatus: lot.sensorStatus } : prev));
+        })
+        .catch(() => {})
+        .finally(() => {
+          refreshing = false;
+        });
+    });
+    return () => {
+      active = false;
+      unsubscribe?.();
+    };
+  }, [lotId]);
+
   /**
    * Derived occupancy metrics.
    * These are computed with safe fallbacks to avoid undefined errors.
@@ -138,6 +231,8 @@ export default function StatsPage() {
 
   const permitType = lotData?.permit || "Garage";
   const lastUpdated = parseMaybeDate(lotData?.last_updated);
+  const timeZone = lotTimeZone(lotData);
+  const insights = lotData?.insights;
 
   /**
    * Compute hourly occupancy percentage from Firestore averageByHour map.
@@ -163,6 +258,59 @@ export default function StatsPage() {
     return data;
   }, [lotData, capacity]);
 
+  /**
+   * Same conversion per weekday from averageByWeekdayHour:
+   * { "0": { "7": 14, ... }, ..., "6": {...} }  (0 = Sunday)
+   * Undefined until analytics has produced weekday data, so PopularTimes
+   * falls back to the all-days curve.
+   */
+  const weekdayHourlyData = useMemo(() => {
+    const byDay = lotData?.averageByWeekdayHour || {};
+    if (Object.keys(byDay).length === 0) return undefined;
+
+    return Array.from({ length: 7 }, (_, day) => {
+      const data = new Array(24).fill(0);
+      for (const [hourStr, occ] of Object.entries(byDay[String(day)] || {})) {
+        const hour = parseInt(hourStr, 10);
+        if (Number.isNaN(hour) || hour < 0 || hour > 23) continue;
+        const occNum = typeof occ === "number" ? occ : 0;
+        data[hour] = capacity > 0 ? (occNum / capacity) * 100 : 0;
+      }
+      return data;
+    });
+  }, [lotData, capacity]);
+
+  /**
+   * Forecast intervals as chart points: { hour, percent } per upcoming
+   * lot-local hour, drawn dashed after today's historical bars.
+   */
+  const forecastPoints = useMemo(() => {
+    if (!forecast?.intervals || capacity <= 0) return undefined;
+    return forecast.intervals.map((f) => ({
+      hour: f.localHour,
+      percent: (f.predicted / capacity) * 100,
+    }));
+  }, [forecast, capacity]);
+
+  /**
+   * Today's occupancy (server buckets since lot-local midnight) as chart
+   * data. Only every third hour is labelled so the axis stays readable.
+   */
+  const todayChart = useMemo(() => {
+    const points = history?.points || [];
+    if (points.length < 2) return null;
+
+    const labels = points.map((p) => {
+      const date = new Date(p.t);
+      if (date.getUTCMinutes() !== 0) return "";
+      const { hour } = localHourAndDay(date, timeZone);
+      if (hour % 3 !== 0) return "";
+      return `${hour % 12 === 0 ? 12 : hour % 12}${hour < 12 ? "a" : "p"}`;
+    });
+
+    return { labels, datasets: [{ data: points.map((p) => Math.round(p.avg * 10) / 10) }] };
+  }, [history, timeZone]);
+
   // ---------------- Loading Guards ----------------
 
   if (!fontsLoaded) return null;
@@ -207,13 +355,9 @@ export default function StatsPage() {
     );
   }
 
-  /**
-   * Color thresholds for occupancy visualization.
-   * Low < 40%, Medium 40–69%, High ≥ 70%.
-   */
-  let barColor = "#9AE29B";
-  if (percentFull >= 70) barColor = "#FF9C9C";
-  else if (percentFull >= 40) barColor = "#FFE57E";
+  const barColor = occupancyColor(percentFull);
+  const zones = Array.isArray(lotData.zones) ? lotData.zones : [];
+  const sensorWarning = SENSOR_STATUS_WARNINGS[lotData.sensorStatus] || null;
 
   const colorsByPermit = {
     Green: { bg: "#C8FACC", border: "#8DD493" },
@@ -269,6 +413,13 @@ export default function StatsPage() {
         </View>
       )}
 
+      {/* Sensor health: don't present a stale count as live */}
+      {sensorWarning && (
+        <View style={styles.sensorBanner}>
+          <Text style={styles.sensorBannerText}>⚠️ {sensorWarning}</Text>
+        </View>
+      )}
+
       {/* Lot Title */}
       <View style={styles.titleContainer}>
         <Text style={styles.title}>
@@ -297,7 +448,13 @@ export default function StatsPage() {
       {/* Occupancy Info Row */}
       <View style={[styles.topRowContainer, isSmall && styles.topRowContainerSmall]}>
         <View style={styles.leftColumn}>
-          <Text style={[styles.infoText, { color: colors.text }]}>
+          <Text
+            style={[
+              styles.infoText,
+              { color: colors.text },
+              lotData.sensorStatus === "offline" && styles.staleText,
+            ]}
+          >
             {occupied}/{capacity} spots taken
           </Text>
           <Text style={[styles.infoSubtext, { color: colors.text }]}>
@@ -323,7 +480,7 @@ export default function StatsPage() {
           <Text style={[styles.infoText, { color: colors.text }]}>
             Last updated:{" "}
             {lastUpdated
-              ? lastUpdated.toLocaleTimeString()
+              ? formatLocalTime(lastUpdated, timeZone)
               : "Unknown"}
           </Text>
 
@@ -343,6 +500,48 @@ export default function StatsPage() {
         </View>
       </View>
 
+      {/* Per-level occupancy (multi-floor garages only) */}
+      {zones.length > 0 && (
+        <View style={styles.zonesContainer}>
+          <Text style={[styles.chartTitle, { color: colors.text }]}>
+            Levels
+          </Text>
+          {zones.map((zone) => {
+            const zonePercent =
+              zone.capacity > 0 ? (zone.count_now / zone.capacity) * 100 : 0;
+
+            return (
+              <View key={zone.id} style={styles.zoneRow}>
+                <View style={styles.zoneLabelRow}>
+                  <Text style={[styles.infoText, { color: colors.text }]}>
+                    {zone.name}
+                  </Text>
+                  <Text style={[styles.infoSubtext, { color: colors.text, marginTop: 0 }]}>
+                    {Math.max(0, zone.capacity - zone.count_now)} of {zone.capacity} open
+                  </Text>
+                </View>
+                <View
+                  style={[
+                    styles.progressContainer,
+                    { backgroundColor: progressBg, borderColor: progressBorder, marginBottom: 0 },
+                  ]}
+                >
+                  <View
+                    style={[
+                      styles.progressFill,
+                      {
+                        width: `${Math.min(100, Math.max(0, zonePercent))}%`,
+                        backgroundColor: occupancyColor(zonePercent),
+                      },
+                    ]}
+                  />
+                </View>
+              </View>
+            );
+          })}
+        </View>
+      )}
+
       {/* Hourly Chart */}
       <View style={styles.chartContainer}>
         <Text
@@ -352,9 +551,67 @@ export default function StatsPage() {
         </Text>
         <PopularTimes
           data={hourlyData}
+          dataByDay={weekdayHourlyData}
+          timeZone={timeZone}
+          forecast={forecastPoints}
           maxCapacity={capacity}
         />
       </View>
+
+      {/* Today: what actually happened, from the event log */}
+      {todayChart && (
+        <View style={styles.chartContainer}>
+          <Text style={[styles.chartTitle, { color: colors.text }]}>
+            Today
+          </Text>
+          <LineChart
+            data={todayChart}
+            width={Math.max(280, width - (isSmall ? 40 : 80))}
+            height={200}
+            withDots={false}
+            withVerticalLines={false}
+            fromZero
+            yAxisSuffix=""
+            chartConfig={{
+              backgroundGradientFrom: colors.background,
+              backgroundGradientTo: colors.background,
+              decimalPlaces: 0,
+              color: (opacity = 1) => (theme === "dark" ? `rgba(78, 161, 255, ${opacity})` : `rgba(0, 115, 230, ${opacity})`),
+              labelColor: () => colors.text,
+            }}
+            style={styles.todayChart}
+          />
+        </View>
+      )}
+
+      {/* Lot insights: most recent full day vs. typical over the lookback */}
+      {insights?.latest && (
+        <View style={styles.insightsContainer}>
+          <Text style={[styles.chartTitle, { color: colors.text }]}>
+            Lot insights
+          </Text>
+          <View style={styles.insightRow}>
+            <Text style={[styles.insightLabel, { color: colors.text }]} />
+            <Text style={[styles.insightHeader, { color: colors.text }]}>Last day</Text>
+            <Text style={[styles.insightHeader, { color: colors.text }]}>Typical</Text>
+          </View>
+          {[
+            ["Turnover", formatTurnover(insights.latest.turnoverRate), formatTurnover(insights.typical?.turnoverRate)],
+            ["Average stay (est.)", formatDuration(insights.latest.avgDwellMinutes), formatDuration(insights.typical?.avgDwellMinutes)],
+            ["First full at", formatClock(insights.latest.firstFullAt), formatClock(insights.typical?.firstFullAt)],
+            ["Time at capacity", formatDuration(insights.latest.minutesFull), formatDuration(insights.typical?.minutesFull)],
+          ].map(([label, last, typical]) => (
+            <View key={label} style={styles.insightRow}>
+              <Text style={[styles.insightLabel, { color: colors.text }]}>{label}</Text>
+              <Text style={[styles.insightValue, { color: colors.text }]}>{last}</Text>
+              <Text style={[styles.insightValue, { color: colors.text }]}>{typical}</Text>
+            </View>
+          ))}
+          <Text style={[styles.infoSubtext, { color: colors.text }]}>
+            Based on {insights.days} day{insights.days === 1 ? "" : "s"}; full on {insights.daysFull}.
+          </Text>
+        </View>
+      )}
     </ScrollView>
   );
 }
@@ -462,11 +719,68 @@ const styles = StyleSheet.create({
     marginTop: 30,
     marginBottom: 40,
   },
+  zonesContainer: {
+    marginTop: 30,
+  },
+  todayChart: {
+    borderRadius: 8,
+  },
+  insightsContainer: {
+    marginBottom: 40,
+  },
+  insightRow: {
+    flexDirection: "row",
+    alignItems: "baseline",
+    paddingVertical: 6,
+  },
+  insightLabel: {
+    flex: 2,
+    fontSize: 16,
+    fontFamily: "Inter_400Regular",
+  },
+  insightHeader: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: "Inter_600SemiBold",
+    textAlign: "right",
+  },
+  insightValue: {
+    flex: 1,
+    fontSize: 16,
+    fontFamily: "Inter_600SemiBold",
+    textAlign: "right",
+  },
+  zoneRow: {
+    marginBottom: 14,
+  },
+  zoneLabelRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+    marginBottom: 6,
+  },
   chartTitle: {
     fontSize: 32,
     fontFamily: "Poppins_600SemiBold",
     marginBottom: 15,
   },
+  sensorBanner: {
+    backgroundColor: "#6B6F7B",
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginBottom: 16,
+    alignItems: "center",
+  },
+  sensorBannerText: {
+    color: "#FFFFFF",
+    fontFamily: "Inter_600SemiBold",
+    fontSize: 15,
+    textAlign: "center",
+  },
+  staleText: {
+    opacity: 0.5,
+  },
   // FR25.3 – Near-full alert banner styles
   nearFullBanner: {
     backgroundColor: "#FF4444",
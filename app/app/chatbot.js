@@ -54,7 +54,7 @@ import {
 import { useRouter } from 'expo-router';
 import { Feather } from '@expo/vector-icons';
 import { useTheme } from './context/ThemeContext';
-import { getLots } from '../src/firebase/parkingReads';
+import { getLots, findLots } from '../src/firebase/parkingReads';
 
 // No API key needed in frontend - it's stored securely in Firebase Cloud Functions
 
@@ -325,14 +325,20 @@ Provide a helpful, concise response.`;
           fallbackText += `${garage.name}: ${available}/${garage.capacity} spots available${permitInfo}`;
         }
       } else if (lowerInput.includes('most') || lowerInput.includes('best') || lowerInput.includes('available')) {
-        // Show lots with most availability
-        const lotAvailability = lots.map(lot => {
-          const available = lot.capacity - lot.count_now;
-          return { name: lot.name, available, capacity: lot.capacity, permit: lot.permit || 'N/A' };
-        }).sort((a, b) => b.available - a.available);
+        // Show lots with most availability (sorted server-side; local copy without the API or if it is down too)
+        let lotAvailability = null;
+        try {
+          lotAvailability = await findLots({ sort: 'available', limit: 3 });
+        } catch (searchError) {
+          console.error('Chatbot: Lot search failed, sorting locally:', searchError);
+        }
+        if (!lotAvailability) {
+          lotAvailability = lots.map(lot => ({ ...lot, available: lot.capacity - lot.count_now }))
+            .sort((a, b) => b.available - a.available);
+        }
         
         fallbackText += `Lots with most availability:\n${lotAvailability.slice(0, 3).map(lot => 
-          `• ${lot.name}: ${lot.available}/${lot.capacity} spots (${lot.permit} permit)`
+          `• ${lot.name}: ${lot.available}/${lot.capacity} spots (${lot.permit || 'N/A'} permit)`
         ).join('\n')}`;
       } else {
         // Default: show all current availability
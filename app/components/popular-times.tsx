@@ -1,14 +1,29 @@
 /*
 Names: Anna Ross, Tanushri Sakaray, Sabeen Ahmad
 Description: Displays a bar chart of parking lot occupancy trends throughout the day, using hourly data and highlighting current usage.
+Tapping a weekday shows that day's curve when per-weekday data is available.
+Hours and "today" are in the lot's timezone, like the analytics buckets.
+On today's curve, upcoming hours also show the forecast as dashed bars.
 */
-import React from 'react';
-import { View, Text, StyleSheet, useWindowDimensions } from 'react-native';
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Pressable, useWindowDimensions } from 'react-native';
+import { DEFAULT_LOT_TIMEZONE, localHourAndDay } from '../src/utils/lotTime';
+
+export interface ForecastPoint {
+  hour: number; // lot-local hour
+  percent: number; // predicted % full
+}
 
 interface PopularTimesProps {
   data: number[];
+  // Optional 7 x 24 percentages, index 0 = Sunday; falls back to data when absent
+  dataByDay?: number[][];
   currentHour?: number;
   maxCapacity: number;
+  // IANA zone of the lot; defaults to the campus zone
+  timeZone?: string;
+  // Upcoming hours for today only
+  forecast?: ForecastPoint[];
 }
 
 const days = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
@@ -23,13 +38,23 @@ const formatHourLabel = (hour: number) => {
 
 export const PopularTimes: React.FC<PopularTimesProps> = ({
   data,
-  currentHour = new Date().getHours(),
+  dataByDay,
+  currentHour,
   maxCapacity,
+  timeZone = DEFAULT_LOT_TIMEZONE,
+  forecast,
 }) => {
   const { width } = useWindowDimensions();
+  const { hour: lotHour, day: today } = localHourAndDay(new Date(), timeZone);
+  const highlightHour = currentHour ?? lotHour;
+  const [selectedDay, setSelectedDay] = useState(today);
   // Compact layout for phones/smaller viewports.
   const isSmall = width < 700;
-  const values = HOURS_TO_SHOW.map((h) => data[h] ?? 0);
+  const dayData = dataByDay?.[selectedDay] ?? data;
+  const values = HOURS_TO_SHOW.map((h) => dayData[h] ?? 0);
+  const forecastByHour = new Map(
+    selectedDay === today ? (forecast ?? []).map((f) => [f.hour, f.percent]) : []
+  );
   const chartHeight = 180;
 
   return (
@@ -37,15 +62,22 @@ export const PopularTimes: React.FC<PopularTimesProps> = ({
       {/* WEEKDAY ROW */}
       <View style={styles.daysContainer}>
         {days.map((day, index) => (
-          <Text
+          <Pressable
             key={day}
-            style={[
-              styles.dayText,
-              index === new Date().getDay() && styles.currentDay,
-            ]}
+            onPress={() => setSelectedDay(index)}
+            disabled={!dataByDay}
+            accessibilityRole="button"
+            accessibilityState={{ selected: index === selectedDay }}
           >
-            {day}
-          </Text>
+            <Text
+              style={[
+                styles.dayText,
+                index === selectedDay && styles.currentDay,
+              ]}
+            >
+              {day}
+            </Text>
+          </Pressable>
         ))}
       </View>
 
@@ -79,10 +111,21 @@ export const PopularTimes: React.FC<PopularTimesProps> = ({
               if (pct >= 70) barColor = '#FF9C9C';
               else if (pct >= 40) barColor = '#FFE57E';
 
-              const isCurrent = hour === currentHour;
+              const isCurrent = selectedDay === today && hour === highlightHour;
+              const forecastPct = forecastByHour.get(hour);
+              const forecastHeight =
+                forecastPct === undefined ? 0 : (Math.min(forecastPct, 100) / 100) * chartHeight;
 
               return (
                 <View key={hour} style={styles.barWrapper}>
+                  {forecastPct !== undefined && (
+                    <View
+                      style={[
+                        styles.forecastBar,
+                        { width: isSmall ? 20 : 30, height: forecastHeight },
+                      ]}
+                    />
+                  )}
                   <View
                     style={[
                       styles.bar,
@@ -108,6 +151,10 @@ export const PopularTimes: React.FC<PopularTimesProps> = ({
           <View style={styles.xAxisLine} />
         </View>
       </View>
+
+      {forecastByHour.size > 0 && (
+        <Text style={styles.forecastLegend}>Dashed bars: forecast for the coming hours</Text>
+      )}
     </View>
   );
 };
@@ -197,6 +244,21 @@ const styles = StyleSheet.create({
     color: '#333',
     textAlign: 'center',
   },
+  forecastBar: {
+    // Sits on the same baseline as the bar (above the 20px label row).
+    position: 'absolute',
+    bottom: 20,
+    borderRadius: 4,
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderColor: '#555',
+  },
+  forecastLegend: {
+    marginTop: 4,
+    fontSize: 11,
+    color: '#777',
+    textAlign: 'right',
+  },
   timeLabelHidden: {
     // Hide text while preserving layout space.
     opacity: 0,
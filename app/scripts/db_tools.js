@@ -2,11 +2,40 @@
 Names: Samantha Adorno
 Date: March 1, 2026
 Revision: April, 2026
-Description: Provides command-line utilities for managing Firestore parking lot data, including seeding data, updating counts, recording events, and modifying lot metadata.
+Description: Provides command-line utilities for managing Firestore parking lot data, including seeding data, updating counts, recording events, modifying lot metadata, and managing sensor credentials.
 */
 const admin = require('firebase-admin');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+// Shared with the Cloud Functions so CLI writes follow the same rules
+const {
+  DEFAULT_COOLDOWN_MS,
+  MAX_COOLDOWN_MS,
+  parseCooldownMs,
+  resolveCooldownMs,
+  recordLotEvent,
+  migrateLegacyEvents,
+  rebuildLotEvents,
+  recordOccupancyCorrection,
+  buildDriftReport,
+} = require('../../functions/eventCore');
+const { ANOMALY_TYPES, scanLotAnomalies } = require('../../functions/anomalies');
+const { refreshLotAnalytics } = require('../../functions/analytics');
+// Same columns and formats as the server.js export endpoints
+const {
+  EXPORT_FORMATS,
+  EXPORT_KINDS,
+  exportSources,
+  parseTimeValue,
+  streamExport,
+} = require('./exportFormats');
+const { normalizeFootprint } = require('./lotGeometry');
+// Same lots the server's in-memory storage serves without a fixture file
+const { seedLots } = require('./seedLots');
+const { connectEmulator } = require('./lotRepository');
+const { stringifyFixture } = require('./memoryRepository');
 
 // Simple arg parsing: supports flags like --serviceAccount=path and positional command
 const raw = process.argv.slice(2);
@@ -21,53 +50,27 @@ for (const a of raw) {
   }
 }
 
+// --emulator[=host:port] (or FIRESTORE_EMULATOR_HOST in the environment) talks
+// to a local Firestore emulator instead; no service account needed
+const useEmulator = Boolean(flags.emulator) || Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
 // Default: look for the service account in the local env/ folder (not checked into git)
 const SERVICE_ACCOUNT_PATH = flags.serviceAccount || '../env/parking-capstone-9778c-firebase-adminsdk-fbsvc-c1179e192c.json';
 
-if (!fs.existsSync(SERVICE_ACCOUNT_PATH)) {
-  console.error(`Service account not found at: ${SERVICE_ACCOUNT_PATH}`);
-  process.exit(1);
-}
-
-const serviceAccount = require(path.resolve(SERVICE_ACCOUNT_PATH));
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
-const db = admin.firestore();
-
-// Seed lots (same defaults as simulator)
-const seedLots = [
-  {
-    id: 'lot_72',
-    data: {
-      name: 'Lot 72',
-      capacity: 120,
-      latitude: 38.954321,
-      longitude: -95.255871,
-      description: 'Behind Eaton Hall',
-    },
-  },
-  {
-    id: 'allen_fieldhouse',
-    data: {
-      name: 'Allen Fieldhouse Lot',
-      capacity: 450,
-      latitude: 38.9558,
-      longitude: -95.2474,
-      description: 'Game-day overflow lot',
-    },
-  },
-  {
-    id: 'gsp',
-    data: {
-      name: 'GSP Lot',
-      capacity: 180,
-      latitude: 38.95511,
-      longitude: -95.24475,
-      description: 'Near GSP residence hall',
-    },
-  },
-];
+if (!useEmulator) {
+  if (!fs.existsSync(SERVICE_ACCOUNT_PATH)) {
+    console.error(`Service account not found at: ${SERVICE_ACCOUNT_PATH} (or use --emulator)`);
+    process.exit(1);
+  }
+
+  const serviceAccount = require(path.resolve(SERVICE_ACCOUNT_PATH));
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+}
+const db = useEmulator
+  ? connectEmulator({ host: typeof flags.emulator === 'string' ? flags.emulator : undefined, projectId: flags.project })
+  : admin.firestore();
 
 async function seed() {
   for (const lot of seedLots) {
@@ -75,7 +78,10 @@ async function seed() {
     await ref.set(lot.data, { merge: true });
     console.log('Seeded', lot.id);
     const statusRef = ref.collection('_meta').doc('current_status');
-    await statusRef.set({ count_now: 0, last_updated: admin.firestore.Timestamp.now() }, { merge: true });
+    const now = admin.firestore.Timestamp.now();
+    await statusRef.set({ count_now: 0, last_updated: now }, { merge: true });
+    // The lot doc mirrors the count (read by the server's /api/lots)
+    await ref.set({ currentOccupancy: 0, last_updated: now }, { merge: true });
   }
   console.log('Seeding complete');
 }
@@ -95,36 +101,286 @@ async function getStatus(lotId) {
   console.log(lotId, snap.data());
 }
 
-async function setCount(lotId, count) {
-  const statusRef = db.collection('lots').doc(lotId).collection('_meta').doc('current_status');
-  await statusRef.set({ count_now: count, last_updated: admin.firestore.Timestamp.now() }, { merge: true });
-  console.log(`Set ${lotId} count_now = ${count}`);
+// Goes through the same CORRECTION-event path as POST /lot/:lotId/recount,
+// so the event history and both status locations stay in agreement.
+// --zones=north:10,south:5 -> { north: 10, south: 5 } (lots with zones need one per zone)
+function parseZoneCounts(text) {
+  const zoneCounts = {};
+  for (const part of String(text).split(',')) {
+    const [zoneId, n] = part.split(':');
+    if (!zoneId || n === undefined || !/^\d+$/.test(n)) throw new Error(`--zones must look like zoneA:12,zoneB:3 (got ${part})`);
+    zoneCounts[zoneId] = Number(n);
+  }
+  return zoneCounts;
+}
+
+async function setCount(lotId, count, reason, operator, zoneCounts = null) {
+  const result = await recordOccupancyCorrection(db, admin, { lotId, observedCount: count, zoneCounts, operator, reason });
+  console.log(`Set ${lotId} count_now = ${count} (was ${result.occupancy_before}, correction ${result.id})`);
+  if (zoneCounts) console.log(`Zones: ${JSON.stringify(result.zone_counts_after)} (were ${JSON.stringify(result.zone_counts_before)})`);
+}
+
+// Clamp drift over the last N hours (same report as GET /lot/:lotId/drift)
+async function driftReport(lotId, hours) {
+  if (!Number.isFinite(hours) || hours <= 0) throw new Error('--hours must be a positive number');
+  const toMs = Date.now();
+  const report = await buildDriftReport(db, admin, { lotId, fromMs: toMs - hours * 60 * 60 * 1000, toMs });
+  console.log(`${lotId} drift ${report.from} .. ${report.to}`);
+  console.log(`  absorbed ENTRY (at capacity): ${report.absorbed.entry}`);
+  console.log(`  absorbed EXIT (at zero):      ${report.absorbed.exit}`);
+  console.log(`  of ${report.events_in_window} ENTRY/EXIT events (${(report.absorbed_rate * 100).toFixed(1)}%)`);
+  for (const [sensorId, counts] of Object.entries(report.by_sensor)) {
+    console.log(`  ${sensorId}: ENTRY ${counts.entry}, EXIT ${counts.exit}`);
+  }
+  console.log(`  all time: ENTRY ${report.all_time.entry}, EXIT ${report.all_time.exit}`);
+}
+
+// Defines (or updates) one zone/level of a multi-floor lot: lots/{lotId}.zones.{zoneId}
+async function setZone(lotId, zoneId, capacity, name) {
+  if (!/^[A-Za-z0-9._-]+$/.test(zoneId)) throw new Error('--zone contains invalid characters');
+  if (!Number.isInteger(capacity) || capacity < 0) throw new Error('--capacity must be a non-negative integer');
+  const ref = db.collection('lots').doc(lotId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Lot missing: ${lotId}`);
+  await ref.set({ zones: { [zoneId]: { name: name || zoneId, capacity } } }, { merge: true });
+  console.log(`Set zone ${zoneId} on ${lotId}: capacity ${capacity}`);
+}
+
+// Stores a lot's outline from a GeoJSON file (Polygon/MultiPolygon geometry,
+// Feature, or FeatureCollection with one feature for this lot) as JSON text
+// in lots/{lotId}.footprintGeoJSON; --clear removes it.
+async function setFootprint(lotId, file, clear) {
+  const ref = db.collection('lots').doc(lotId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Lot missing: ${lotId}`);
+
+  if (clear) {
+    await ref.update({ footprintGeoJSON: admin.firestore.FieldValue.delete() });
+    console.log(`Cleared footprint on ${lotId}`);
+    return;
+  }
+
+  let geojson;
+  try {
+    geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read GeoJSON from ${file}: ${e.message}`);
+  }
+  const footprint = normalizeFootprint(geojson, lotId);
+  await ref.set({ footprintGeoJSON: JSON.stringify(footprint) }, { merge: true });
+
+  const rings = footprint.type === 'Polygon' ? footprint.coordinates : footprint.coordinates.flat();
+  console.log(`Set ${footprint.type} footprint on ${lotId}: ${rings.length} ring(s), ${rings.flat().length} positions`);
 }
 
-async function recordEvent(lotId, direction) {
-  if (!['ENTRY', 'EXIT'].includes(direction)) throw new Error('direction must be ENTRY or EXIT');
+// Dedupe cooldowns: sensors/{id}.cooldown_ms beats lots/{id}.cooldown_ms beats
+// the functions' COOLDOWN_MS. With ms given, sets the value on the sensor (if
+// --sensor) or the lot; ms === 'default' removes it. Always prints the result.
+async function cooldown(lotId, sensorId, ms) {
   const lotRef = db.collection('lots').doc(lotId);
-  const statusRef = lotRef.collection('_meta').doc('current_status');
-  const eventsCol = lotRef.collection('events');
+  const target = sensorId ? db.collection('sensors').doc(sensorId) : lotRef;
 
-  await db.runTransaction(async (t) => {
-    const [lotSnap, statusSnap] = await Promise.all([t.get(lotRef), t.get(statusRef)]);
-    if (!lotSnap.exists) throw new Error(`Lot missing: ${lotId}`);
-    const lot = lotSnap.data();
-    const cap = typeof lot.capacity === 'number' ? lot.capacity : null;
-    const current = statusSnap.exists ? statusSnap.data().count_now : 0;
-
-    let delta = direction === 'ENTRY' ? 1 : -1;
-    let newCount = current + delta;
-    if (newCount < 0) newCount = 0;
-    if (cap !== null && newCount > cap) newCount = cap;
-
-    const eventRef = eventsCol.doc();
-    const eventData = { timestamp: admin.firestore.Timestamp.now(), direction, source: 'manual', confidence: 1.0 };
-    t.set(eventRef, eventData);
-    t.set(statusRef, { count_now: newCount, last_updated: admin.firestore.Timestamp.now() }, { merge: true });
-    console.log(`Recorded ${direction} for ${lotId}: ${newCount}/${cap === null ? '?' : cap}`);
+  if (ms !== undefined) {
+    const targetSnap = await target.get();
+    if (!targetSnap.exists) throw new Error(`${sensorId ? 'Sensor' : 'Lot'} missing: ${sensorId || lotId}`);
+    if (sensorId && targetSnap.data().lotId !== lotId) throw new Error(`Sensor ${sensorId} is not bound to ${lotId}`);
+
+    if (ms === 'default') {
+      await target.update({ cooldown_ms: admin.firestore.FieldValue.delete() });
+    } else {
+      const parsed = typeof ms === 'string' ? parseCooldownMs(ms) : null;
+      if (parsed === null) throw new Error(`--ms must be an integer from 0 to ${MAX_COOLDOWN_MS}, or "default"`);
+      await target.set({ cooldown_ms: parsed }, { merge: true });
+    }
+  }
+
+  const lotSnap = await lotRef.get();
+  if (!lotSnap.exists) throw new Error(`Lot missing: ${lotId}`);
+  const lotCooldownMs = lotSnap.data().cooldown_ms;
+  const sensors = await db.collection('sensors').where('lotId', '==', lotId).get();
+
+  // The functions' COOLDOWN_MS env var is not visible from here
+  console.log(`Default (functions COOLDOWN_MS): ${DEFAULT_COOLDOWN_MS}ms unless overridden at deploy`);
+  console.log(`${lotId}: ${lotCooldownMs === undefined ? '(not set)' : `${lotCooldownMs}ms`}`);
+  sensors.forEach((s) => {
+    const sensorCooldownMs = s.data().cooldown_ms;
+    const effective = resolveCooldownMs({ sensorCooldownMs, lotCooldownMs, defaultMs: DEFAULT_COOLDOWN_MS });
+    const own = sensorCooldownMs === undefined ? '(not set)' : `${sensorCooldownMs}ms`;
+    console.log(`  ${s.id}: ${own} -> effective ${effective.ms}ms (from ${effective.source})`);
+  });
+}
+
+// Grants the custom claim required by the admin Cloud Function endpoints
+async function grantAdmin(email) {
+  const user = await admin.auth().getUserByEmail(email);
+  await admin.auth().setCustomUserClaims(user.uid, { ...(user.customClaims || {}), admin: true });
+  console.log(`Granted admin to ${email} (takes effect on their next ID token refresh)`);
+}
+
+// Manual ENTRY/EXIT through the same transaction and schema as sensor events
+async function recordEvent(lotId, eventType, operator, zoneId) {
+  const result = await recordLotEvent(db, admin, {
+    lotId,
+    eventType,
+    source: 'manual',
+    operator,
+    zoneId: zoneId || null,
+  });
+  const clamped = result.clamped ? ` (clamped at ${result.clamped})` : '';
+  console.log(`Recorded ${eventType} for ${lotId}: count now ${result.next}${clamped} [event ${result.id}]`);
+}
+
+// Normalizes events written before the shared schema; one lot or all of them
+async function migrateEvents(lotId, dryRun) {
+  const lotIds = lotId ? [lotId] : (await db.collection('lots').get()).docs.map((d) => d.id);
+  for (const id of lotIds) {
+    const result = await migrateLegacyEvents(db, admin, { lotId: id, dryRun });
+    console.log(`${id}: ${result.migrated} of ${result.scanned} events ${dryRun ? 'would be migrated' : 'migrated'}`);
+    for (const s of result.skipped) console.log(`  skipped ${s.id}: ${s.reason}`);
+  }
+}
+
+// Lists a lot's anomaly flags from the last N hours; with scan, first runs the
+// same detector as the scanAnomalies function (writes lots/{lotId}/anomalies)
+async function anomalies(lotId, hours, type, scan) {
+  if (!Number.isFinite(hours) || hours <= 0) throw new Error('--hours must be a positive number');
+  if (type !== undefined && !ANOMALY_TYPES.includes(type)) throw new Error(`--type must be one of ${ANOMALY_TYPES.join(', ')}`);
+  const ref = db.collection('lots').doc(lotId);
+  const lotSnap = await ref.get();
+  if (!lotSnap.exists) throw new Error(`Lot missing: ${lotId}`);
+
+  if (scan) {
+    const result = await scanLotAnomalies(db, admin, { lotId, lot: lotSnap.data() || {} });
+    console.log(`Scanned ${result.events} events on ${lotId}: ${result.flagged.length} flag(s)`);
+  }
+
+  const since = admin.firestore.Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000);
+  const snap = await ref.collection('anomalies').where('start', '>=', since).orderBy('start').get();
+  const rows = snap.docs.map((d) => d.data()).filter((a) => !type || a.type === type);
+  if (rows.length === 0) console.log(`No anomalies on ${lotId} in the last ${hours}h`);
+  for (const a of rows) {
+    console.log(`${a.start.toDate().toISOString()} ${a.type.padEnd(9)} ${a.message}`);
+    if (a.eventIds && a.eventIds.length > 0) console.log(`  events: ${a.eventIds.join(', ')}`);
+  }
+}
+
+// --from / --to values: ISO date or epoch ms; null when the flag is absent
+function parseTimeFlag(name, val) {
+  if (typeof val !== 'string') return null;
+  const ms = parseTimeValue(val);
+  if (!Number.isFinite(ms)) throw new Error(`--${name} must be an ISO date or epoch milliseconds`);
+  return ms;
+}
+
+// Replays a lot's events with recordLotEvent's cooldown and clamping rules and
+// rewrites occupancy_before/after, clamps, rollups and the count (see
+// rebuildLotEvents). With --dryRun only prints the diff. Afterwards refreshes
+// historicalData/insights from the rebuilt rollups like scheduleAnalytics.
+// The functions' COOLDOWN_MS env var is not visible from here, so a
+// deployment that sets it must repeat it with --cooldownMs; without the flag
+// the default is used (see cooldown).
+async function rebuild(lotId, { from, to, dryRun, weeks, cooldownMs }) {
+  const lookbackWeeks = weeks === undefined ? 4 : Number(weeks);
+  if (!Number.isInteger(lookbackWeeks) || lookbackWeeks < 1 || lookbackWeeks > 12) throw new Error('--weeks must be 1-12');
+  const defaultCooldownMs = cooldownMs === undefined || cooldownMs === 'default' ? DEFAULT_COOLDOWN_MS : parseCooldownMs(cooldownMs);
+  if (defaultCooldownMs === null) {
+    throw new Error(`--cooldownMs must be the functions' COOLDOWN_MS (0-${MAX_COOLDOWN_MS}) or default (${DEFAULT_COOLDOWN_MS})`);
+  }
+  console.log(
+    cooldownMs === undefined
+      ? `Cooldown: ${defaultCooldownMs}ms (default; pass --cooldownMs if the functions set COOLDOWN_MS)`
+      : `Cooldown: ${defaultCooldownMs}ms (--cooldownMs)`
+  );
+
+  const result = await rebuildLotEvents(db, admin, {
+    lotId,
+    fromMs: parseTimeFlag('from', from),
+    toMs: parseTimeFlag('to', to),
+    dryRun,
+    defaultCooldownMs,
   });
+
+  const show = (f) => `${f.occupancy_before}->${f.occupancy_after}${f.clamped ? ` (${f.clamped})` : ''}${f.deduped ? ' (deduped)' : ''}`;
+  for (const c of result.changed) {
+    console.log(`  ${c.id} ${c.eventType.padEnd(10)} ${show(c.before)}  =>  ${show(c.after)}`);
+  }
+  const range = `${result.from || 'first event'} .. ${result.to || 'now'}`;
+  console.log(`${lotId} ${range}: ${result.changed.length} of ${result.scanned} events ${dryRun ? 'would change' : 'rewritten'}, ${result.rollupHours} rollup hours, ${result.rollupHoursCleared} stale rollup hours ${dryRun ? 'to clear' : 'cleared'}`);
+  if (result.status) {
+    console.log(`  count_now ${result.status.before.count_now} -> ${result.status.after.count_now}`);
+  } else {
+    console.log('  later events exist, so count_now was left alone (omit --to to rebuild it)');
+  }
+
+  if (!dryRun) {
+    const lotSnap = await db.collection('lots').doc(lotId).get();
+    const refreshed = await refreshLotAnalytics(db, admin, { lotId, lot: lotSnap.data() || {}, lookbackWeeks });
+    console.log(refreshed ? `  historicalData and insights refreshed (${lookbackWeeks} weeks)` : '  no rollups in the lookback; historicalData kept');
+  }
+}
+
+// Dumps events or hourly aggregates (one lot, a comma list, or all lots) to
+// --out or stdout; rows stream straight from Firestore so full histories fit.
+async function exportData(kind, format, { lot, from, to, out }) {
+  if (!EXPORT_KINDS[kind]) throw new Error(`--type must be one of ${Object.keys(EXPORT_KINDS).join(', ')}`);
+  if (!EXPORT_FORMATS[format]) throw new Error(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const fromMs = parseTimeFlag('from', from);
+  const toMs = parseTimeFlag('to', to);
+  if (fromMs !== null && toMs !== null && fromMs >= toMs) throw new Error('--from must be before --to');
+
+  const lotIds = typeof lot === 'string' ? lot.split(',').map((id) => id.trim()).filter(Boolean) : null;
+  const sources = await exportSources(db, admin, { kind, lotIds, fromMs, toMs });
+
+  const stream = typeof out === 'string' ? fs.createWriteStream(out) : process.stdout;
+  const rows = await streamExport(stream, { format, columns: EXPORT_KINDS[kind].columns, sources });
+  if (stream !== process.stdout) {
+    stream.end();
+    await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+  } else {
+    // main() ends with process.exit, which drops stdout data still queued
+    // for a pipe; an empty write calls back once everything before it is out
+    await new Promise((resolve, reject) => process.stdout.write('', (err) => (err ? reject(err) : resolve())));
+  }
+  // stderr, so piping the export from stdout stays clean
+  console.error(`Exported ${rows} ${kind} rows from ${sources.length} lot(s)${typeof out === 'string' ? ` to ${out}` : ''}`);
+}
+
+// Writes a fixture for the server's in-memory storage (STORAGE=memory
+// FIXTURE_FILE=path): lot docs, current status, and the last --hours of
+// events, rollups and anomalies, so teammates can run the API offline on
+// real data. Format: see memoryRepository.js.
+async function dumpFixture(out, lot, hours) {
+  if (!Number.isFinite(hours) || hours <= 0) throw new Error('--hours must be a positive number');
+  const since = admin.firestore.Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000);
+  const lotIds = typeof lot === 'string'
+    ? lot.split(',').map((id) => id.trim()).filter(Boolean)
+    : (await db.collection('lots').get()).docs.map((d) => d.id);
+  const byId = (snap) => Object.fromEntries(snap.docs.map((d) => [d.id, d.data()]));
+
+  const fixture = { lots: {} };
+  for (const lotId of lotIds) {
+    const ref = db.collection('lots').doc(lotId);
+    const [lotSnap, statusSnap, events, rollups, anomalies] = await Promise.all([
+      ref.get(),
+      ref.collection('_meta').doc('current_status').get(),
+      ref.collection('events').where('timestamp', '>=', since).get(),
+      ref.collection('rollups').where('hour_start', '>=', since).get(),
+      ref.collection('anomalies').where('start', '>=', since).get(),
+    ]);
+    if (!lotSnap.exists) throw new Error(`Lot missing: ${lotId}`);
+
+    fixture.lots[lotId] = {
+      doc: lotSnap.data(),
+      status: statusSnap.exists ? statusSnap.data() : undefined,
+      events: byId(events),
+      rollups: byId(rollups),
+      anomalies: byId(anomalies),
+    };
+    console.log(`  ${lotId}: ${events.size} events, ${rollups.size} rollup hours, ${anomalies.size} anomalies`);
+  }
+
+  fs.writeFileSync(out, `${stringifyFixture(fixture)}\n`);
+  console.log(`Wrote ${lotIds.length} lot(s) (last ${hours}h) to ${out}`);
 }
 
 async function updateLotMeta(lotId, updates) {
@@ -133,18 +389,83 @@ async function updateLotMeta(lotId, updates) {
   console.log('Updated lot meta for', lotId);
 }
 
+// Deletes the lot document and everything under it: events, rollups,
+// anomalies and the _meta docs (current_status, drift, idempotency keys,
+// cooldown state), so a lot recreated under the same id starts clean.
 async function deleteLot(lotId) {
   const ref = db.collection('lots').doc(lotId);
-  const events = await ref.collection('events').listDocuments();
-  for (const d of events) await d.delete();
-  await ref.collection('_meta').doc('current_status').delete().catch(() => {});
-  await ref.delete();
-  console.log('Deleted lot and its events:', lotId);
+  await db.recursiveDelete(ref);
+  console.log('Deleted lot and all of its subcollections:', lotId);
+}
+
+// Sensor registry (sensors/{sensorId}) used by the event Cloud Functions to
+// authenticate each sensor. Signed (hmac) sensors keep a shared signing secret;
+// legacy api_key sensors only keep a sha256 hash of their key.
+const SENSOR_LANES = ['entry', 'exit', 'bidirectional', 'ramp'];
+const SENSOR_AUTH_MODES = ['hmac', 'api_key'];
+
+function hashSensorKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+// Creates or re-keys a sensor. The new secret is printed once; it is not shown again.
+// zones: { zoneId } for entry/exit lanes on one level, { fromZoneId, toZoneId } for ramps.
+async function registerSensor(sensorId, lotId, lane, authMode = 'hmac', zones = {}) {
+  if (!SENSOR_LANES.includes(lane)) throw new Error(`--lane must be one of ${SENSOR_LANES.join(', ')}`);
+  if (!SENSOR_AUTH_MODES.includes(authMode)) throw new Error(`--auth must be one of ${SENSOR_AUTH_MODES.join(', ')}`);
+  const lotSnap = await db.collection('lots').doc(lotId).get();
+  if (!lotSnap.exists) throw new Error(`Lot missing: ${lotId}`);
+
+  const lotZones = lotSnap.data().zones || {};
+  const zoneFields = {};
+  if (lane === 'ramp') {
+    if (!zones.fromZoneId || !zones.toZoneId) throw new Error('ramp sensors need --fromZone and --toZone');
+    zoneFields.fromZoneId = zones.fromZoneId;
+    zoneFields.toZoneId = zones.toZoneId;
+  } else if (zones.zoneId) {
+    zoneFields.zoneId = zones.zoneId;
+  }
+  for (const z of Object.values(zoneFields)) {
+    if (!lotZones[z]) throw new Error(`Zone ${z} is not defined on ${lotId} (use setZone first)`);
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const credentials = authMode === 'hmac'
+    ? { auth_mode: 'hmac', signing_secret: secret }
+    : { auth_mode: 'api_key', key_hash: hashSensorKey(secret) };
+
+  await db.collection('sensors').doc(sensorId).set({
+    ...credentials,
+    ...zoneFields,
+    lotId,
+    lane,
+    enabled: true,
+    registered_at: admin.firestore.Timestamp.now(),
+  });
+  console.log(`Registered ${sensorId} on ${lotId} (${lane} lane, ${authMode} auth)`);
+  const label = authMode === 'hmac' ? 'Signing secret' : 'API key';
+  console.log(`${label} (store it on the sensor now, it is not shown again): ${secret}`);
+}
+
+async function revokeSensor(sensorId) {
+  const ref = db.collection('sensors').doc(sensorId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Sensor missing: ${sensorId}`);
+  await ref.set({ enabled: false, revoked_at: admin.firestore.Timestamp.now() }, { merge: true });
+  console.log('Revoked sensor', sensorId);
+}
+
+async function listSensors() {
+  const snaps = await db.collection('sensors').get();
+  snaps.forEach(s => {
+    const { key_hash, signing_secret, ...sensor } = s.data();
+    console.log(s.id, sensor);
+  });
 }
 
 async function help() {
-  console.log('Usage: node db_tools.js <command> [--serviceAccount=path] [--lot=lotId] [--count=n] [--field=key] [--value=val]');
-  console.log('Commands: seed | list | status | setCount | recordEntry | recordExit | updateLot | deleteLot | help');
+  console.log('Usage: node db_tools.js <command> [--serviceAccount=path] [--lot=lotId] [--count=n] [--field=key] [--value=val] [--sensor=sensorId] [--lane=entry|exit|bidirectional] [--auth=hmac|api_key] [--reason=text] [--zones=zoneId:n,...] [--operator=name] [--email=address] [--hours=n] [--zone=zoneId] [--fromZone=zoneId] [--toZone=zoneId] [--capacity=n] [--name=label] [--ms=n|default] [--cooldownMs=n|default] [--dryRun] [--type=events|aggregates|burst|silence|imbalance] [--scan] [--weeks=n] [--format=csv|jsonl] [--from=iso|ms] [--to=iso|ms] [--out=path] [--file=path.geojson] [--clear] [--emulator[=host:port]] [--project=id]');
+  console.log('Commands: seed | list | status | setCount | recordEntry | recordExit | updateLot | deleteLot | registerSensor | revokeSensor | listSensors | grantAdmin | drift | setZone | cooldown | setFootprint | dumpFixture | migrateEvents | export | anomalies | rebuild | help');
 }
 
 (async function main() {
@@ -162,16 +483,42 @@ async function help() {
         await getStatus(flags.lot);
         break;
       case 'setCount':
-        if (!flags.lot || typeof flags.count === 'undefined') throw new Error('--lot and --count required');
-        await setCount(flags.lot, parseInt(flags.count, 10));
+        if (!flags.lot || typeof flags.count === 'undefined' || !flags.reason) throw new Error('--lot --count --reason required');
+        await setCount(
+          flags.lot,
+          Number(flags.count),
+          flags.reason,
+          flags.operator || `cli:${os.userInfo().username}`,
+          flags.zones === undefined ? null : parseZoneCounts(flags.zones)
+        );
         break;
       case 'recordEntry':
         if (!flags.lot) throw new Error('--lot required');
-        await recordEvent(flags.lot, 'ENTRY');
+        await recordEvent(flags.lot, 'ENTRY', flags.operator || `cli:${os.userInfo().username}`, flags.zone);
         break;
       case 'recordExit':
         if (!flags.lot) throw new Error('--lot required');
-        await recordEvent(flags.lot, 'EXIT');
+        await recordEvent(flags.lot, 'EXIT', flags.operator || `cli:${os.userInfo().username}`, flags.zone);
+        break;
+      case 'migrateEvents':
+        await migrateEvents(typeof flags.lot === 'string' ? flags.lot : null, Boolean(flags.dryRun));
+        break;
+      case 'anomalies':
+        if (!flags.lot) throw new Error('--lot required');
+        await anomalies(flags.lot, flags.hours === undefined ? 168 : Number(flags.hours), flags.type, Boolean(flags.scan));
+        break;
+      case 'rebuild':
+        if (!flags.lot) throw new Error('--lot required');
+        await rebuild(flags.lot, {
+          from: flags.from, to: flags.to, dryRun: Boolean(flags.dryRun), weeks: flags.weeks, cooldownMs: flags.cooldownMs,
+        });
+        break;
+      case 'export':
+        await exportData(flags.type || 'events', flags.format || 'csv', flags);
+        break;
+      case 'dumpFixture':
+        if (typeof flags.out !== 'string') throw new Error('--out=path required');
+        await dumpFixture(flags.out, flags.lot, flags.hours === undefined ? 168 : Number(flags.hours));
         break;
       case 'updateLot':
         if (!flags.lot || !flags.field || typeof flags.value === 'undefined') throw new Error('--lot --field --value required');
@@ -181,6 +528,41 @@ async function help() {
         if (!flags.lot) throw new Error('--lot required');
         await deleteLot(flags.lot);
         break;
+      case 'registerSensor':
+        if (!flags.sensor || !flags.lot || !flags.lane) throw new Error('--sensor --lot --lane required');
+        await registerSensor(flags.sensor, flags.lot, flags.lane, flags.auth || 'hmac', {
+          zoneId: flags.zone,
+          fromZoneId: flags.fromZone,
+          toZoneId: flags.toZone,
+        });
+        break;
+      case 'revokeSensor':
+        if (!flags.sensor) throw new Error('--sensor required');
+        await revokeSensor(flags.sensor);
+        break;
+      case 'listSensors':
+        await listSensors();
+        break;
+      case 'drift':
+        if (!flags.lot) throw new Error('--lot required');
+        await driftReport(flags.lot, flags.hours === undefined ? 24 : Number(flags.hours));
+        break;
+      case 'setZone':
+        if (!flags.lot || !flags.zone || typeof flags.capacity === 'undefined') throw new Error('--lot --zone --capacity required');
+        await setZone(flags.lot, flags.zone, Number(flags.capacity), flags.name);
+        break;
+      case 'cooldown':
+        if (!flags.lot) throw new Error('--lot required (plus --sensor and/or --ms to change a value)');
+        await cooldown(flags.lot, flags.sensor, flags.ms);
+        break;
+      case 'setFootprint':
+        if (!flags.lot || (!flags.file && !flags.clear)) throw new Error('--lot and --file (or --clear) required');
+        await setFootprint(flags.lot, flags.file, Boolean(flags.clear));
+        break;
+      case 'grantAdmin':
+        if (!flags.email) throw new Error('--email required');
+        await grantAdmin(flags.email);
+        break;
       default:
         await help();
         break;
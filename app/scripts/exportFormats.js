@@ -0,0 +1,212 @@
+/******************************************************************************
+ * Code Artifact: scripts/exportFormats.js
+ * Description:
+ *   Column definitions and streaming writers for analyst exports, shared by
+ *   the export endpoints in server.js and `db_tools.js export` so both produce
+ *   byte-identical files. Every row has every column, in the same order, with
+ *   a fixed type, so the output loads straight into pandas/DuckDB/Parquet.
+ *
+ *   Column types:
+ *     string     UTF-8 text (null when absent)
+ *     int64      whole number
+ *     double     floating point
+ *     bool       true / false
+ *     timestamp  ISO 8601 UTC with milliseconds, e.g. 2026-10-18T14:05:00.000Z
+ *     json       JSON text of a nested value, e.g. raw detector metadata
+ *   CSV writes null as an empty field; JSON Lines writes null.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Inputs:
+ *   - events: documents from lots/{lotId}/events (functions/eventCore.js schema)
+ *   - aggregates: hourly rollups from lots/{lotId}/rollups
+ *
+ * Outputs:
+ *   - CSV (header row first) or JSON Lines written to any Writable stream
+ *
+ * Side Effects:
+ *   - Reads Firestore only (no writes)
+ ******************************************************************************/
+
+// Bump when a column is renamed, retyped or removed (adding one at the end is compatible)
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8" },
+};
+
+// Firestore Timestamp or epoch ms -> ISO string
+function toIso(v) {
+  if (v && typeof v.toMillis === "function") return new Date(v.toMillis()).toISOString();
+  if (typeof v === "number" && Number.isFinite(v)) return new Date(v).toISOString();
+  return null;
+}
+
+// Range bound given as an ISO date or epoch ms -> ms (NaN when unparseable)
+function parseTimeValue(val) {
+  const s = String(val);
+  return /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+}
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+const int = (v) => (num(v) === null ? null : Math.round(v));
+const str = (v) => (v === undefined || v === null ? null : String(v));
+
+// One row per event document
+const EVENT_COLUMNS = [
+  { name: "lot_id", type: "string", get: (e, lotId) => str(e.lotId || lotId) },
+  { name: "event_id", type: "string", get: (e, lotId, docId) => str(e.id || docId) },
+  { name: "timestamp", type: "timestamp", get: (e) => toIso(e.timestamp) },
+  { name: "event_type", type: "string", get: (e) => str(e.eventType) },
+  { name: "source", type: "string", get: (e) => str(e.source) },
+  { name: "sensor_id", type: "string", get: (e) => str(e.sensorId) },
+  { name: "zone_id", type: "string", get: (e) => str(e.zoneId) },
+  { name: "from_zone_id", type: "string", get: (e) => str(e.fromZoneId) },
+  { name: "to_zone_id", type: "string", get: (e) => str(e.toZoneId) },
+  { name: "occupancy_before", type: "int64", get: (e) => int(e.occupancy_before) },
+  { name: "occupancy_after", type: "int64", get: (e) => int(e.occupancy_after) },
+  { name: "clamped", type: "string", get: (e) => str(e.clamped) },
+  { name: "clamped_zone", type: "string", get: (e) => str(e.clamped_zone) },
+  { name: "sensor_timestamp", type: "timestamp", get: (e) => toIso(e.sensor_timestamp) },
+  { name: "confidence", type: "double", get: (e) => num(e.confidence) },
+  { name: "detector", type: "json", get: (e) => (e.detector === undefined || e.detector === null ? null : JSON.stringify(e.detector)) },
+  { name: "operator", type: "string", get: (e) => str(e.operator) },
+  { name: "reason", type: "string", get: (e) => str(e.reason) },
+  { name: "deduped", type: "bool", get: (e) => e.deduped === true },
+];
+
+// One row per lot-hour rollup (UTC hours, as stored)
+const AGGREGATE_COLUMNS = [
+  { name: "lot_id", type: "string", get: (r, lotId) => str(lotId) },
+  { name: "hour_start", type: "timestamp", get: (r) => toIso(r.hour_start) },
+  { name: "covered_seconds", type: "double", get: (r) => num(r.covered_seconds) },
+  { name: "occupancy_seconds", type: "double", get: (r) => num(r.occupancy_seconds) },
+  {
+    name: "avg_occupancy",
+    type: "double",
+    get: (r) => (num(r.covered_seconds) ? num(r.occupancy_seconds) / r.covered_seconds : null),
+  },
+  { name: "min_occupancy", type: "int64", get: (r) => int(r.min) },
+  { name: "max_occupancy", type: "int64", get: (r) => int(r.max) },
+  { name: "last_count", type: "int64", get: (r) => int(r.last_count) },
+  { name: "entries", type: "int64", get: (r) => int(r.entries) ?? 0 },
+  { name: "exits", type: "int64", get: (r) => int(r.exits) ?? 0 },
+  { name: "moves", type: "int64", get: (r) => int(r.moves) ?? 0 },
+  { name: "corrections", type: "int64", get: (r) => int(r.corrections) ?? 0 },
+  { name: "full_seconds", type: "double", get: (r) => num(r.full_seconds) ?? 0 },
+  { name: "first_full_at", type: "timestamp", get: (r) => toIso(r.first_full_ms) },
+];
+
+// Which subcollection each export reads and the time field it is ranged and ordered on
+const EXPORT_KINDS = {
+  events: { collection: "events", timeField: "timestamp", columns: EVENT_COLUMNS },
+  aggregates: { collection: "rollups", timeField: "hour_start", columns: AGGREGATE_COLUMNS },
+};
+
+// One ordered query per lot over [fromMs, toMs); either bound may be null.
+// lotIds null means every lot.
+async function exportSources(db, admin, { kind, lotIds = null, fromMs = null, toMs = null }) {
+  const { collection, timeField } = EXPORT_KINDS[kind];
+  const ids = lotIds || (await db.collection("lots").listDocuments()).map((d) => d.id).sort();
+
+  return ids.map((lotId) => {
+    let query = db.collection("lots").doc(lotId).collection(collection);
+    if (fromMs !== null) query = query.where(timeField, ">=", admin.firestore.Timestamp.fromMillis(fromMs));
+    if (toMs !== null) query = query.where(timeField, "<", admin.firestore.Timestamp.fromMillis(toMs));
+    return { lotId, query: query.orderBy(timeField) };
+  });
+}
+
+// "lot_id:string,event_id:string,..." (sent as the X-Export-Columns header)
+function describeColumns(columns) {
+  return columns.map((c) => `${c.name}:${c.type}`).join(",");
+}
+
+function csvField(v) {
+  if (v === null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Returns { header, line(data, lotId, docId) } producing newline-terminated text
+function rowFormatter(format, columns) {
+  if (format === "csv") {
+    return {
+      header: `${columns.map((c) => c.name).join(",")}\n`,
+      line: (data, lotId, docId) => `${columns.map((c) => csvField(c.get(data, lotId, docId))).join(",")}\n`,
+    };
+  }
+  if (format === "jsonl") {
+    return {
+      header: "",
+      line: (data, lotId, docId) => {
+        const row = {};
+        for (const c of columns) row[c.name] = c.get(data, lotId, docId);
+        return `${JSON.stringify(row)}\n`;
+      },
+    };
+  }
+  throw new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+}
+
+function readerGone() {
+  const err = new Error("Export reader went away before the export finished");
+  err.code = "ERR_STREAM_PREMATURE_CLOSE";
+  return err;
+}
+
+// Resolves when out drains. A reader that goes away (client disconnect,
+// closed pipe) never drains, so this rejects if out closes or errors first.
+function drained(out) {
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      out.off("drain", settle);
+      out.off("close", onClose);
+      out.off("error", settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onClose = () => settle(readerGone());
+    out.on("drain", settle);
+    out.on("close", onClose);
+    out.on("error", settle);
+  });
+}
+
+// Writes rows to out as they arrive, waiting on backpressure. sources is a
+// list of { lotId, query }, read in order with query.stream() so a full
+// history never has to fit in memory. Returns the number of rows written.
+// Rejects with code ERR_STREAM_PREMATURE_CLOSE, and stops reading, as soon
+// as out is gone.
+async function streamExport(out, { format, columns, sources }) {
+  const fmt = rowFormatter(format, columns);
+  const write = async (text) => {
+    if (out.destroyed || out.writableEnded) throw readerGone();
+    if (text && !out.write(text)) await drained(out);
+  };
+
+  let rows = 0;
+  await write(fmt.header);
+  for (const { lotId, query } of sources) {
+    for await (const doc of query.stream()) {
+      await write(fmt.line(doc.data() || {}, lotId, doc.id));
+      rows++;
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  EXPORT_SCHEMA_VERSION,
+  EXPORT_FORMATS,
+  EVENT_COLUMNS,
+  AGGREGATE_COLUMNS,
+  EXPORT_KINDS,
+  exportSources,
+  parseTimeValue,
+  describeColumns,
+  rowFormatter,
+  streamExport,
+};
@@ -0,0 +1,165 @@
+/******************************************************************************
+ * Code Artifact: scripts/forecast.js
+ * Description:
+ *   Short-range occupancy forecast for one lot, served by server.js
+ *   (GET /api/lot/:lotId/forecast). Pure function over data the server has
+ *   already read, so it can be reused by other scripts.
+ *
+ *   For each upcoming lot-local hour the prediction starts from count_now and
+ *   blends two signals: the recent net entry rate (trusted for the next hour
+ *   or so) and the historical profile's change from now to that hour (trusted
+ *   further out). Same-day parkingEvents that list the lot add their expected
+ *   extra load while they run.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Inputs:
+ *   - lot: lot document (capacity, name/displayName, timezone, historicalData)
+ *   - countNow: current occupancy; recent: ENTRY/EXIT events from the last hour
+ *     (deduped events are skipped)
+ *   - events: parkingEvents list (src/data/parkingEvents.json)
+ *
+ * Outputs:
+ *   - { timezone, netRatePerHour, profile, specialEvents, intervals: [...] }
+ ******************************************************************************/
+
+const { lotTimeZone, localHourAndDay } = require("../../functions/analytics");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_FORECAST_HOURS = 6;
+const MAX_FORECAST_HOURS = 12;
+
+// How far back entries/exits count towards the current trend
+const TREND_WINDOW_MS = HOUR_MS;
+
+// Extra share of capacity expected while a special event runs
+const EVENT_IMPACT = { High: 0.25, Medium: 0.15, Low: 0.05 };
+
+// "6:30 PM" -> 18.5 (hours since local midnight), null if unparseable
+function parseClock(text) {
+  const m = /^\s*(\d{1,2})(?::(\d{2}))?\s*(AM|PM)\s*$/i.exec(text || "");
+  if (!m) return null;
+  const hour = (Number(m[1]) % 12) + (m[3].toUpperCase() === "PM" ? 12 : 0);
+  return hour + Number(m[2] || 0) / 60;
+}
+
+// Local hours an event affects parking: a range from an hour before it starts,
+// a single start time from two hours before to an hour after (kickoff rule)
+function eventWindow(event) {
+  const time = String(event.time || "");
+  if (/all day/i.test(time)) return { start: 0, end: 24 };
+
+  const [from, to] = time.split(/\s*[–-]\s*/);
+  const start = parseClock(from);
+  if (start === null) return null;
+  const end = parseClock(to);
+  if (end !== null) return { start: start - 1, end };
+  return { start: start - 2, end: start + 1 };
+}
+
+// Events on dateKey ("YYYY-MM-DD", lot-local) whose lotsAffected names this lot
+function eventsForLot(events, lotId, lot, dateKey) {
+  const names = [lotId, lot.name, lot.displayName].filter(Boolean).map((n) => String(n).toLowerCase());
+  return (events || []).filter(
+    (e) => e.date === dateKey && (e.lotsAffected || []).some((n) => names.includes(String(n).toLowerCase()))
+  );
+}
+
+// Historical average count for a lot-local hour: weekday curve when the
+// analytics job has produced one, otherwise the all-days curve
+function profileLookup(lot) {
+  const hist = lot.historicalData || {};
+  const byDay = hist.averageByWeekdayHour || {};
+  const byHour = hist.averageByHour || {};
+
+  if (Object.keys(byDay).length > 0) {
+    return { kind: "weekday", at: ({ day, hour }) => Number(byDay[String(day)]?.[String(hour)] || 0) };
+  }
+  if (Object.keys(byHour).length > 0) {
+    return { kind: "all-days", at: ({ hour }) => Number(byHour[String(hour)] || 0) };
+  }
+  return { kind: "none", at: () => 0 };
+}
+
+function localDateKey(ms, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+    .format(new Date(ms));
+}
+
+// Forecast for the next `hours` whole lot-local hours, one interval each.
+function buildForecast({ lotId, lot, countNow, recent, events, nowMs = Date.now(), hours = DEFAULT_FORECAST_HOURS }) {
+  const timeZone = lotTimeZone(lot);
+  const cap = typeof lot.capacity === "number" && lot.capacity > 0 ? lot.capacity : null;
+  const clamp = (n) => Math.max(0, cap === null ? n : Math.min(cap, n));
+
+  let entries = 0;
+  let exits = 0;
+  for (const e of recent || []) {
+    // deduped events were kept for audit but never moved the count
+    if (e.deduped) continue;
+    if (e.eventType === "ENTRY") entries++;
+    else if (e.eventType === "EXIT") exits++;
+  }
+  const netRatePerHour = (entries - exits) / (TREND_WINDOW_MS / HOUR_MS);
+
+  const profile = profileLookup(lot);
+  const profileNow = profile.at(localHourAndDay(nowMs, timeZone));
+
+  const todaysEvents = eventsForLot(events, lotId, lot, localDateKey(nowMs, timeZone));
+
+  // Spread grows with distance; without a profile we are mostly guessing
+  const baseSpread = Math.max(2, 0.05 * (cap || 0)) * (profile.kind === "none" ? 2 : 1);
+
+  const intervals = [];
+  const firstHour = Math.floor(nowMs / HOUR_MS) * HOUR_MS + HOUR_MS;
+  for (let k = 0; k < hours; k++) {
+    const startMs = firstHour + k * HOUR_MS;
+    const midMs = startMs + HOUR_MS / 2;
+    const local = localHourAndDay(startMs, timeZone);
+    const ahead = (midMs - nowMs) / HOUR_MS;
+
+    // Momentum fades by half each hour; the profile takes over
+    const trendWeight = Math.pow(0.5, ahead);
+    const trendDelta = netRatePerHour * Math.min(ahead, 1);
+    const profileDelta = profile.at(local) - profileNow;
+    let predicted = countNow + trendWeight * trendDelta + (1 - trendWeight) * profileDelta;
+
+    // Same-day events only count on the day they are listed for
+    const active = localDateKey(startMs, timeZone) === localDateKey(nowMs, timeZone)
+      ? todaysEvents.filter((e) => {
+        const w = eventWindow(e);
+        return w && local.hour + 0.5 >= w.start && local.hour + 0.5 <= w.end;
+      })
+      : [];
+    const boost = Math.max(0, ...active.map((e) => (EVENT_IMPACT[e.impactLevel] || 0) * (cap || 0)));
+    predicted += boost;
+
+    const spread = baseSpread * Math.sqrt(ahead) + boost / 2;
+
+    intervals.push({
+      start: new Date(startMs).toISOString(),
+      end: new Date(startMs + HOUR_MS).toISOString(),
+      localHour: local.hour,
+      predicted: Math.round(clamp(predicted)),
+      low: Math.round(clamp(predicted - spread)),
+      high: Math.round(clamp(predicted + spread)),
+      events: active.map((e) => e.id),
+    });
+  }
+
+  return {
+    timezone: timeZone,
+    netRatePerHour,
+    profile: profile.kind,
+    specialEvents: todaysEvents.map((e) => ({ id: e.id, title: e.title, time: e.time, impactLevel: e.impactLevel })),
+    intervals,
+  };
+}
+
+module.exports = {
+  DEFAULT_FORECAST_HOURS,
+  MAX_FORECAST_HOURS,
+  TREND_WINDOW_MS,
+  buildForecast,
+};
@@ -18,8 +18,8 @@ Acceptable Input Values or Types and Meanings:
 - Command-line arguments
 - Timing and threshold arguments: positive float values representing seconds,
   centimeters, or detection thresholds.
-- --sensor-label, --sensor-id, --lot-id, --firebase-url, --api-key: strings
-  used for logging and optional backend integration.
+- --sensor-label, --sensor-id, --lot-id, --firebase-url, --api-key,
+  --signing-secret: strings used for logging and optional backend integration.
 - Sensor readings are expected to be numeric distance values in centimeters.
 
 Unacceptable Input Values or Types and Meanings:
@@ -35,7 +35,8 @@ Unacceptable Input Values or Types and Meanings:
 
 Postconditions:
 - If enabled, confirmed vehicle-pass events are submitted to the configured
-  Firebase endpoint.
+  Firebase endpoint, and a heartbeat (uptime, baseline, error count) is posted
+  periodically so the backend can tell a quiet lot from a dead sensor.
 
 
 Error and Exception Conditions That Can Occur:
@@ -46,25 +47,30 @@ Error and Exception Conditions That Can Occur:
 Side Effects:
 - Reads from LiDAR hardware over I2C when not in mock mode.
 - Writes operational messages and event logs to stdout.
-- Sends HTTP POST requests to Firebase when configured to do so.
+- Sends HTTP POST requests to Firebase when configured to do so; heartbeats
+  are sent from a background thread.
 - Sleeps between sensor polls and calibration samples.
 
 Known Faults:
 - Detection accuracy depends heavily on sensor placement and threshold tuning.
-- Network delivery failures are logged but not retried.
+- Network delivery failures are logged and counted in the heartbeat, but not retried.
 - This implementation assumes a single monitored lane or detection zone.
 """
 
 from __future__ import annotations
 
 import argparse
+import hashlib
+import hmac
 import json
 import random
+import threading
 import time
 import urllib.error
 import urllib.request
+import uuid
 from collections import deque
-from dataclasses import dataclass
+from dataclasses import dataclass, field
 from datetime import datetime
 from typing import Optional, Protocol
 
@@ -177,6 +183,25 @@ class DetectorConfig:
     stalled_vehicle_warning_s: float = 4.0
 
 
+@dataclass
+class SensorHealth:
+    # Reported in each heartbeat; error_count is cumulative for this process.
+    # Shared by the sampling loop and the heartbeat thread, so update it
+    # through the methods below.
+    started_at: float
+    error_count: int = 0
+    last_poll_at: Optional[float] = None
+    _lock: threading.Lock = field(default_factory=threading.Lock, repr=False)
+
+    def record_error(self) -> None:
+        with self._lock:
+            self.error_count += 1
+
+    def record_poll(self, now: float) -> None:
+        with self._lock:
+            self.last_poll_at = now
+
+
 class VehiclePassDetector:
     """
     Simple state machine:
@@ -328,12 +353,45 @@ class VehiclePassDetector:
         return event if event["type"] == "vehicle_pass" else None
 
 
+DEFAULT_EVENT_URL = (
+    "https://us-central1-parking-capstone-9778c.cloudfunctions.net/event"
+)
 DEFAULT_EVENT_ENTRY_URL = (
     "https://us-central1-parking-capstone-9778c.cloudfunctions.net/eventEntry"
 )
 DEFAULT_EVENT_EXIT_URL = (
     "https://us-central1-parking-capstone-9778c.cloudfunctions.net/eventExit"
 )
+DEFAULT_HEARTBEAT_URL = (
+    "https://us-central1-parking-capstone-9778c.cloudfunctions.net/sensorHeartbeat"
+)
+
+
+def sign_request(payload: bytes, signing_secret: str) -> dict:
+    # Matches verifySignature in functions/index.js: HMAC-SHA256 over
+    # "<epoch ms>.<nonce>." followed by the exact body bytes.
+    timestamp = str(int(time.time() * 1000))
+    nonce = uuid.uuid4().hex
+    message = f"{timestamp}.{nonce}.".encode("utf-8") + payload
+    signature = hmac.new(
+        signing_secret.encode("utf-8"), message, hashlib.sha256
+    ).hexdigest()
+    return {
+        "x-signature-timestamp": timestamp,
+        "x-signature-nonce": nonce,
+        "x-signature": signature,
+    }
+
+
+def build_firebase_headers(
+    payload: bytes, api_key: Optional[str], signing_secret: Optional[str]
+) -> dict:
+    headers = {"Content-Type": "application/json"}
+    if signing_secret:
+        headers.update(sign_request(payload, signing_secret))
+    elif api_key:
+        headers["x-api-key"] = api_key
+    return headers
 
 
 def post_vehicle_event_to_firebase(
@@ -343,14 +401,13 @@ def post_vehicle_event_to_firebase(
     lot_id: str,
     sensor_id: str,
     api_key: Optional[str],
+    signing_secret: Optional[str],
     timeout_s: float,
-) -> None:
+) -> bool:
     # Keep the outbound payload minimal because the Cloud Function determines
     # how the lot count should be updated from the endpoint being called.
     payload = json.dumps({"lotId": lot_id, "sensorId": sensor_id}).encode("utf-8")
-    headers = {"Content-Type": "application/json"}
-    if api_key:
-        headers["x-api-key"] = api_key
+    headers = build_firebase_headers(payload, api_key, signing_secret)
 
     request = urllib.request.Request(url, data=payload, headers=headers, method="POST")
     try:
@@ -360,6 +417,7 @@ def post_vehicle_event_to_firebase(
             f"[{event['timestamp']}] [{sensor_id}] Firebase update OK "
             f"for {lot_id}: {response_body}"
         )
+        return True
     except urllib.error.HTTPError as exc:
         error_body = exc.read().decode("utf-8", errors="replace")
         print(
@@ -371,9 +429,84 @@ def post_vehicle_event_to_firebase(
             f"[{event['timestamp']}] [{sensor_id}] Firebase update failed: "
             f"{exc.reason}"
         )
+    return False
+
 
+def post_heartbeat_to_firebase(
+    *,
+    url: str,
+    lot_id: str,
+    sensor_id: str,
+    api_key: Optional[str],
+    signing_secret: Optional[str],
+    timeout_s: float,
+    health: SensorHealth,
+    baseline_cm: Optional[float],
+) -> bool:
+    body = {
+        "lotId": lot_id,
+        "sensorId": sensor_id,
+        "uptimeSeconds": round(time.monotonic() - health.started_at, 1),
+        "errorCount": health.error_count,
+    }
+    if baseline_cm:
+        body["baselineCm"] = round(baseline_cm, 1)
+    payload = json.dumps(body).encode("utf-8")
+    headers = build_firebase_headers(payload, api_key, signing_secret)
 
-def handle_vehicle_pass(event: dict, args: argparse.Namespace) -> None:
+    request = urllib.request.Request(url, data=payload, headers=headers, method="POST")
+    timestamp = datetime.now().isoformat(timespec="seconds")
+    try:
+        with urllib.request.urlopen(request, timeout=timeout_s):
+            pass
+        return True
+    except urllib.error.HTTPError as exc:
+        error_body = exc.read().decode("utf-8", errors="replace")
+        print(f"[{timestamp}] [{sensor_id}] Heartbeat failed HTTP {exc.code}: {error_body}")
+    except urllib.error.URLError as exc:
+        print(f"[{timestamp}] [{sensor_id}] Heartbeat failed: {exc.reason}")
+    return False
+
+
+def start_heartbeat_thread(
+    args: argparse.Namespace,
+    health: SensorHealth,
+    detector: VehiclePassDetector,
+    stop: threading.Event,
+) -> threading.Thread:
+    """
+    Posts a heartbeat every --heartbeat-every seconds from a daemon thread, so
+    a slow or unreachable endpoint never stalls sampling. Heartbeats pause
+    while the sampling loop has not polled recently, which still lets the
+    backend flag this sensor offline if the loop dies or hangs.
+    """
+    stale_after_s = max(args.heartbeat_every, 5.0)
+
+    def run() -> None:
+        while not stop.is_set():
+            last_poll_at = health.last_poll_at
+            if last_poll_at is not None and time.monotonic() - last_poll_at <= stale_after_s:
+                if not post_heartbeat_to_firebase(
+                    url=args.heartbeat_url,
+                    lot_id=args.lot_id,
+                    sensor_id=args.sensor_id,
+                    api_key=args.api_key,
+                    signing_secret=args.signing_secret,
+                    timeout_s=args.firebase_timeout,
+                    health=health,
+                    baseline_cm=detector.baseline_cm,
+                ):
+                    health.record_error()
+            stop.wait(args.heartbeat_every)
+
+    thread = threading.Thread(target=run, name="heartbeat", daemon=True)
+    thread.start()
+    return thread
+
+
+def handle_vehicle_pass(
+    event: dict, args: argparse.Namespace, health: SensorHealth
+) -> None:
     """
     Replace this with your integration:
     - increment parking count
@@ -390,19 +523,24 @@ def handle_vehicle_pass(event: dict, args: argparse.Namespace) -> None:
         f"baseline={event['baseline_cm']}cm)"
     )
     if args.firebase_url:
-        post_vehicle_event_to_firebase(
+        delivered = post_vehicle_event_to_firebase(
             event=event,
             url=args.firebase_url,
             lot_id=args.lot_id,
             sensor_id=args.sensor_id,
             api_key=args.api_key,
+            signing_secret=args.signing_secret,
             timeout_s=args.firebase_timeout,
         )
+        if not delivered:
+            health.record_error()
 
 
-def handle_detector_event(event: dict, args: argparse.Namespace) -> None:
+def handle_detector_event(
+    event: dict, args: argparse.Namespace, health: SensorHealth
+) -> None:
     if event["type"] == "vehicle_pass":
-        handle_vehicle_pass(event, args)
+        handle_vehicle_pass(event, args, health)
     elif event["type"] == "blocked_zone":
         sensor_label = event.get("sensor", "lidar")
         print(
@@ -496,9 +634,12 @@ def parse_args() -> argparse.Namespace:
     )
     parser.add_argument(
         "--firebase-event",
-        choices=["entry", "exit"],
-        default="entry",
-        help="Which Firebase event endpoint to use when --send-to-firebase is set",
+        choices=["lane", "entry", "exit"],
+        default="lane",
+        help=(
+            "Which Firebase event endpoint to use when --send-to-firebase is set; "
+            "'lane' lets the backend pick ENTRY/EXIT from this sensor's configured lane"
+        ),
     )
     parser.add_argument(
         "--firebase-url",
@@ -522,7 +663,13 @@ def parse_args() -> argparse.Namespace:
         "--api-key",
         type=str,
         default=None,
-        help="Optional x-api-key header value if the Cloud Function requires one",
+        help="Legacy sensor API key sent as x-api-key (db_tools.js registerSensor --auth=api_key)",
+    )
+    parser.add_argument(
+        "--signing-secret",
+        type=str,
+        default=None,
+        help="HMAC signing secret issued by db_tools.js registerSensor; takes precedence over --api-key",
     )
     parser.add_argument(
         "--firebase-timeout",
@@ -530,6 +677,18 @@ def parse_args() -> argparse.Namespace:
         default=5.0,
         help="Seconds to wait for the Firebase event POST before logging an error",
     )
+    parser.add_argument(
+        "--heartbeat-every",
+        type=float,
+        default=60.0,
+        help="Seconds between sensor heartbeats when --send-to-firebase is set (0 disables)",
+    )
+    parser.add_argument(
+        "--heartbeat-url",
+        type=str,
+        default=None,
+        help="Override the Firebase Cloud Function URL used for sensor heartbeats",
+    )
     return parser.parse_args()
 
 
@@ -537,11 +696,13 @@ def main() -> None:
     args = parse_args()
     args.sensor_id = args.sensor_id or args.sensor_label
     if args.send_to_firebase and args.firebase_url is None:
-        args.firebase_url = (
-            DEFAULT_EVENT_ENTRY_URL
-            if args.firebase_event == "entry"
-            else DEFAULT_EVENT_EXIT_URL
-        )
+        args.firebase_url = {
+            "lane": DEFAULT_EVENT_URL,
+            "entry": DEFAULT_EVENT_ENTRY_URL,
+            "exit": DEFAULT_EVENT_EXIT_URL,
+        }[args.firebase_event]
+    if args.send_to_firebase and args.heartbeat_url is None and args.heartbeat_every > 0:
+        args.heartbeat_url = DEFAULT_HEARTBEAT_URL
 
     sensor: DistanceSensor
     real_sensor: Optional[LidarLiteV3] = None
@@ -564,12 +725,16 @@ def main() -> None:
     detector = VehiclePassDetector(sensor=sensor, config=config)
     next_reading_log_at = 0.0
     last_motion_state: Optional[bool] = None
+    health = SensorHealth(started_at=time.monotonic())
+    stop_heartbeat = threading.Event()
 
     try:
         # Establish the empty-lane baseline before starting the live monitoring loop.
         print("Calibrating baseline... keep the detection area clear.")
         baseline = detector.calibrate()
         print(f"Baseline distance: {baseline:.1f} cm")
+        if args.heartbeat_url and args.heartbeat_every > 0:
+            start_heartbeat_thread(args, health, detector, stop_heartbeat)
         print("Monitoring for vehicles (Ctrl+C to stop)...")
 
         while True:
@@ -611,13 +776,16 @@ def main() -> None:
                     )
                     last_motion_state = motion_now
 
+            health.record_poll(now)
+
             if event:
                 event["sensor"] = args.sensor_label
-                handle_detector_event(event, args)
+                handle_detector_event(event, args, health)
             time.sleep(config.sample_interval_s)
     except KeyboardInterrupt:
         print("\nStopped.")
     finally:
+        stop_heartbeat.set()
         if real_sensor is not None:
             real_sensor.close()
 
@@ -0,0 +1,203 @@
+/******************************************************************************
+ * Code Artifact: scripts/liveHub.js
+ * Description:
+ *   Fan-out of live lot occupancy to Server-Sent Events clients for
+ *   GET /api/lots/stream and GET /api/lot/:lotId/stream in server.js.
+ *   One repository watchStatus listener per lot status document (a Firestore
+ *   onSnapshot listener on the firestore and emulator backends) is shared by
+ *   every client watching that lot (the all-lots stream adds one watchLots
+ *   listener to discover lots), and it is dropped when the last client
+ *   leaves. Recent updates are buffered so a reconnecting browser
+ *   resumes from its Last-Event-ID instead of missing changes.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ * Revision: 2026-10-18 (reads through the storage repository in lotRepository.js)
+ * Revision: 2026-10-18 (status events carry zone_counts)
+ *
+ * Implements Requirements:
+ *   - Req 22: Near-real-time updates (pushed as soon as Firestore reports them)
+ *
+ * Inputs:
+ *   - lots/{lotId}/_meta/current_status documents (count_now, last_updated,
+ *     zone_counts)
+ *
+ * Outputs:
+ *   - SSE "status" events: data { lotId, count_now, last_updated (ISO),
+ *     zone_counts ({ zoneId: count }, {} for lots without zones) }
+ *   - ": heartbeat" comments so proxies keep idle connections open
+ *
+ * Side Effects:
+ *   - Reads Firestore only (no writes)
+ ******************************************************************************/
+
+const DEFAULT_BUFFER_SIZE = 500;
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+
+// How long a browser waits before reconnecting after a drop
+const RETRY_MS = 3000;
+
+function toIso(v) {
+  if (v && typeof v.toDate === "function") return v.toDate().toISOString();
+  return typeof v === "string" ? v : null;
+}
+
+function createLiveHub(repo, { bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+  // Event ids are `${bootId}-${seq}`; an id from an earlier process cannot be
+  // resumed from the buffer, so that client gets a fresh snapshot instead
+  const bootId = Date.now().toString(36);
+  let seq = 0;
+  const recent = []; // [{ seq, lotId, payload }], oldest first
+  const latest = new Map(); // lotId -> { seq, payload }
+  const watchers = new Map(); // lotId -> { refs, unsubscribe }
+  const clients = new Set(); // { lotId (null = all lots), res }
+  let lotsWatch = null; // { refs, unsubscribe, lotIds }
+  let heartbeat = null;
+
+  const write = (res, entry) => {
+    res.write(`id: ${bootId}-${entry.seq}\nevent: status\ndata: ${JSON.stringify(entry.payload)}\n\n`);
+  };
+  const wants = (client, lotId) => client.lotId === null || client.lotId === lotId;
+
+  function publish(lotId, status) {
+    const payload = {
+      lotId,
+      count_now: status.count_now ?? 0,
+      last_updated: toIso(status.last_updated),
+      zone_counts: status.zone_counts && typeof status.zone_counts === "object" ? status.zone_counts : {},
+    };
+    // current_status also changes for cooldown bookkeeping, etc.
+    const prev = latest.get(lotId);
+    if (prev && JSON.stringify(prev.payload) === JSON.stringify(payload)) {
+      return;
+    }
+
+    const entry = { seq: ++seq, lotId, payload };
+    latest.set(lotId, entry);
+    recent.push(entry);
+    if (recent.length > bufferSize) recent.shift();
+    for (const client of clients) {
+      if (wants(client, lotId)) write(client.res, entry);
+    }
+  }
+
+  function watchLot(lotId) {
+    const existing = watchers.get(lotId);
+    if (existing) {
+      existing.refs++;
+      return;
+    }
+    const unsubscribe = repo.watchStatus(
+      lotId,
+      (status) => publish(lotId, status || {}),
+      (err) => console.error(`Status listener for ${lotId} failed:`, err.message || err)
+    );
+    watchers.set(lotId, { refs: 1, unsubscribe });
+  }
+
+  function unwatchLot(lotId) {
+    const w = watchers.get(lotId);
+    if (!w || --w.refs > 0) return;
+    w.unsubscribe();
+    watchers.delete(lotId);
+    // No listener keeps it current any more; the next one starts fresh
+    latest.delete(lotId);
+  }
+
+  // The all-lots stream holds one reference on each lot's listener, taken
+  // and released as lots appear in and disappear from the collection
+  function watchAllLots() {
+    if (lotsWatch) {
+      lotsWatch.refs++;
+      return;
+    }
+    const lotIds = new Set();
+    const unsubscribe = repo.watchLots(
+      (changes) => {
+        for (const change of changes) {
+          const id = change.id;
+          if (change.type === "added" && !lotIds.has(id)) {
+            lotIds.add(id);
+            watchLot(id);
+          } else if (change.type === "removed" && lotIds.has(id)) {
+            lotIds.delete(id);
+            unwatchLot(id);
+          }
+        }
+      },
+      (err) => console.error("Lots listener failed:", err.message || err)
+    );
+    lotsWatch = { refs: 1, unsubscribe, lotIds };
+  }
+
+  function unwatchAllLots() {
+    if (!lotsWatch || --lotsWatch.refs > 0) return;
+    lotsWatch.unsubscribe();
+    for (const id of lotsWatch.lotIds) unwatchLot(id);
+    lotsWatch = null;
+  }
+
+  function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => {
+      const line = `: heartbeat ${new Date().toISOString()}\n\n`;
+      for (const client of clients) client.res.write(line);
+    }, heartbeatMs);
+  }
+
+  // Buffered updates after lastEventId for this client, or null when that id
+  // cannot be resumed (other process, or already pushed out of the buffer)
+  function missedSince(lastEventId, client) {
+    const m = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId || "");
+    if (!m || m[1] !== bootId) return null;
+    const lastSeq = Number(m[2]);
+    if (lastSeq > seq) return null;
+    if (recent.length > 0 && lastSeq < recent[0].seq - 1) return null;
+    return recent.filter((e) => e.seq > lastSeq && wants(client, e.lotId));
+  }
+
+  // Turns res into an event stream for one lot (lotId) or every lot (null)
+  // until the client disconnects. Starts with what it missed since
+  // lastEventId, or else the current status of each lot already known.
+  function subscribe(req, res, { lotId = null, lastEventId = null } = {}) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Keeps nginx-style proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { lotId, res };
+    const missed = missedSince(lastEventId, client);
+    const backlog = missed !== null
+      ? missed
+      : [...latest.values()].filter((e) => wants(client, e.lotId)).sort((a, b) => a.seq - b.seq);
+    for (const entry of backlog) write(res, entry);
+
+    clients.add(client);
+    if (lotId === null) watchAllLots();
+    else watchLot(lotId);
+    startHeartbeat();
+
+    // The response closes when the client goes away, whatever the request
+    // stream is doing
+    res.on("close", () => {
+      clients.delete(client);
+      if (lotId === null) unwatchAllLots();
+      else unwatchLot(lotId);
+      if (clients.size === 0 && heartbeat) {
+        clearInterval(heartbeat);
+        heartbeat = null;
+      }
+    });
+  }
+
+  return { subscribe };
+}
+
+module.exports = {
+  createLiveHub,
+};
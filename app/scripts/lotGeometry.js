@@ -0,0 +1,140 @@
+/******************************************************************************
+ * Code Artifact: scripts/lotGeometry.js
+ * Description:
+ *   Lot footprints (GeoJSON Polygon / MultiPolygon) and the GeoJSON feed of
+ *   lots. `db_tools.js setFootprint` validates a footprint with
+ *   normalizeFootprint before storing it; GET /api/lots.geojson in server.js
+ *   turns lots into a FeatureCollection with lotsFeatureCollection.
+ *
+ *   Firestore cannot store nested arrays, so the footprint is kept on the
+ *   lot doc as JSON text in footprintGeoJSON. Lots without one are served as
+ *   their latitude/longitude Point (or null geometry if they have neither).
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Inputs:
+ *   - GeoJSON Polygon / MultiPolygon geometry, Feature or FeatureCollection
+ *     (RFC 7946: [longitude, latitude] positions in WGS 84, closed rings)
+ *
+ * Outputs:
+ *   - Normalized footprint geometry; GeoJSON FeatureCollection of lots
+ ******************************************************************************/
+
+// Keeps the JSON text far below Firestore's 1 MiB document limit
+const MAX_FOOTPRINT_POSITIONS = 5000;
+
+const GEOJSON_CONTENT_TYPE = "application/geo+json";
+
+// [lng, lat] -> [lng, lat] (altitude dropped); throws on anything else
+function normalizePosition(pos, where) {
+  if (!Array.isArray(pos) || pos.length < 2) throw new Error(`${where}: position must be [longitude, latitude]`);
+  const [lng, lat] = pos;
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+    throw new Error(`${where}: [${lng}, ${lat}] is not a [longitude, latitude] in degrees`);
+  }
+  return [lng, lat];
+}
+
+function normalizeRing(ring, where) {
+  if (!Array.isArray(ring) || ring.length < 4) throw new Error(`${where}: a ring needs at least 4 positions`);
+  const positions = ring.map((pos, i) => normalizePosition(pos, `${where}[${i}]`));
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    throw new Error(`${where}: ring is not closed (last position must equal the first)`);
+  }
+  return positions;
+}
+
+function normalizePolygon(rings, where) {
+  if (!Array.isArray(rings) || rings.length === 0) throw new Error(`${where}: polygon has no rings`);
+  return rings.map((ring, i) => normalizeRing(ring, `${where}[${i}]`));
+}
+
+// Picks the geometry out of a Feature or FeatureCollection. A collection with
+// several features must have exactly one whose id (or properties.id / lotId)
+// is lotId.
+function pickGeometry(geojson, lotId) {
+  if (!geojson || typeof geojson !== "object") throw new Error("footprint must be a GeoJSON object");
+
+  if (geojson.type === "FeatureCollection") {
+    const features = Array.isArray(geojson.features) ? geojson.features : [];
+    const matches = features.length === 1
+      ? features
+      : features.filter((f) => [f?.id, f?.properties?.id, f?.properties?.lotId].includes(lotId));
+    if (matches.length !== 1) {
+      throw new Error(`FeatureCollection has ${features.length} features and ${matches.length} for lot ${lotId}; expected exactly one`);
+    }
+    return pickGeometry(matches[0], lotId);
+  }
+  if (geojson.type === "Feature") return geojson.geometry;
+  return geojson;
+}
+
+// Validated { type: "Polygon" | "MultiPolygon", coordinates } from any
+// accepted GeoJSON input; throws an Error saying what is wrong
+function normalizeFootprint(geojson, lotId = null) {
+  const geometry = pickGeometry(geojson, lotId);
+  if (!geometry || typeof geometry !== "object") throw new Error("footprint feature has no geometry");
+
+  let coordinates;
+  if (geometry.type === "Polygon") {
+    coordinates = normalizePolygon(geometry.coordinates, "coordinates");
+  } else if (geometry.type === "MultiPolygon") {
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+      throw new Error("coordinates: MultiPolygon has no polygons");
+    }
+    coordinates = geometry.coordinates.map((rings, i) => normalizePolygon(rings, `coordinates[${i}]`));
+  } else {
+    throw new Error(`footprint must be a Polygon or MultiPolygon, not ${geometry.type}`);
+  }
+
+  const positions = coordinates.flat(geometry.type === "Polygon" ? 1 : 2).length;
+  if (positions > MAX_FOOTPRINT_POSITIONS) {
+    throw new Error(`footprint has ${positions} positions; simplify it to at most ${MAX_FOOTPRINT_POSITIONS}`);
+  }
+  return { type: geometry.type, coordinates };
+}
+
+// Stored footprintGeoJSON text -> geometry, or null if absent or unreadable
+function parseStoredFootprint(text) {
+  if (typeof text !== "string" || text === "") return null;
+  try {
+    const geometry = JSON.parse(text);
+    return geometry && (geometry.type === "Polygon" || geometry.type === "MultiPolygon") ? geometry : null;
+  } catch {
+    return null;
+  }
+}
+
+// The lot's footprint, else its point, else null
+function lotGeometry(lot) {
+  const footprint = parseStoredFootprint(lot.footprintGeoJSON);
+  if (footprint) return footprint;
+  if (Number.isFinite(lot.latitude) && Number.isFinite(lot.longitude)) {
+    return { type: "Point", coordinates: [lot.longitude, lot.latitude] };
+  }
+  return null;
+}
+
+// entries: [{ id, lot (the lot doc), properties }] -> FeatureCollection with
+// one Feature per lot, id = lot id
+function lotsFeatureCollection(entries) {
+  return {
+    type: "FeatureCollection",
+    features: entries.map(({ id, lot, properties }) => ({
+      type: "Feature",
+      id,
+      geometry: lotGeometry(lot),
+      properties,
+    })),
+  };
+}
+
+module.exports = {
+  GEOJSON_CONTENT_TYPE,
+  normalizeFootprint,
+  parseStoredFootprint,
+  lotsFeatureCollection,
+};
@@ -0,0 +1,124 @@
+/******************************************************************************
+ * Code Artifact: scripts/lotQuery.js
+ * Description:
+ *   Query parameters for GET /api/lots in server.js: filters by permit, free
+ *   spaces, fullness and distance from a point, plus sorting and a limit, so
+ *   a client can ask for "the closest Red-permit lot with 10+ spots" in one
+ *   call instead of downloading every lot and filtering locally.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Inputs (all optional):
+ *   - permit=Red[,Yellow]   lot permit, any of (case-insensitive)
+ *   - minAvailable=N        at least N free spaces
+ *   - maxPercentFull=P      at most P percent full (0-100)
+ *   - near=lat,lng          reference point; adds distanceMeters to each lot
+ *   - radius=M              within M meters of near (requires near)
+ *   - sort=available|distance|name   (distance requires near)
+ *   - limit=N               first N lots after sorting
+ *
+ * Outputs:
+ *   - lots with available, percentFull and distanceMeters (null without near)
+ ******************************************************************************/
+
+const SORTS = ["available", "distance", "name"];
+const EARTH_RADIUS_M = 6371008.8;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  throw err;
+}
+
+function numberParam(name, val, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (val === undefined || val === "") return null;
+  const n = Number(val);
+  if (typeof val !== "string" || !Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    const range = [min > -Infinity && `>= ${min}`, max < Infinity && `<= ${max}`].filter(Boolean).join(" and ");
+    badRequest(`${name} must be ${integer ? "an integer" : "a number"} ${range}`.trim());
+  }
+  return n;
+}
+
+// Great-circle distance between two { lat, lng } points (haversine)
+function distanceMeters(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Validates req.query; throws an Error with status 400 on bad input
+function parseLotQuery(query) {
+  const permits = typeof query.permit === "string" && query.permit
+    ? query.permit.split(",").map((p) => p.trim().toLowerCase()).filter(Boolean)
+    : null;
+
+  let near = null;
+  if (query.near !== undefined) {
+    const parts = typeof query.near === "string" ? query.near.split(",") : [];
+    const [lat, lng] = parts.map((p) => Number(p.trim()));
+    if (parts.length !== 2 || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      badRequest("near must be lat,lng in degrees");
+    }
+    near = { lat, lng };
+  }
+
+  const radius = numberParam("radius", query.radius, { min: 0 });
+  if (radius !== null && !near) badRequest("radius requires near");
+
+  const sort = query.sort === undefined ? null : query.sort;
+  if (sort !== null && !SORTS.includes(sort)) badRequest(`sort must be one of ${SORTS.join(", ")}`);
+  if (sort === "distance" && !near) badRequest("sort=distance requires near");
+
+  return {
+    permits,
+    minAvailable: numberParam("minAvailable", query.minAvailable, { min: 0 }),
+    maxPercentFull: numberParam("maxPercentFull", query.maxPercentFull, { min: 0, max: 100 }),
+    near,
+    radius,
+    sort,
+    limit: numberParam("limit", query.limit, { min: 1, integer: true }),
+  };
+}
+
+// Adds available / percentFull / distanceMeters to each lot ({ capacity,
+// count_now, permit, latitude, longitude, name }), then filters, sorts and
+// limits. Lots without coordinates have distanceMeters null and are dropped
+// by radius and sorted last by distance.
+function applyLotQuery(lots, q) {
+  let result = lots.map((lot) => {
+    const capacity = typeof lot.capacity === "number" ? lot.capacity : 0;
+    const hasPoint = Number.isFinite(lot.latitude) && Number.isFinite(lot.longitude);
+    return {
+      ...lot,
+      available: Math.max(0, capacity - (lot.count_now || 0)),
+      percentFull: capacity > 0 ? Math.min(100, ((lot.count_now || 0) / capacity) * 100) : 0,
+      distanceMeters: q.near && hasPoint
+        ? Math.round(distanceMeters(q.near, { lat: lot.latitude, lng: lot.longitude }))
+        : null,
+    };
+  });
+
+  if (q.permits) result = result.filter((lot) => q.permits.includes(String(lot.permit || "").toLowerCase()));
+  if (q.minAvailable !== null) result = result.filter((lot) => lot.available >= q.minAvailable);
+  if (q.maxPercentFull !== null) result = result.filter((lot) => lot.percentFull <= q.maxPercentFull);
+  if (q.radius !== null) result = result.filter((lot) => lot.distanceMeters !== null && lot.distanceMeters <= q.radius);
+
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name), undefined, { numeric: true });
+  if (q.sort === "name") result.sort(byName);
+  if (q.sort === "available") result.sort((a, b) => b.available - a.available || byName(a, b));
+  if (q.sort === "distance") {
+    const d = (lot) => (lot.distanceMeters === null ? Infinity : lot.distanceMeters);
+    result.sort((a, b) => d(a) - d(b) || byName(a, b));
+  }
+
+  return q.limit !== null ? result.slice(0, q.limit) : result;
+}
+
+module.exports = {
+  parseLotQuery,
+  applyLotQuery,
+};
@@ -0,0 +1,152 @@
+/******************************************************************************
+ * Code Artifact: scripts/lotRepository.js
+ * Description:
+ *   Storage backends for the read API in server.js. All of its data access
+ *   goes through one repository object, so the same endpoints run against:
+ *     firestore  production Firestore (service account JSON required)
+ *     emulator   a local Firestore emulator (no credentials; seed it with
+ *                `db_tools.js seed --emulator`)
+ *     memory     fixture data in memory (memoryRepository.js): the seedLots,
+ *                or a JSON file from `db_tools.js dumpFixture`
+ *
+ *   Repository interface (every read resolves to plain document data, with
+ *   time fields as Firestore Timestamps):
+ *     getLot(lotId)                       lot document, or null
+ *     listLots()                          [{ id, data }] for every lot
+ *     getStatus(lotId)                    _meta/current_status, or null
+ *     listEvents(lotId, { fromMs, toMs, order, limit })
+ *                                         [{ id, data }] with timestamp in
+ *                                         [fromMs, toMs), by timestamp
+ *     listAnomalies(lotId, { fromMs, toMs, limit })
+ *                                         [{ id, data }] with start in
+ *                                         [fromMs, toMs), newest first
+ *     exportSources({ kind, lotIds, fromMs, toMs })
+ *                                         export sources for streamExport
+ *     watchLots(onChanges, onError)       onChanges([{ type, id, data }])
+ *                                         with type added|modified|removed;
+ *                                         returns unsubscribe
+ *     watchStatus(lotId, onStatus, onError)
+ *                                         onStatus(status or null) on every
+ *                                         change; returns unsubscribe
+ *   Range bounds that are null are open.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Side Effects:
+ *   - Initializes the firebase-admin app for the firestore and emulator backends
+ ******************************************************************************/
+
+const fs = require("fs");
+const path = require("path");
+const admin = require("firebase-admin");
+const { exportSources } = require("./exportFormats");
+const { createMemoryRepository, seedFixture, loadFixtureFile } = require("./memoryRepository");
+
+const STORAGE_BACKENDS = ["firestore", "emulator", "memory"];
+
+// `firebase emulators:start` defaults (see firebase.json / .firebaserc)
+const DEFAULT_EMULATOR_HOST = "127.0.0.1:8080";
+const DEFAULT_PROJECT_ID = "parking-capstone-9778c";
+
+// Firestore client for the emulator at host (default: FIRESTORE_EMULATOR_HOST,
+// else DEFAULT_EMULATOR_HOST); firebase-admin needs no credentials once
+// FIRESTORE_EMULATOR_HOST is set
+function connectEmulator({ host, projectId = DEFAULT_PROJECT_ID } = {}) {
+  process.env.FIRESTORE_EMULATOR_HOST = host || process.env.FIRESTORE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST;
+  admin.initializeApp({ projectId });
+  return admin.firestore();
+}
+
+// Implements the interface above over a firebase-admin Firestore instance
+function createFirestoreRepository(db, backend = "firestore") {
+  const lotRef = (lotId) => db.collection("lots").doc(lotId);
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  const docs = (snap) => snap.docs.map((d) => ({ id: d.id, data: d.data() || {} }));
+
+  // Range query on field in [fromMs, toMs), ordered by it
+  function range(query, field, { fromMs = null, toMs = null, order = "asc", limit = null } = {}) {
+    let q = query;
+    if (fromMs !== null) q = q.where(field, ">=", ts(fromMs));
+    if (toMs !== null) q = q.where(field, "<", ts(toMs));
+    q = q.orderBy(field, order);
+    return limit !== null ? q.limit(limit) : q;
+  }
+
+  return {
+    backend,
+
+    async getLot(lotId) {
+      const snap = await lotRef(lotId).get();
+      return snap.exists ? (snap.data() || {}) : null;
+    },
+
+    async listLots() {
+      return docs(await db.collection("lots").get());
+    },
+
+    async getStatus(lotId) {
+      const snap = await lotRef(lotId).collection("_meta").doc("current_status").get();
+      return snap.exists ? (snap.data() || {}) : null;
+    },
+
+    async listEvents(lotId, opts = {}) {
+      return docs(await range(lotRef(lotId).collection("events"), "timestamp", opts).get());
+    },
+
+    async listAnomalies(lotId, { fromMs = null, toMs = null, limit = null } = {}) {
+      return docs(await range(lotRef(lotId).collection("anomalies"), "start", { fromMs, toMs, order: "desc", limit }).get());
+    },
+
+    exportSources(opts) {
+      return exportSources(db, admin, opts);
+    },
+
+    watchLots(onChanges, onError) {
+      return db.collection("lots").onSnapshot(
+        (snap) => onChanges(snap.docChanges().map((c) => ({ type: c.type, id: c.doc.id, data: c.doc.data() || {} }))),
+        onError
+      );
+    },
+
+    watchStatus(lotId, onStatus, onError) {
+      return lotRef(lotId).collection("_meta").doc("current_status").onSnapshot(
+        (snap) => onStatus(snap.exists ? (snap.data() || {}) : null),
+        onError
+      );
+    },
+  };
+}
+
+// Builds the configured backend. config: { storage, serviceAccountPath,
+// emulatorHost, projectId, fixtureFile } (server.js reads these from the
+// environment). Throws when the backend cannot start.
+function createRepository({ storage = "firestore", serviceAccountPath, emulatorHost, projectId, fixtureFile } = {}) {
+  if (storage === "firestore") {
+    if (!serviceAccountPath || !fs.existsSync(serviceAccountPath)) {
+      throw new Error(
+        `Service account not found at: ${serviceAccountPath} ` +
+        "(set STORAGE=memory or STORAGE=emulator to run without one)"
+      );
+    }
+    const serviceAccount = require(path.resolve(serviceAccountPath));
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+    return createFirestoreRepository(admin.firestore());
+  }
+  if (storage === "emulator") {
+    return createFirestoreRepository(connectEmulator({ host: emulatorHost, projectId }), "emulator");
+  }
+  if (storage === "memory") {
+    return createMemoryRepository(fixtureFile ? loadFixtureFile(fixtureFile) : seedFixture());
+  }
+  throw new Error(`STORAGE must be one of ${STORAGE_BACKENDS.join(", ")}`);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  DEFAULT_EMULATOR_HOST,
+  DEFAULT_PROJECT_ID,
+  connectEmulator,
+  createFirestoreRepository,
+  createRepository,
+};
@@ -0,0 +1,107 @@
+/******************************************************************************
+ * Code Artifact: scripts/lotsCache.js
+ * Description:
+ *   In-memory copy of the lots collection for the read endpoints in
+ *   server.js, kept current by one repository watchLots listener (a Firestore
+ *   onSnapshot listener on the firestore and emulator backends). Lot
+ *   documents carry the live count (currentOccupancy, zoneOccupancy and
+ *   last_updated are mirrored from current_status by every count write in
+ *   functions/eventCore.js), so serving /api/lots costs no reads per request
+ *   and no per-lot status reads at all.
+ *   Also holds the conditional-GET helper (ETag / Last-Modified, 304s).
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ * Revision: 2026-10-18 (reads through the storage repository in lotRepository.js)
+ * Revision: 2026-10-18 (Last-Modified also counts sensor status changes)
+ *
+ * Inputs:
+ *   - lots/{lotId} documents
+ *
+ * Side Effects:
+ *   - Reads Firestore only (no writes); one long-lived listener
+ ******************************************************************************/
+
+const crypto = require("crypto");
+
+// Returns { lots(), lot(lotId) }, both async: [{ id, data }] / { id, data } or
+// null. Until the listener's first snapshot arrives, or if it fails, each
+// call falls back to a single query of its own.
+function createLotsCache(repo) {
+  const docs = new Map();
+  let live = false;
+  let settled = false;
+  let ready;
+
+  const readyPromise = new Promise((resolve) => {
+    ready = resolve;
+  });
+
+  repo.watchLots(
+    (changes) => {
+      for (const change of changes) {
+        if (change.type === "removed") docs.delete(change.id);
+        else docs.set(change.id, change.data);
+      }
+      live = true;
+      settled = true;
+      ready();
+    },
+    (err) => {
+      // The listener is gone for good; serve from queries from here on
+      console.error("Lots cache listener failed; falling back to queries:", err.message || err);
+      live = false;
+      settled = true;
+      ready();
+    }
+  );
+
+  // Waits briefly for the first snapshot so a cold start does not query
+  const warm = () => (settled ? null : Promise.race([readyPromise, new Promise((r) => setTimeout(r, 2000))]));
+
+  async function lots() {
+    await warm();
+    if (live) return [...docs.entries()].map(([id, data]) => ({ id, data }));
+    return repo.listLots();
+  }
+
+  async function lot(lotId) {
+    await warm();
+    if (live) return docs.has(lotId) ? { id: lotId, data: docs.get(lotId) } : null;
+    const data = await repo.getLot(lotId);
+    return data ? { id: lotId, data } : null;
+  }
+
+  return { lots, lot };
+}
+
+// Sends body as JSON with a strong ETag (hash of the body) and Last-Modified
+// (lastModifiedMs, if known); answers 304 with no body when the client's
+// If-None-Match (or, without one, If-Modified-Since) shows it is current.
+// Bodies include sensorStatus, which also changes as heartbeats age, so
+// lastModifiedMs must count those changes too (see lotsLastModifiedMs in
+// server.js).
+function sendConditionalJson(req, res, body, lastModifiedMs = null, contentType = "application/json") {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash("sha1").update(json).digest("base64url")}"`;
+
+  res.set("ETag", etag);
+  // Clients must revalidate every time, which is cheap now
+  res.set("Cache-Control", "no-cache");
+  if (Number.isFinite(lastModifiedMs)) res.set("Last-Modified", new Date(lastModifiedMs).toUTCString());
+
+  const ifNoneMatch = req.get("If-None-Match");
+  const ifModifiedSince = Date.parse(req.get("If-Modified-Since") || "");
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(",").some((t) => t.trim().replace(/^W\//, "") === etag || t.trim() === "*")
+    // HTTP dates have whole seconds
+    : Number.isFinite(ifModifiedSince) && Number.isFinite(lastModifiedMs) && Math.floor(lastModifiedMs / 1000) * 1000 <= ifModifiedSince;
+
+  if (notModified) return res.status(304).end();
+  return res.type(contentType).send(json);
+}
+
+module.exports = {
+  createLotsCache,
+  sendConditionalJson,
+};
@@ -0,0 +1,151 @@
+/******************************************************************************
+ * Code Artifact: scripts/memoryRepository.js
+ * Description:
+ *   In-memory storage backend for server.js (see lotRepository.js for the
+ *   interface). Serves either the default lots from seedLots.js, all empty,
+ *   or a JSON fixture file, so the read API runs offline with no service
+ *   account and no emulator. Data is loaded once at startup and never
+ *   changes, like a Firestore that nobody writes to.
+ *
+ *   Fixture file (written by `db_tools.js dumpFixture`):
+ *     { "lots": { "<lotId>": {
+ *         "doc": { lot document },
+ *         "status": { _meta/current_status document },
+ *         "events":    { "<eventId>": { event document }, ... },
+ *         "rollups":   { "<hourId>": { rollup document }, ... },
+ *         "anomalies": { "<anomalyId>": { anomaly document }, ... } } } }
+ *   Every part but "doc" is optional. Timestamps are ISO 8601 strings with
+ *   a time and zone (2026-10-18T14:05:00.000Z); they load as Firestore
+ *   Timestamps so the server code cannot tell the difference.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Side Effects:
+ *   - Reads the fixture file once, if given; no writes
+ ******************************************************************************/
+
+const fs = require("fs");
+const admin = require("firebase-admin");
+const { EXPORT_KINDS } = require("./exportFormats");
+const { seedLots } = require("./seedLots");
+
+const { Timestamp } = admin.firestore;
+
+// Strings that are a full ISO 8601 date-time are timestamps
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Fixture text -> fixture object with Timestamps
+function parseFixture(text) {
+  return JSON.parse(text, (key, value) => (
+    typeof value === "string" && ISO_TIMESTAMP.test(value) ? Timestamp.fromMillis(Date.parse(value)) : value
+  ));
+}
+
+// Fixture object -> text, Timestamps written as ISO strings
+function stringifyFixture(fixture) {
+  return JSON.stringify(fixture, function replacer(key, value) {
+    const raw = this[key];
+    return raw instanceof Timestamp ? raw.toDate().toISOString() : value;
+  }, 2);
+}
+
+// The seedLots as `db_tools.js seed` leaves them: empty, updated now
+function seedFixture(nowMs = Date.now()) {
+  const now = Timestamp.fromMillis(nowMs);
+  const lots = {};
+  for (const { id, data } of seedLots) {
+    lots[id] = {
+      doc: { ...data, currentOccupancy: 0, last_updated: now },
+      status: { count_now: 0, last_updated: now },
+    };
+  }
+  return { lots };
+}
+
+const msOf = (v) => (v instanceof Timestamp ? v.toMillis() : null);
+
+// [{ id, data }] of one fixture collection with field in [fromMs, toMs)
+// (either bound may be null), ordered by field
+function rangeDocs(coll, field, { fromMs = null, toMs = null, order = "asc", limit = null } = {}) {
+  const rows = Object.entries(coll || {})
+    .map(([id, data]) => ({ id, data, ms: msOf(data[field]) }))
+    .filter((r) => r.ms !== null && (fromMs === null || r.ms >= fromMs) && (toMs === null || r.ms < toMs))
+    .sort((a, b) => (order === "desc" ? b.ms - a.ms : a.ms - b.ms))
+    .map(({ id, data }) => ({ id, data }));
+  return limit !== null ? rows.slice(0, limit) : rows;
+}
+
+// Implements the lotRepository.js interface over a fixture object
+function createMemoryRepository(fixture = seedFixture()) {
+  const lots = fixture && typeof fixture.lots === "object" ? fixture.lots : {};
+  const entry = (lotId) => (Object.prototype.hasOwnProperty.call(lots, lotId) ? lots[lotId] : null);
+  const lotIds = () => Object.keys(lots).sort();
+
+  return {
+    backend: "memory",
+
+    async getLot(lotId) {
+      return entry(lotId) ? { ...(entry(lotId).doc || {}) } : null;
+    },
+
+    async listLots() {
+      return lotIds().map((id) => ({ id, data: { ...(lots[id].doc || {}) } }));
+    },
+
+    async getStatus(lotId) {
+      return entry(lotId)?.status ? { ...entry(lotId).status } : null;
+    },
+
+    async listEvents(lotId, range = {}) {
+      return rangeDocs(entry(lotId)?.events, "timestamp", range);
+    },
+
+    async listAnomalies(lotId, { fromMs = null, toMs = null, limit = null } = {}) {
+      return rangeDocs(entry(lotId)?.anomalies, "start", { fromMs, toMs, order: "desc", limit });
+    },
+
+    // Same shape as exportFormats.exportSources: query.stream() yields
+    // documents with id and data()
+    async exportSources({ kind, lotIds: ids = null, fromMs = null, toMs = null }) {
+      const { collection, timeField } = EXPORT_KINDS[kind];
+      return (ids || lotIds()).map((lotId) => ({
+        lotId,
+        query: {
+          async* stream() {
+            for (const { id, data } of rangeDocs(entry(lotId)?.[collection], timeField, { fromMs, toMs })) {
+              yield { id, data: () => data };
+            }
+          },
+        },
+      }));
+    },
+
+    // Nothing ever changes, so each watcher gets the current data once
+    watchLots(onChanges) {
+      setImmediate(() => onChanges(lotIds().map((id) => ({ type: "added", id, data: { ...(lots[id].doc || {}) } }))));
+      return () => {};
+    },
+
+    watchStatus(lotId, onStatus) {
+      setImmediate(() => onStatus(entry(lotId)?.status ? { ...entry(lotId).status } : null));
+      return () => {};
+    },
+  };
+}
+
+// Reads a fixture file; throws with the path in the message when it cannot
+function loadFixtureFile(file) {
+  try {
+    return parseFixture(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Could not load fixture ${file}: ${e.message}`);
+  }
+}
+
+module.exports = {
+  createMemoryRepository,
+  seedFixture,
+  loadFixtureFile,
+  stringifyFixture,
+};
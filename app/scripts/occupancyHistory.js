@@ -0,0 +1,102 @@
+/******************************************************************************
+ * Code Artifact: scripts/occupancyHistory.js
+ * Description:
+ *   Rebuilds a lot's occupancy over a time range from its event log and
+ *   downsamples it into fixed-width buckets, for
+ *   GET /api/lot/:lotId/history in server.js. Occupancy is a step function:
+ *   each event's occupancy_after holds until the next event.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Inputs:
+ *   - events in the range, oldest first, each { timestamp, occupancy_before, occupancy_after }
+ *   - the count in effect at the start of the range
+ *
+ * Outputs:
+ *   - [{ t, avg, min, max, last }] one point per bucket
+ ******************************************************************************/
+
+const MINUTE_MS = 60 * 1000;
+
+// Accepted bucket widths: "5m", "15m", "1h", ... or a bare number of minutes
+const MIN_RESOLUTION_MS = MINUTE_MS;
+const MAX_POINTS = 2000;
+const DEFAULT_RESOLUTION = "15m";
+
+// Returns the bucket width in ms, or null when res is not understood
+function parseResolution(res) {
+  const m = /^(\d+)\s*(m|h)?$/i.exec(String(res === undefined ? DEFAULT_RESOLUTION : res).trim());
+  if (!m) return null;
+  const ms = Number(m[1]) * (m[2] && m[2].toLowerCase() === "h" ? 60 : 1) * MINUTE_MS;
+  return ms >= MIN_RESOLUTION_MS ? ms : null;
+}
+
+// Local midnight of the day containing ms in timeZone. The first guess is
+// off by an hour on DST-change days, so it is corrected against the clock.
+function startOfLocalDay(ms, timeZone) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", hour: "numeric", minute: "numeric", second: "numeric",
+  });
+  const clock = (t) => {
+    const p = {};
+    for (const part of fmt.formatToParts(new Date(t))) p[part.type] = Number(part.value);
+    return (p.hour % 24) * 3600 + p.minute * 60 + p.second;
+  };
+
+  let guess = ms - (ms % 1000) - clock(ms) * 1000;
+  for (let i = 0; i < 2 && clock(guess) !== 0; i++) {
+    const secs = clock(guess);
+    guess += (secs < 12 * 3600 ? -secs : 24 * 3600 - secs) * 1000;
+  }
+  return guess;
+}
+
+// Buckets [fromMs, toMs) into resolutionMs-wide points with the time-weighted
+// average, extremes and closing count of each. initialCount holds until the
+// first event; events must be sorted by time.
+function buildHistorySeries({ events, initialCount, fromMs, toMs, resolutionMs }) {
+  const changes = events
+    .map((e) => ({ ms: e.timestamp.toMillis(), count: Number(e.occupancy_after || 0) }))
+    .filter((c) => c.ms >= fromMs && c.ms < toMs);
+
+  const points = [];
+  let count = initialCount;
+  let i = 0;
+
+  for (let start = fromMs; start < toMs; start += resolutionMs) {
+    const end = Math.min(start + resolutionMs, toMs);
+    let weighted = 0;
+    let min = count;
+    let max = count;
+    let t = start;
+
+    while (i < changes.length && changes[i].ms < end) {
+      weighted += count * (changes[i].ms - t);
+      t = changes[i].ms;
+      count = changes[i].count;
+      min = Math.min(min, count);
+      max = Math.max(max, count);
+      i++;
+    }
+    weighted += count * (end - t);
+
+    points.push({
+      t: new Date(start).toISOString(),
+      avg: weighted / (end - start),
+      min,
+      max,
+      last: count,
+    });
+  }
+
+  return points;
+}
+
+module.exports = {
+  DEFAULT_RESOLUTION,
+  MAX_POINTS,
+  parseResolution,
+  startOfLocalDay,
+  buildHistorySeries,
+};
@@ -0,0 +1,50 @@
+/******************************************************************************
+ * Code Artifact: scripts/seedLots.js
+ * Description:
+ *   The default parking lots (same defaults as the simulator). Written to
+ *   Firestore by `db_tools.js seed` and served by the in-memory storage
+ *   backend (memoryRepository.js) when it runs without a fixture file.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Outputs:
+ *   - seedLots: [{ id, data }] where data is the lot document
+ ******************************************************************************/
+
+const seedLots = [
+  {
+    id: "lot_72",
+    data: {
+      name: "Lot 72",
+      capacity: 120,
+      latitude: 38.954321,
+      longitude: -95.255871,
+      description: "Behind Eaton Hall",
+    },
+  },
+  {
+    id: "allen_fieldhouse",
+    data: {
+      name: "Allen Fieldhouse Lot",
+      capacity: 450,
+      latitude: 38.9558,
+      longitude: -95.2474,
+      description: "Game-day overflow lot",
+    },
+  },
+  {
+    id: "gsp",
+    data: {
+      name: "GSP Lot",
+      capacity: 180,
+      latitude: 38.95511,
+      longitude: -95.24475,
+      description: "Near GSP residence hall",
+    },
+  },
+];
+
+module.exports = {
+  seedLots,
+};
@@ -4,49 +4,110 @@
  * Description:
  *   Express server for the website that provides READ-ONLY endpoints to retrieve
  *   real-time occupancy data from Firestore. This server does NOT write to Firestore.
+ *   With EXPO_PUBLIC_API_BASE pointing here the website reads lots through it
+ *   too (src/firebase/parkingReads.js), so with STORAGE=memory the whole site
+ *   runs offline.
  *
  * Implements Requirements:
  *   - Req 35: Provide a GET endpoint for the web application to retrieve occupancy data
  *   - Req 36: Website fetches occupancy via this GET endpoint instead of mock data
- *   - Req 22: Supports near-real-time updates (typical refresh within 1–3 seconds)
+ *   - Req 22: Supports near-real-time updates (typical refresh within 1–3 seconds;
+ *             pushed over Server-Sent Events by the /stream endpoints)
  *
  * Programmer: Samantha Adorno
  * Created: 2026-02-09
  * Revision: 2026-02-14 (added comments)
  * Revision: 2026-02-15 (moved logic to functions/index.js, and added GET endpoints for website)
-
+ * Revision: 2026-10-18 (per-zone/level breakdown on GET /api/lot/:lotId)
+ * Revision: 2026-10-18 (derived sensorStatus on lot responses)
+ * Revision: 2026-10-18 (weekday x hour averages on GET /api/lot/:lotId)
+ * Revision: 2026-10-18 (lot timezone on lot responses)
+ * Revision: 2026-10-18 (added GET /api/lot/:lotId/forecast)
+ * Revision: 2026-10-18 (daily lot insights on GET /api/lot/:lotId)
+ * Revision: 2026-10-18 (added GET /api/lot/:lotId/history occupancy time series)
+ * Revision: 2026-10-18 (added streaming CSV / JSON Lines exports of events and hourly aggregates)
+ * Revision: 2026-10-18 (added GET /api/lot/:lotId/anomalies)
+ * Revision: 2026-10-18 (added Server-Sent Events streams of live lot status)
+ * Revision: 2026-10-18 (lot endpoints served from a listener-backed cache of lot docs, with ETag/304)
+ * Revision: 2026-10-18 (filter, sort and proximity query parameters on GET /api/lots)
+ * Revision: 2026-10-18 (added GET /api/lots.geojson and lot footprints)
+ * Revision: 2026-10-18 (storage behind a repository; runs on the emulator or fixture data too)
+ * Revision: 2026-10-18 (the website's lot reads can come through here, so it runs on any storage)
+
+ * Configuration (environment):
+ *   - STORAGE=firestore (default) | emulator | memory (see lotRepository.js)
+ *   - SERVICE_ACCOUNT_PATH: service account JSON for STORAGE=firestore
+ *   - FIRESTORE_EMULATOR_HOST (default 127.0.0.1:8080), FIREBASE_PROJECT_ID
+ *     for STORAGE=emulator
+ *   - FIXTURE_FILE: JSON from `db_tools.js dumpFixture` for STORAGE=memory
+ *     (default: the seed lots, all empty)
+ *   - PORT (default 3000)
+ *
  * Preconditions:
- *   - Firebase Admin service account JSON exists and Firestore is enabled
+ *   - STORAGE=firestore: the service account JSON exists and Firestore is enabled
  *   - lots/{lotId}/_meta/current_status may exist (otherwise defaults returned)
+ *   - /api/lots and /api/lot/:lotId read the live count mirrored on the lot
+ *     doc (currentOccupancy, zoneOccupancy, last_updated); lots that never
+ *     had an event show 0 until their first one
  *
  * Side Effects:
- *   - Reads Firestore only (no writes)
+ *   - Reads storage only (no writes)
  ******************************************************************************/
 
 const express = require("express");
-const admin = require("firebase-admin");
-const fs = require("fs");
 const cors = require("cors");
-const path = require("path");
-
-//  Firebase Admin initialization (READ-ONLY usage) -----------
-  const SERVICE_ACCOUNT_PATH =
+// Shared with the Cloud Functions so hours are bucketed the same way
+const { lotTimeZone } = require("../../functions/analytics");
+const { ANOMALY_TYPES } = require("../../functions/anomalies");
+const { DEFAULT_FORECAST_HOURS, MAX_FORECAST_HOURS, TREND_WINDOW_MS, buildForecast } = require("./forecast");
+const parkingEvents = require("../src/data/parkingEvents.json");
+const {
+  MAX_POINTS, parseResolution, startOfLocalDay, buildHistorySeries,
+} = require("./occupancyHistory");
+const {
+  EXPORT_SCHEMA_VERSION, EXPORT_FORMATS, EXPORT_KINDS, parseTimeValue, describeColumns, streamExport,
+} = require("./exportFormats");
+const { createLiveHub } = require("./liveHub");
+const { createLotsCache, sendConditionalJson } = require("./lotsCache");
+const { parseLotQuery, applyLotQuery } = require("./lotQuery");
+const { GEOJSON_CONTENT_TYPE, parseStoredFootprint, lotsFeatureCollection } = require("./lotGeometry");
+const { createRepository } = require("./lotRepository");
+
+//  Storage initialization (READ-ONLY usage) -----------
+const SERVICE_ACCOUNT_PATH =
   process.env.SERVICE_ACCOUNT_PATH ||
   "./env/parking-capstone-9778c-firebase-adminsdk-fbsvc-c1179e192c.json";
 
-if (!fs.existsSync(SERVICE_ACCOUNT_PATH)) {
-  console.error(`Service account not found at: ${SERVICE_ACCOUNT_PATH}`);
+// Every read below goes through repo (see lotRepository.js for the interface)
+let repo;
+try {
+  repo = createRepository({
+    storage: process.env.STORAGE || "firestore",
+    serviceAccountPath: SERVICE_ACCOUNT_PATH,
+    emulatorHost: process.env.FIRESTORE_EMULATOR_HOST,
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    fixtureFile: process.env.FIXTURE_FILE,
+  });
+} catch (e) {
+  console.error(e.message || e);
   process.exit(1);
 }
 
-const serviceAccount = require(path.resolve(SERVICE_ACCOUNT_PATH));
-admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-
-const db = admin.firestore();
 const app = express();
 
+// Live status streams share one status listener per lot (see liveHub.js)
+const liveHub = createLiveHub(repo);
+
+// Lot docs (with their mirrored live counts), kept current by one listener
+const lotsCache = createLotsCache(repo);
+
 // public CORS configuration
-app.use(cors({ origin: "*", methods: ["GET", "OPTIONS"] }));
+app.use(cors({
+  origin: "*",
+  methods: ["GET", "OPTIONS"],
+  // Lets browser clients read the export column schema
+  exposedHeaders: ["X-Export-Schema-Version", "X-Export-Columns"],
+}));
 
 // Handle all preflight requests 
 app.use((req, res, next) => {
@@ -63,6 +124,66 @@ function assertString(name, val) {
   }
 }
 
+// Per-zone breakdown for multi-level lots: zone definitions live on the lot
+// doc (zones.{zoneId}), live counts in current_status.zone_counts.
+// Returns [] for lots without zones.
+function buildZones(lot, status) {
+  const zones = lot.zones && typeof lot.zones === "object" ? lot.zones : {};
+  const counts = status.zone_counts || {};
+
+  return Object.entries(zones)
+    .map(([id, zone]) => ({
+      id,
+      name: zone?.name || id,
+      capacity: zone?.capacity ?? 0,
+      count_now: counts[id] ?? 0,
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+// Sensor health from the heartbeat mirror lots/{lotId}.sensorHealth.
+// Same thresholds and rules as deriveSensorStatus in src/firebase/parkingReads.js
+// (this server is CommonJS and cannot import the app's ES modules).
+const SENSOR_DEGRADED_AFTER_MS = 3 * 60 * 1000;
+const SENSOR_OFFLINE_AFTER_MS = 10 * 60 * 1000;
+
+function deriveSensorStatus(sensorHealth, nowMs = Date.now()) {
+  const sensors = Object.values(sensorHealth && typeof sensorHealth === "object" ? sensorHealth : {});
+  if (sensors.length === 0) return null;
+
+  const statuses = sensors.map((h) => {
+    const beatMs = h?.last_heartbeat?.toMillis ? h.last_heartbeat.toMillis() : null;
+    if (beatMs === null || nowMs - beatMs > SENSOR_OFFLINE_AFTER_MS) return "offline";
+    if (nowMs - beatMs > SENSOR_DEGRADED_AFTER_MS || (h.errors_since_last || 0) > 0) return "degraded";
+    return "online";
+  });
+
+  if (statuses.every((st) => st === "online")) return "online";
+  if (statuses.every((st) => st === "offline")) return "offline";
+  return "degraded";
+}
+
+// Last-Modified (ms) for lot docs: the newest last_updated, or the newest
+// sensorStatus change if later (a heartbeat, or a sensor turning degraded /
+// offline as its heartbeat ages past the limits above); null if none is known
+function lotsLastModifiedMs(lots, nowMs = Date.now()) {
+  let newest = null;
+  const see = (ms) => {
+    if (Number.isFinite(ms) && ms <= nowMs && (newest === null || ms > newest)) newest = ms;
+  };
+  for (const lot of lots) {
+    see(lot.last_updated?.toMillis ? lot.last_updated.toMillis() : null);
+    for (const h of Object.values(lot.sensorHealth && typeof lot.sensorHealth === "object" ? lot.sensorHealth : {})) {
+      const beatMs = h?.last_heartbeat?.toMillis ? h.last_heartbeat.toMillis() : null;
+      if (beatMs === null) continue;
+      see(beatMs);
+      see(beatMs + SENSOR_DEGRADED_AFTER_MS);
+      see(beatMs + SENSOR_OFFLINE_AFTER_MS);
+    }
+  }
+  return newest;
+}
+
 //  GET endpoints for website (Req 35, 36) -----------
 
 // Req 35: GET /api/lot/:lotId/status returns current occupancy + timestamps
@@ -71,14 +192,7 @@ app.get("/api/lot/:lotId/status", async (req, res) => {
     const lotId = req.params.lotId;
     assertString("lotId", lotId);
 
-    const statusRef = db
-      .collection("lots")
-      .doc(lotId)
-      .collection("_meta")
-      .doc("current_status");
-
-    const snap = await statusRef.get();
-    const data = snap.exists ? snap.data() : { count_now: 0, last_updated: null };
+    const data = (await repo.getStatus(lotId)) || { count_now: 0, last_updated: null };
 
     return res.json({ ok: true, lotId, ...data });
   } catch (e) {
@@ -92,14 +206,8 @@ app.get("/api/lot/:lotId/count", async (req, res) => {
     const lotId = req.params.lotId;
     assertString("lotId", lotId);
 
-    const statusRef = db
-      .collection("lots")
-      .doc(lotId)
-      .collection("_meta")
-      .doc("current_status");
-
-    const snap = await statusRef.get();
-    const count = snap.exists ? (snap.data().count_now || 0) : 0;
+    const status = await repo.getStatus(lotId);
+    const count = status ? (status.count_now || 0) : 0;
 
     return res.json({ ok: true, lotId, count_now: count });
   } catch (e) {
@@ -107,72 +215,157 @@ app.get("/api/lot/:lotId/count", async (req, res) => {
   }
 });
 
-// Req 35/36 (read-only): GET /api/lots returns all lots + current status
+// Firestore Timestamp -> ISO 8601 string (what the web app parses), else null
+function toIso(v) {
+  return v?.toDate ? v.toDate().toISOString() : null;
+}
+
+// One entry of the /api/lots list, from a lot doc. The web app's lot list and
+// map read these (src/firebase/parkingReads.js getLots).
+function lotSummary(lotId, lot) {
+  return {
+    id: lotId,
+    name: lot.displayName || lot.name || lotId,
+    latitude: lot.latitude,
+    longitude: lot.longitude,
+    footprint: parseStoredFootprint(lot.footprintGeoJSON),
+    capacity: lot.capacity ?? 0,
+    description: lot.description || "",
+    averageByHour:
+      lot.historicalData?.averageByHour && typeof lot.historicalData.averageByHour === "object"
+        ? lot.historicalData.averageByHour
+        : {},
+    permit: lot.permit || "Garage",
+    count_now: lot.currentOccupancy ?? 0,
+    last_updated: toIso(lot.last_updated),
+    timezone: lotTimeZone(lot),
+    sensorStatus: deriveSensorStatus(lot.sensorHealth),
+  };
+}
+
+// Req 35/36 (read-only): GET /api/lots returns all lots + current status.
+// Served from lotsCache (no storage reads per request); honours
+// If-None-Match / If-Modified-Since with 304 so polling clients are cheap.
+// Optional ?permit=&minAvailable=&maxPercentFull=&near=lat,lng&radius=
+// &sort=available|distance|name&limit= (see lotQuery.js); every lot carries
+// available, percentFull and distanceMeters (null without near).
 app.get("/api/lots", async (req, res) => {
   try {
-    const snap = await db.collection("lots").get();
-
-    const lots = await Promise.all(
-      snap.docs.map(async (doc) => {
-        const lot = doc.data() || {};
-        const lotId = doc.id;
-
-        const statusRef = db
-          .collection("lots")
-          .doc(lotId)
-          .collection("_meta")
-          .doc("current_status");
-
-        const statusSnap = await statusRef.get();
-        const status = statusSnap.exists
-          ? statusSnap.data()
-          : { count_now: 0, last_updated: null };
-
-        return {
-          id: lotId,
-          name: lot.name || lotId,
-          latitude: lot.latitude,
-          longitude: lot.longitude,
-          capacity: lot.capacity ?? 0,
-          description: lot.description || "",
-          count_now: status.count_now ?? 0,
-          last_updated: status.last_updated ?? null,
-        };
-      })
+    const query = parseLotQuery(req.query);
+    const docs = await lotsCache.lots();
+
+    const lots = docs
+      .map(({ id, data }) => lotSummary(id, data))
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    const served = applyLotQuery(lots, query);
+    const servedIds = new Set(served.map((l) => l.id));
+
+    return sendConditionalJson(
+      req,
+      res,
+      { ok: true, lots: served },
+      lotsLastModifiedMs(docs.filter((d) => servedIds.has(d.id)).map((d) => d.data))
+    );
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// GET /api/lots.geojson -> the lots as a GeoJSON FeatureCollection for map
+// stacks and GIS tools (QGIS, Leaflet, ...). Geometry is the lot footprint
+// (set with `db_tools.js setFootprint`), else its point. Properties are flat
+// scalars so they load as attribute columns; last_updated is ISO 8601.
+// Takes the same filter/sort query parameters as /api/lots.
+app.get("/api/lots.geojson", async (req, res) => {
+  try {
+    const query = parseLotQuery(req.query);
+    const docs = await lotsCache.lots();
+    const byId = new Map(docs.map((d) => [d.id, d.data]));
+
+    const lots = applyLotQuery(
+      docs.map(({ id, data }) => lotSummary(id, data)).sort((a, b) => a.id.localeCompare(b.id)),
+      query
+    );
+
+    const collection = lotsFeatureCollection(lots.map((l) => ({
+      id: l.id,
+      lot: byId.get(l.id),
+      properties: {
+        id: l.id,
+        name: l.name,
+        description: l.description,
+        permit: l.permit,
+        capacity: l.capacity,
+        count_now: l.count_now,
+        available: l.available,
+        percentFull: Math.round(l.percentFull * 10) / 10,
+        distanceMeters: l.distanceMeters,
+        last_updated: l.last_updated,
+        sensorStatus: l.sensorStatus,
+        timezone: l.timezone,
+      },
+    })));
+
+    return sendConditionalJson(
+      req,
+      res,
+      collection,
+      lotsLastModifiedMs(lots.map((l) => byId.get(l.id))),
+      GEOJSON_CONTENT_TYPE
     );
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Req 22: GET /api/lots/stream -> Server-Sent Events, one "status" event
+// ({ lotId, count_now, last_updated, zone_counts }) per change on any lot. Browsers
+// reconnect on their own and resume from Last-Event-ID.
+app.get("/api/lots/stream", (req, res) => {
+  liveHub.subscribe(req, res, { lastEventId: req.get("Last-Event-ID") || req.query.lastEventId || null });
+});
 
-    return res.json({ ok: true, lots });
+// Req 22: GET /api/lot/:lotId/stream -> the same events for one lot
+app.get("/api/lot/:lotId/stream", async (req, res) => {
+  try {
+    const lotId = req.params.lotId;
+    assertString("lotId", lotId);
+
+    if (!(await repo.getLot(lotId))) {
+      return res.status(404).json({ ok: false, error: `Unknown lotId: ${lotId}` });
+    }
+    return liveHub.subscribe(req, res, {
+      lotId,
+      lastEventId: req.get("Last-Event-ID") || req.query.lastEventId || null,
+    });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: e.message || String(e) });
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
   }
 });
 
 // GET /api/lot/:lotId  -> lot metadata + status + historical summary
+// (from lotsCache, with the same ETag / 304 handling as /api/lots)
 app.get("/api/lot/:lotId", async (req, res) => {
   try {
     const lotId = req.params.lotId;
     assertString("lotId", lotId);
 
-    const lotSnap = await db.collection("lots").doc(lotId).get();
-    const lot = lotSnap.exists ? (lotSnap.data() || {}) : {};
-
-    const statusSnap = await db
-      .collection("lots")
-      .doc(lotId)
-      .collection("_meta")
-      .doc("current_status")
-      .get();
-
-    const status = statusSnap.exists
-      ? (statusSnap.data() || {})
-      : { count_now: 0, last_updated: null };
+    // Same cache as /api/lots; the status fields are the lot doc's mirror
+    const cached = await lotsCache.lot(lotId);
+    const lot = cached ? cached.data : {};
 
     const averageByHour =
       lot?.historicalData?.averageByHour && typeof lot.historicalData.averageByHour === "object"
         ? lot.historicalData.averageByHour
         : {};
 
-    return res.json({
+    const averageByWeekdayHour =
+      lot?.historicalData?.averageByWeekdayHour && typeof lot.historicalData.averageByWeekdayHour === "object"
+        ? lot.historicalData.averageByWeekdayHour
+        : {};
+
+    const body = {
       ok: true,
       lot: {
         id: lotId,
@@ -189,19 +382,293 @@ app.get("/api/lot/:lotId", async (req, res) => {
         latitude: lot.latitude,
         longitude: lot.longitude,
 
+        // GeoJSON Polygon / MultiPolygon outline (null when only the point is known)
+        footprint: parseStoredFootprint(lot.footprintGeoJSON),
+
         // historical summary used for Busy Hours
         averageByHour,
 
-        // live status from _meta/current_status
-        count_now: status.count_now ?? 0,
-        last_updated: status.last_updated ?? null,
+        // same, per weekday: { "0" (Sunday) .. "6": { "0" .. "23": occupancy } }
+        averageByWeekdayHour,
+
+        // IANA zone the hours above (and any displayed times) are in
+        timezone: lotTimeZone(lot),
+
+        // nightly turnover / dwell / time-to-full summary (null until computed)
+        insights: lot.insights || null,
+
+        // live status, mirrored onto the lot doc from _meta/current_status
+        count_now: lot.currentOccupancy ?? 0,
+        last_updated: toIso(lot.last_updated),
+
+        // per-level breakdown for multi-floor garages ([] otherwise)
+        zones: buildZones(lot, { zone_counts: lot.zoneOccupancy }),
+
+        // online | degraded | offline (null when the lot has no sensors)
+        sensorStatus: deriveSensorStatus(lot.sensorHealth),
       },
+    };
+    return sendConditionalJson(req, res, body, lotsLastModifiedMs([lot]));
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// GET /api/lot/:lotId/forecast?hours=N  -> predicted occupancy per upcoming
+// lot-local hour with a low/high range (see forecast.js for the model)
+app.get("/api/lot/:lotId/forecast", async (req, res) => {
+  try {
+    const lotId = req.params.lotId;
+    assertString("lotId", lotId);
+
+    const hours = req.query.hours === undefined ? DEFAULT_FORECAST_HOURS : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_FORECAST_HOURS) {
+      return res.status(400).json({ ok: false, error: `hours must be an integer from 1 to ${MAX_FORECAST_HOURS}` });
+    }
+
+    const nowMs = Date.now();
+
+    const [lot, status, recent] = await Promise.all([
+      repo.getLot(lotId),
+      repo.getStatus(lotId),
+      repo.listEvents(lotId, { fromMs: nowMs - TREND_WINDOW_MS }),
+    ]);
+
+    if (!lot) {
+      return res.status(404).json({ ok: false, error: `Unknown lotId: ${lotId}` });
+    }
+
+    const countNow = status?.count_now ?? 0;
+
+    const forecast = buildForecast({
+      lotId,
+      lot,
+      countNow,
+      recent: recent.map((d) => d.data),
+      events: parkingEvents,
+      nowMs,
+      hours,
+    });
+
+    return res.json({
+      ok: true,
+      lotId,
+      generatedAt: new Date(nowMs).toISOString(),
+      capacity: lot.capacity ?? 0,
+      count_now: countNow,
+      ...forecast,
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Longest range one history request may cover
+const MAX_HISTORY_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
+// ISO string or epoch ms -> ms; fallback when absent; throws 400 otherwise
+function parseTimeParam(name, val, fallback) {
+  if (val === undefined || val === "") return fallback;
+  const ms = parseTimeValue(val);
+  if (!Number.isFinite(ms)) {
+    const err = new Error(`${name} must be an ISO date or epoch milliseconds`);
+    err.status = 400;
+    throw err;
+  }
+  return ms;
+}
+
+// GET /api/lot/:lotId/history?from=&to=&resolution=
+//   -> occupancy over [from, to) rebuilt from the event log, one point per
+//      bucket: { t, avg, min, max, last }. Defaults: from = lot-local
+//      midnight today, to = now, resolution = 15m (also 5m, 1h, ...).
+app.get("/api/lot/:lotId/history", async (req, res) => {
+  try {
+    const lotId = req.params.lotId;
+    assertString("lotId", lotId);
+
+    const lot = await repo.getLot(lotId);
+    if (!lot) {
+      return res.status(404).json({ ok: false, error: `Unknown lotId: ${lotId}` });
+    }
+    const timeZone = lotTimeZone(lot);
+
+    const nowMs = Date.now();
+    const toMs = parseTimeParam("to", req.query.to, nowMs);
+    const fromMs = parseTimeParam("from", req.query.from, startOfLocalDay(toMs, timeZone));
+    const resolutionMs = parseResolution(req.query.resolution);
+
+    if (resolutionMs === null) {
+      return res.status(400).json({ ok: false, error: "resolution must look like 5m, 15m or 1h" });
+    }
+    if (fromMs >= toMs) {
+      return res.status(400).json({ ok: false, error: "from must be before to" });
+    }
+    if (toMs - fromMs > MAX_HISTORY_RANGE_MS) {
+      return res.status(400).json({ ok: false, error: "range may be at most 31 days" });
+    }
+    if (Math.ceil((toMs - fromMs) / resolutionMs) > MAX_POINTS) {
+      return res.status(400).json({ ok: false, error: `range / resolution exceeds ${MAX_POINTS} points` });
+    }
+
+    const [priorDocs, eventDocs, status] = await Promise.all([
+      repo.listEvents(lotId, { toMs: fromMs, order: "desc", limit: 1 }),
+      repo.listEvents(lotId, { fromMs, toMs }),
+      repo.getStatus(lotId),
+    ]);
+
+    // Only events in the shared schema carry the count they left behind
+    const hasCount = (e) => e.timestamp && typeof e.occupancy_after === "number";
+    const events = eventDocs.map((d) => d.data).filter(hasCount);
+    const prior = priorDocs.map((d) => d.data).filter(hasCount)[0];
+
+    // Count at `from`: the last change before it, else what the first event
+    // in range started from, else (a quiet lot) the current count
+    let initialCount;
+    if (prior) initialCount = prior.occupancy_after;
+    else if (events.length > 0 && typeof events[0].occupancy_before === "number") initialCount = events[0].occupancy_before;
+    else initialCount = status ? (status.count_now || 0) : 0;
+
+    return res.json({
+      ok: true,
+      lotId,
+      timezone: timeZone,
+      capacity: lot.capacity ?? 0,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      resolutionMinutes: resolutionMs / 60000,
+      points: buildHistorySeries({ events, initialCount, fromMs, toMs, resolutionMs }),
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// Default window for the anomaly list, and the most flags one request returns
+const DEFAULT_ANOMALY_DAYS = 7;
+const MAX_ANOMALIES = 200;
+
+// GET /api/lot/:lotId/anomalies?from=&to=&type=burst|silence|imbalance
+//   -> flags written by the scanAnomalies function whose stretch starts in
+//      [from, to) (default: the last 7 days), newest first
+app.get("/api/lot/:lotId/anomalies", async (req, res) => {
+  try {
+    const lotId = req.params.lotId;
+    assertString("lotId", lotId);
+
+    const type = req.query.type;
+    if (type !== undefined && !ANOMALY_TYPES.includes(type)) {
+      return res.status(400).json({ ok: false, error: `type must be one of ${ANOMALY_TYPES.join(", ")}` });
+    }
+
+    const lot = await repo.getLot(lotId);
+    if (!lot) {
+      return res.status(404).json({ ok: false, error: `Unknown lotId: ${lotId}` });
+    }
+
+    const toMs = parseTimeParam("to", req.query.to, Date.now());
+    const fromMs = parseTimeParam("from", req.query.from, toMs - DEFAULT_ANOMALY_DAYS * 24 * 60 * 60 * 1000);
+    if (fromMs >= toMs) {
+      return res.status(400).json({ ok: false, error: "from must be before to" });
+    }
+
+    const docs = await repo.listAnomalies(lotId, { fromMs, toMs, limit: MAX_ANOMALIES });
+
+    // Filtered here rather than in the query, which would need a composite index
+    const anomalies = docs
+      .map((d) => d.data)
+      .filter((a) => !type || a.type === type)
+      .map((a) => ({
+        id: a.id,
+        type: a.type,
+        start: a.start?.toDate?.()?.toISOString() ?? null,
+        end: a.end?.toDate?.()?.toISOString() ?? null,
+        ongoing: Boolean(a.ongoing),
+        message: a.message || "",
+        details: a.details || {},
+        eventIds: a.eventIds || [],
+      }));
+
+    return res.json({
+      ok: true,
+      lotId,
+      timezone: lotTimeZone(lot),
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      anomalies,
     });
   } catch (e) {
     return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
   }
 });
 
+// Streams one export to the response. Column names and types are in the
+// X-Export-Columns header ("name:type,..."; see scripts/exportFormats.js) and
+// stay stable within an X-Export-Schema-Version. Optional ?from=&to= (ISO or
+// epoch ms) bound the rows by time, [from, to).
+async function sendExport(req, res, { kind, lotIds, filename }) {
+  const format = req.params.format;
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ ok: false, error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+  const fromMs = parseTimeParam("from", req.query.from, null);
+  const toMs = parseTimeParam("to", req.query.to, null);
+  if (fromMs !== null && toMs !== null && fromMs >= toMs) {
+    return res.status(400).json({ ok: false, error: "from must be before to" });
+  }
+
+  const { columns } = EXPORT_KINDS[kind];
+  const sources = await repo.exportSources({ kind, lotIds, fromMs, toMs });
+
+  res.set({
+    "Content-Type": EXPORT_FORMATS[format].contentType,
+    "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+    "X-Export-Schema-Version": String(EXPORT_SCHEMA_VERSION),
+    "X-Export-Columns": describeColumns(columns),
+  });
+
+  try {
+    await streamExport(res, { format, columns, sources });
+    res.end();
+  } catch (e) {
+    // The client disconnected; streamExport has already stopped reading
+    if (e.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+    // Headers (and maybe rows) are already out; cut the body short so the
+    // client sees a failed download rather than a silently truncated file
+    console.error(`Export ${filename} failed:`, e.message || e);
+    res.destroy(e);
+  }
+}
+
+// GET /api/lot/:lotId/events.csv | events.jsonl ?from=&to=
+//   -> every event of one lot, oldest first
+app.get("/api/lot/:lotId/events.:format", async (req, res) => {
+  try {
+    const lotId = req.params.lotId;
+    assertString("lotId", lotId);
+
+    if (!(await repo.getLot(lotId))) {
+      return res.status(404).json({ ok: false, error: `Unknown lotId: ${lotId}` });
+    }
+    return await sendExport(req, res, { kind: "events", lotIds: [lotId], filename: `${lotId}-events` });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+// GET /api/lots/aggregates.csv | aggregates.jsonl ?lot=a,b&from=&to=
+//   -> hourly rollups (UTC hours) for every lot, or the listed ones
+app.get("/api/lots/aggregates.:format", async (req, res) => {
+  try {
+    const lotIds = typeof req.query.lot === "string" && req.query.lot
+      ? req.query.lot.split(",").map((id) => id.trim()).filter(Boolean)
+      : null;
+    return await sendExport(req, res, { kind: "aggregates", lotIds, filename: "lot-aggregates" });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
 // start server (basic startup logging) -----------
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Web server listening on http://localhost:${port}`));
+app.listen(port, () => console.log(`Web server listening on http://localhost:${port} (storage: ${repo.backend})`));
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough, Writable } = require("stream");
+
+const {
+  EVENT_COLUMNS,
+  AGGREGATE_COLUMNS,
+  parseTimeValue,
+  describeColumns,
+  rowFormatter,
+  streamExport,
+} = require("../exportFormats");
+
+// Stands in for a Firestore Timestamp
+const ts = (iso) => ({ toMillis: () => Date.parse(iso) });
+
+const EVENT = {
+  id: "ev1",
+  lotId: "lot_72",
+  eventType: "CORRECTION",
+  source: "admin",
+  timestamp: ts("2026-10-18T14:05:00Z"),
+  occupancy_before: 12,
+  occupancy_after: 10,
+  operator: "ops@ku.edu",
+  reason: 'said "recount", then\nleft, early',
+  detector: { model: "lidar", lanes: [1, 2] },
+};
+
+// CSV header and row for one event document
+function csvRow(data) {
+  const fmt = rowFormatter("csv", EVENT_COLUMNS);
+  return { header: fmt.header, line: fmt.line(data, "lot_72", "ev1") };
+}
+
+test("CSV quotes fields with commas, quotes and line breaks", () => {
+  const { line } = csvRow(EVENT);
+  assert.ok(line.includes(',"said ""recount"", then\nleft, early",'), line);
+  assert.ok(line.includes(',"{""model"":""lidar"",""lanes"":[1,2]}",'), line);
+  assert.ok(line.endsWith(",false\n"), line);
+  assert.ok(line.startsWith("lot_72,ev1,2026-10-18T14:05:00.000Z,CORRECTION,admin,,"), line);
+});
+
+test("CSV quotes a bare carriage return and leaves plain text alone", () => {
+  const fmt = rowFormatter("csv", [
+    { name: "a", type: "string", get: (r) => r.a },
+    { name: "b", type: "string", get: (r) => r.b },
+  ]);
+  assert.equal(fmt.header, "a,b\n");
+  assert.equal(fmt.line({ a: "x\ry", b: "plain text" }), '"x\ry",plain text\n');
+  assert.equal(fmt.line({ a: null, b: "" }), ",\n");
+});
+
+test("every CSV row has every column", () => {
+  const { header, line } = csvRow({});
+  assert.equal(header.split(",").length, EVENT_COLUMNS.length);
+  assert.equal(line.split(",").length, EVENT_COLUMNS.length);
+  // missing ids fall back to the lot and document the row came from
+  assert.ok(line.startsWith("lot_72,ev1,,"), line);
+});
+
+test("JSON Lines writes typed values and nulls", () => {
+  const fmt = rowFormatter("jsonl", EVENT_COLUMNS);
+  assert.equal(fmt.header, "");
+  const row = JSON.parse(fmt.line(EVENT, "lot_72", "ev1"));
+  assert.equal(row.occupancy_after, 10);
+  assert.equal(row.sensor_id, null);
+  assert.equal(row.deduped, false);
+  assert.equal(row.detector, '{"model":"lidar","lanes":[1,2]}');
+  assert.equal(row.reason, EVENT.reason);
+});
+
+test("aggregate rows derive the hourly average", () => {
+  const fmt = rowFormatter("jsonl", AGGREGATE_COLUMNS);
+  const row = JSON.parse(fmt.line({
+    hour_start: ts("2026-10-18T14:00:00Z"),
+    covered_seconds: 1800,
+    occupancy_seconds: 1800 * 7,
+    first_full_ms: Date.parse("2026-10-18T14:20:00Z"),
+  }, "gsp"));
+  assert.equal(row.avg_occupancy, 7);
+  assert.equal(row.entries, 0);
+  assert.equal(row.full_seconds, 0);
+  assert.equal(row.first_full_at, "2026-10-18T14:20:00.000Z");
+  assert.equal(JSON.parse(fmt.line({}, "gsp")).avg_occupancy, null);
+});
+
+test("rowFormatter rejects unknown formats", () => {
+  assert.throws(() => rowFormatter("xlsx", EVENT_COLUMNS), /format must be one of csv, jsonl/);
+});
+
+test("describeColumns and parseTimeValue", () => {
+  assert.match(describeColumns(EVENT_COLUMNS), /^lot_id:string,event_id:string,timestamp:timestamp,/);
+  assert.equal(parseTimeValue("1760796300000"), 1760796300000);
+  assert.equal(parseTimeValue("2026-10-18T14:05:00Z"), Date.parse("2026-10-18T14:05:00Z"));
+  assert.ok(Number.isNaN(parseTimeValue("yesterday")));
+});
+
+// A query whose stream() yields docs and counts how many were pulled
+function source(lotId, rows) {
+  const query = {
+    pulled: 0,
+    async* stream() {
+      for (const [id, data] of rows) {
+        query.pulled++;
+        yield { id, data: () => data };
+      }
+    },
+  };
+  return { lotId, query };
+}
+
+test("streamExport writes the header and every source in order", async () => {
+  const out = new PassThrough({ encoding: "utf8" });
+  let text = "";
+  out.on("data", (c) => (text += c));
+
+  const rows = await streamExport(out, {
+    format: "csv",
+    columns: AGGREGATE_COLUMNS.slice(0, 2),
+    sources: [
+      source("a", [["h1", { hour_start: ts("2026-10-18T14:00:00Z") }]]),
+      source("b", [["h2", { hour_start: ts("2026-10-18T15:00:00Z") }]]),
+    ],
+  });
+
+  assert.equal(rows, 2);
+  assert.equal(
+    text,
+    "lot_id,hour_start\na,2026-10-18T14:00:00.000Z\nb,2026-10-18T15:00:00.000Z\n"
+  );
+});
+
+test("streamExport stops reading when the reader goes away", async () => {
+  // Never drains: the first write already fills the buffer
+  const out = new Writable({ highWaterMark: 1, write() {} });
+  const src = source("a", Array.from({ length: 1000 }, (_, i) => [`e${i}`, {}]));
+
+  const done = streamExport(out, { format: "csv", columns: EVENT_COLUMNS, sources: [src] });
+  setImmediate(() => out.destroy());
+
+  await assert.rejects(done, (e) => e.code === "ERR_STREAM_PREMATURE_CLOSE");
+  assert.ok(src.query.pulled <= 1, `pulled ${src.query.pulled}`);
+});
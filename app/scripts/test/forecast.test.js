@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildForecast } = require("../forecast");
+
+// 2026-10-17 (a Saturday) 10:00 UTC
+const NOW = Date.UTC(2026, 9, 17, 10);
+const LOT = { name: "GSP Lot", capacity: 100, timezone: "UTC" };
+
+const entries = (n, type = "ENTRY") => Array.from({ length: n }, () => ({ eventType: type }));
+
+function forecast(fields = {}) {
+  return buildForecast({ lotId: "gsp", lot: LOT, countNow: 50, recent: [], events: [], nowMs: NOW, ...fields });
+}
+
+test("buildForecast covers the next whole lot-local hours", () => {
+  const f = forecast({ nowMs: NOW + 20 * 60 * 1000, hours: 3 });
+  assert.equal(f.timezone, "UTC");
+  assert.deepEqual(
+    f.intervals.map((i) => [i.start, i.end, i.localHour]),
+    [
+      ["2026-10-17T11:00:00.000Z", "2026-10-17T12:00:00.000Z", 11],
+      ["2026-10-17T12:00:00.000Z", "2026-10-17T13:00:00.000Z", 12],
+      ["2026-10-17T13:00:00.000Z", "2026-10-17T14:00:00.000Z", 13],
+    ]
+  );
+
+  const chicago = buildForecast({ lotId: "gsp", lot: { capacity: 100 }, countNow: 0, nowMs: NOW, hours: 1 });
+  assert.equal(chicago.timezone, "America/Chicago");
+  assert.equal(chicago.intervals[0].localHour, 6); // 11:00 UTC is 6am CDT
+});
+
+test("buildForecast holds the count with no trend and no history", () => {
+  const f = forecast();
+  assert.equal(f.profile, "none");
+  assert.equal(f.netRatePerHour, 0);
+  for (const i of f.intervals) {
+    assert.equal(i.predicted, 50);
+    assert.ok(i.low < 50 && i.high > 50);
+  }
+});
+
+test("buildForecast fades the recent trend hour by hour", () => {
+  const f = forecast({ recent: [...entries(12), ...entries(2, "EXIT")] });
+  assert.equal(f.netRatePerHour, 10);
+
+  const predicted = f.intervals.map((i) => i.predicted);
+  assert.equal(predicted[0], Math.round(50 + Math.pow(0.5, 1.5) * 10));
+  for (let k = 1; k < predicted.length; k++) assert.ok(predicted[k] <= predicted[k - 1], String(predicted));
+  assert.equal(predicted[predicted.length - 1], 50);
+});
+
+test("buildForecast leaves deduped events out of the trend", () => {
+  const deduped = entries(6).map((e) => ({ ...e, deduped: true }));
+  const f = forecast({ recent: [...entries(4), ...deduped] });
+  assert.equal(f.netRatePerHour, 4);
+});
+
+test("buildForecast follows the historical profile further out", () => {
+  const lot = { ...LOT, historicalData: { averageByHour: { 10: 20, 14: 80 } } };
+  const f = forecast({ lot, countNow: 20 });
+  assert.equal(f.profile, "all-days");
+
+  // 14:00-15:00 is 4.5 hours out: the profile's +60 at nearly full weight
+  const at14 = f.intervals.find((i) => i.localHour === 14);
+  assert.equal(at14.predicted, Math.round(20 + (1 - Math.pow(0.5, 4.5)) * 60));
+  assert.ok(f.intervals.find((i) => i.localHour === 12).predicted < 20);
+});
+
+test("buildForecast prefers the weekday profile", () => {
+  const lot = {
+    ...LOT,
+    historicalData: {
+      averageByHour: { 14: 80 },
+      averageByWeekdayHour: { 6: { 14: 10 } }, // Saturday
+    },
+  };
+  const f = forecast({ lot, countNow: 10 });
+  assert.equal(f.profile, "weekday");
+  assert.equal(f.intervals.find((i) => i.localHour === 14).predicted, 20);
+});
+
+test("buildForecast stays within 0..capacity", () => {
+  const full = forecast({ countNow: 100, recent: entries(40) });
+  const empty = forecast({ countNow: 0, recent: entries(40, "EXIT") });
+  for (const i of full.intervals) assert.ok(i.predicted <= 100 && i.high === 100);
+  for (const i of empty.intervals) assert.ok(i.predicted >= 0 && i.low === 0);
+});
+
+test("buildForecast adds same-day events for the lot while they run", () => {
+  const events = [
+    { id: "game", title: "Game", date: "2026-10-17", time: "6:30 PM", lotsAffected: ["gsp lot"], impactLevel: "High" },
+    { id: "talk", title: "Talk", date: "2026-10-17", time: "2:00 PM – 3:00 PM", lotsAffected: ["GSP"], impactLevel: "Low" },
+    { id: "other", title: "Other lot", date: "2026-10-17", time: "All Day", lotsAffected: ["Lot 72"], impactLevel: "High" },
+    { id: "tomorrow", title: "Tomorrow", date: "2026-10-18", time: "All Day", lotsAffected: ["gsp"], impactLevel: "High" },
+  ];
+  const f = forecast({ events, hours: 12 });
+
+  assert.deepEqual(f.specialEvents.map((e) => e.id), ["game", "talk"]);
+  const byHour = Object.fromEntries(f.intervals.map((i) => [i.localHour, i]));
+  // kickoff rule: two hours before to an hour after 6:30 PM
+  assert.deepEqual(byHour[15].events, []);
+  assert.deepEqual(byHour[16].events, ["game"]);
+  assert.deepEqual(byHour[19].events, ["game"]);
+  assert.deepEqual(byHour[20].events, []);
+  assert.equal(byHour[17].predicted, 75);
+  // a range counts from an hour before it starts until it ends
+  assert.deepEqual(byHour[13].events, ["talk"]);
+  assert.deepEqual(byHour[14].events, ["talk"]);
+  assert.equal(byHour[13].predicted, 55);
+});
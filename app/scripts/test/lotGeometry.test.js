@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeFootprint, parseStoredFootprint, lotsFeatureCollection } = require("../lotGeometry");
+
+const RING = [
+  [-95.2449, 38.9550, 271.5],
+  [-95.2445, 38.9550],
+  [-95.2445, 38.9553],
+  [-95.2449, 38.9550],
+];
+const POLYGON = { type: "Polygon", coordinates: [RING] };
+const FLAT_RING = RING.map(([lng, lat]) => [lng, lat]);
+
+test("normalizeFootprint accepts a Polygon and drops altitude", () => {
+  assert.deepEqual(normalizeFootprint(POLYGON), { type: "Polygon", coordinates: [FLAT_RING] });
+});
+
+test("normalizeFootprint unwraps Features and FeatureCollections", () => {
+  const feature = (id, geometry = POLYGON) => ({ type: "Feature", id, properties: {}, geometry });
+  assert.deepEqual(normalizeFootprint(feature("gsp")).coordinates, [FLAT_RING]);
+
+  // one feature is taken as is; several must name the lot once
+  const single = { type: "FeatureCollection", features: [feature("other")] };
+  assert.equal(normalizeFootprint(single, "gsp").type, "Polygon");
+
+  const multi = {
+    type: "FeatureCollection",
+    features: [
+      feature("lot_72"),
+      { type: "Feature", properties: { lotId: "gsp" }, geometry: { type: "MultiPolygon", coordinates: [[RING]] } },
+    ],
+  };
+  assert.equal(normalizeFootprint(multi, "gsp").type, "MultiPolygon");
+  assert.throws(() => normalizeFootprint(multi, "allen"), /2 features and 0 for lot allen/);
+});
+
+test("normalizeFootprint says what is wrong", () => {
+  const cases = [
+    [null, /must be a GeoJSON object/],
+    [{ type: "Point", coordinates: [-95.2, 38.9] }, /Polygon or MultiPolygon, not Point/],
+    [{ type: "Polygon", coordinates: [] }, /polygon has no rings/],
+    [{ type: "Polygon", coordinates: [RING.slice(0, 3)] }, /at least 4 positions/],
+    [{ type: "Polygon", coordinates: [[...RING.slice(0, 3), [-95.2, 38.9]]] }, /ring is not closed/],
+    // [lat, lng] instead of [lng, lat]
+    [{ type: "Polygon", coordinates: [RING.map(([lng, lat]) => [lat, lng * 2])] }, /not a \[longitude, latitude\]/],
+    [{ type: "MultiPolygon", coordinates: [] }, /MultiPolygon has no polygons/],
+    [{ type: "Feature", geometry: null }, /has no geometry/],
+  ];
+  for (const [input, message] of cases) {
+    assert.throws(() => normalizeFootprint(input, "gsp"), message, JSON.stringify(input));
+  }
+});
+
+test("normalizeFootprint caps the number of positions", () => {
+  const big = Array.from({ length: 5001 }, (_, i) => [-95 + i / 1e5, 38.9]);
+  big.push(big[0]);
+  assert.throws(() => normalizeFootprint({ type: "Polygon", coordinates: [big] }), /5002 positions/);
+});
+
+test("parseStoredFootprint reads back only polygons", () => {
+  assert.deepEqual(parseStoredFootprint(JSON.stringify(POLYGON)), POLYGON);
+  assert.equal(parseStoredFootprint('{"type":"Point","coordinates":[0,0]}'), null);
+  assert.equal(parseStoredFootprint("{not json"), null);
+  assert.equal(parseStoredFootprint(""), null);
+  assert.equal(parseStoredFootprint(undefined), null);
+});
+
+test("lotsFeatureCollection uses the footprint, else the point", () => {
+  const collection = lotsFeatureCollection([
+    { id: "gsp", lot: { footprintGeoJSON: JSON.stringify(POLYGON), latitude: 1, longitude: 2 }, properties: { a: 1 } },
+    { id: "allen", lot: { latitude: 38.9558, longitude: -95.2474 }, properties: {} },
+    { id: "pop_up", lot: {}, properties: {} },
+  ]);
+
+  assert.equal(collection.type, "FeatureCollection");
+  assert.deepEqual(
+    collection.features.map((f) => [f.id, f.geometry && f.geometry.type]),
+    [["gsp", "Polygon"], ["allen", "Point"], ["pop_up", null]]
+  );
+  assert.deepEqual(collection.features[1].geometry.coordinates, [-95.2474, 38.9558]);
+  assert.deepEqual(collection.features[0].properties, { a: 1 });
+});
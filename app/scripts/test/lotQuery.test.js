@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseLotQuery, applyLotQuery } = require("../lotQuery");
+
+// Allen Fieldhouse is ~250 m east of GSP; Lot 72 is ~1 km west of both
+const LOTS = [
+  { id: "gsp", name: "GSP Lot", permit: "Red", capacity: 100, count_now: 90, latitude: 38.95511, longitude: -95.24475 },
+  { id: "allen", name: "Allen Fieldhouse Lot", permit: "Yellow", capacity: 400, count_now: 100, latitude: 38.9558, longitude: -95.2474 },
+  { id: "lot_72", name: "Lot 72", permit: "red", capacity: 120, count_now: 130, latitude: 38.954321, longitude: -95.255871 },
+  { id: "pop_up", name: "Pop-up Lot", permit: "Garage", capacity: 0, count_now: 0 },
+];
+
+const run = (query) => applyLotQuery(LOTS, parseLotQuery(query));
+const ids = (lots) => lots.map((l) => l.id);
+
+test("parseLotQuery defaults every filter to off", () => {
+  assert.deepEqual(parseLotQuery({}), {
+    permits: null,
+    minAvailable: null,
+    maxPercentFull: null,
+    near: null,
+    radius: null,
+    sort: null,
+    limit: null,
+  });
+});
+
+test("parseLotQuery rejects bad input with a 400", () => {
+  const bad = [
+    { near: "38.9" },
+    { near: "91,0" },
+    { near: "a,b" },
+    { radius: "500" },
+    { sort: "distance" },
+    { sort: "price" },
+    { limit: "0" },
+    { limit: "2.5" },
+    { minAvailable: "-1" },
+    { maxPercentFull: "101" },
+    { minAvailable: ["1", "2"] },
+  ];
+  for (const query of bad) {
+    assert.throws(() => parseLotQuery(query), (e) => e.status === 400, JSON.stringify(query));
+  }
+});
+
+test("applyLotQuery adds available and percentFull", () => {
+  const byId = Object.fromEntries(run({}).map((l) => [l.id, l]));
+  assert.equal(byId.gsp.available, 10);
+  assert.equal(byId.gsp.percentFull, 90);
+  // over capacity (drift) is reported as full, never negative
+  assert.equal(byId.lot_72.available, 0);
+  assert.equal(byId.lot_72.percentFull, 100);
+  assert.equal(byId.pop_up.percentFull, 0);
+  assert.equal(byId.gsp.distanceMeters, null);
+});
+
+test("applyLotQuery filters by permit, space and fullness", () => {
+  assert.deepEqual(ids(run({ permit: "RED" })), ["gsp", "lot_72"]);
+  assert.deepEqual(ids(run({ permit: "red, yellow" })), ["gsp", "allen", "lot_72"]);
+  assert.deepEqual(ids(run({ minAvailable: "10" })), ["gsp", "allen"]);
+  assert.deepEqual(ids(run({ maxPercentFull: "50" })), ["allen", "pop_up"]);
+  assert.deepEqual(ids(run({ permit: "Red", minAvailable: "11" })), []);
+});
+
+test("applyLotQuery measures distance from near and filters by radius", () => {
+  const lots = run({ near: "38.95511,-95.24475", radius: "500" });
+  assert.deepEqual(ids(lots), ["gsp", "allen"]);
+  assert.equal(lots[0].distanceMeters, 0);
+  assert.ok(lots[1].distanceMeters > 200 && lots[1].distanceMeters < 300, String(lots[1].distanceMeters));
+});
+
+test("applyLotQuery sorts by distance with pointless lots last", () => {
+  const lots = run({ near: "38.9543,-95.2560", sort: "distance" });
+  assert.deepEqual(ids(lots), ["lot_72", "allen", "gsp", "pop_up"]);
+  assert.equal(lots[3].distanceMeters, null);
+});
+
+test("applyLotQuery sorts by free spaces, then name, and limits", () => {
+  assert.deepEqual(ids(run({ sort: "available" })), ["allen", "gsp", "lot_72", "pop_up"]);
+  assert.deepEqual(ids(run({ sort: "name" })), ["allen", "gsp", "lot_72", "pop_up"]);
+  assert.deepEqual(ids(run({ sort: "available", limit: "1" })), ["allen"]);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { sendConditionalJson } = require("../lotsCache");
+
+const LAST_MODIFIED = Date.parse("2026-10-18T14:05:30.250Z");
+
+// Stands in for an Express request/response pair
+function call(headers, body = { ok: true }, lastModifiedMs = LAST_MODIFIED) {
+  const req = { get: (name) => headers[name] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    type(value) {
+      res.headers["Content-Type"] = value;
+      return res;
+    },
+    send(text) {
+      res.body = text;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  sendConditionalJson(req, res, body, lastModifiedMs);
+  return res;
+}
+
+test("sendConditionalJson sends the body with ETag and Last-Modified", () => {
+  const res = call({});
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, '{"ok":true}');
+  assert.match(res.headers.ETag, /^"[\w-]+"$/);
+  assert.equal(res.headers["Last-Modified"], "Sun, 18 Oct 2026 14:05:30 GMT");
+  assert.equal(res.headers["Cache-Control"], "no-cache");
+
+  assert.equal(call({}, { ok: true }, null).headers["Last-Modified"], undefined);
+});
+
+test("sendConditionalJson answers 304 to a matching If-None-Match", () => {
+  const { ETag } = call({}).headers;
+  assert.equal(call({ "If-None-Match": ETag }).statusCode, 304);
+  assert.equal(call({ "If-None-Match": `"other", W/${ETag}` }).statusCode, 304);
+  assert.equal(call({ "If-None-Match": ETag }, { ok: false }).statusCode, 200);
+});
+
+test("sendConditionalJson answers 304 when unchanged since If-Modified-Since", () => {
+  assert.equal(call({ "If-Modified-Since": "Sun, 18 Oct 2026 14:05:30 GMT" }).statusCode, 304);
+  assert.equal(call({ "If-Modified-Since": "Sun, 18 Oct 2026 14:05:29 GMT" }).statusCode, 200);
+  assert.equal(call({ "If-Modified-Since": "not a date" }).statusCode, 200);
+  assert.equal(call({ "If-Modified-Since": "Sun, 18 Oct 2026 14:05:30 GMT" }, {}, null).statusCode, 200);
+
+  // If-None-Match wins when both are sent
+  const both = { "If-None-Match": '"other"', "If-Modified-Since": "Sun, 18 Oct 2026 15:00:00 GMT" };
+  assert.equal(call(both).statusCode, 200);
+});
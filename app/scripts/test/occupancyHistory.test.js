@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseResolution, startOfLocalDay, buildHistorySeries } = require("../occupancyHistory");
+
+const MIN = 60 * 1000;
+const T10 = Date.UTC(2026, 9, 18, 10);
+
+// Stands in for an event document with a Firestore Timestamp
+const event = (ms, after) => ({ timestamp: { toMillis: () => ms }, occupancy_after: after });
+
+test("parseResolution reads minutes and hours", () => {
+  assert.equal(parseResolution("15m"), 15 * MIN);
+  assert.equal(parseResolution("2H"), 120 * MIN);
+  assert.equal(parseResolution("30"), 30 * MIN);
+  assert.equal(parseResolution(undefined), 15 * MIN);
+  for (const bad of ["0m", "5s", "1.5h", "", "-5m", "m"]) {
+    assert.equal(parseResolution(bad), null, bad);
+  }
+});
+
+test("startOfLocalDay finds the lot's midnight", () => {
+  const midnight = (iso, tz) => new Date(startOfLocalDay(Date.parse(iso), tz)).toISOString();
+  assert.equal(midnight("2026-10-18T15:00:00Z", "UTC"), "2026-10-18T00:00:00.000Z");
+  assert.equal(midnight("2026-10-18T15:00:00Z", "America/Chicago"), "2026-10-18T05:00:00.000Z");
+  // 1am UTC is still the evening before in Chicago
+  assert.equal(midnight("2026-10-18T01:00:00Z", "America/Chicago"), "2026-10-17T05:00:00.000Z");
+});
+
+test("startOfLocalDay is right on daylight saving change days", () => {
+  const midnight = (iso) => new Date(startOfLocalDay(Date.parse(iso), "America/Chicago")).toISOString();
+  // clocks go back on 2026-11-01 (midnight was still CDT) and forward on
+  // 2026-03-08 (midnight was still CST)
+  assert.equal(midnight("2026-11-01T18:00:00Z"), "2026-11-01T05:00:00.000Z");
+  assert.equal(midnight("2026-03-08T18:00:00Z"), "2026-03-08T06:00:00.000Z");
+});
+
+test("buildHistorySeries time-weights each bucket", () => {
+  const points = buildHistorySeries({
+    events: [event(T10 + 5 * MIN, 5), event(T10 + 20 * MIN, 3), event(T10 + 70 * MIN, 9)],
+    initialCount: 2,
+    fromMs: T10,
+    toMs: T10 + 60 * MIN,
+    resolutionMs: 15 * MIN,
+  });
+
+  assert.equal(points.length, 4);
+  assert.deepEqual(points[0], { t: "2026-10-18T10:00:00.000Z", avg: 4, min: 2, max: 5, last: 5 });
+  assert.equal(points[1].avg, (5 * 5 + 3 * 10) / 15);
+  assert.deepEqual([points[1].min, points[1].max, points[1].last], [3, 5, 3]);
+  // events after the range are ignored
+  assert.deepEqual(points[3], { t: "2026-10-18T10:45:00.000Z", avg: 3, min: 3, max: 3, last: 3 });
+});
+
+test("buildHistorySeries shortens the last bucket to the range", () => {
+  const points = buildHistorySeries({
+    events: [event(T10 + 35 * MIN, 4)],
+    initialCount: 0,
+    fromMs: T10,
+    toMs: T10 + 40 * MIN,
+    resolutionMs: 15 * MIN,
+  });
+
+  assert.deepEqual(points.map((p) => p.t.slice(11, 16)), ["10:00", "10:15", "10:30"]);
+  assert.equal(points[2].avg, (0 * 5 + 4 * 5) / 10);
+  assert.equal(points[2].last, 4);
+});
+
+test("buildHistorySeries holds the starting count with no events", () => {
+  const points = buildHistorySeries({ events: [], initialCount: 7, fromMs: T10, toMs: T10 + 60 * MIN, resolutionMs: 60 * MIN });
+  assert.deepEqual(points, [{ t: "2026-10-18T10:00:00.000Z", avg: 7, min: 7, max: 7, last: 7 }]);
+});
@@ -14,6 +14,7 @@
  * Created: 2026-02-10
  * Revision: 2026-03-05 (Added auth persistence and debug logging)
  * Revision: 2026-04-26 (Added prologue)
+ * Revision: 2026-10-18 (Optional local Firebase emulators for offline development)
  *
  * Preconditions:
  * - firebaseConfig must be properly exported from ./config.js
@@ -21,6 +22,9 @@
  *
  * Inputs:
  * - config: Valid credentials for the Firebase project
+ * - EXPO_PUBLIC_FIRESTORE_EMULATOR_HOST / EXPO_PUBLIC_AUTH_EMULATOR_HOST
+ *   (optional, host:port): use the local emulators from `firebase
+ *   emulators:start` instead of the live project
  *
  * Outputs:
  * - auth: Firebase Authentication instance
@@ -38,8 +42,9 @@ import {
   GoogleAuthProvider,
   setPersistence,
   browserLocalPersistence,
+  connectAuthEmulator,
 } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
 import { firebaseConfig } from "./config";
 
 // ----------- Firebase Initialization (Req 33/35) -----------
@@ -64,5 +69,20 @@ setPersistence(auth, browserLocalPersistence).catch((e) => {
 // Firestore instance for real-time occupancy and event data (Req 22, 35)
 export const db = getFirestore(app);
 
+// ----------- Local Emulators (offline development) -----------
+
+const firestoreEmulatorHost = process.env.EXPO_PUBLIC_FIRESTORE_EMULATOR_HOST;
+const authEmulatorHost = process.env.EXPO_PUBLIC_AUTH_EMULATOR_HOST;
+
+if (firestoreEmulatorHost) {
+  const [host, port] = firestoreEmulatorHost.split(":");
+  connectFirestoreEmulator(db, host, Number(port));
+  console.log("Using Firestore emulator at", firestoreEmulatorHost);
+}
+if (authEmulatorHost) {
+  connectAuthEmulator(auth, `http://${authEmulatorHost}`, { disableWarnings: true });
+  console.log("Using Auth emulator at", authEmulatorHost);
+}
+
 // Provider for authenticated interactions (Req 11/13 context)
 export const googleProvider = new GoogleAuthProvider();
@@ -38,7 +38,7 @@ export function useParkingLots() {
         setLoading(true);
         setError(null);
 
-        // Fetching real-time data from Firestore
+        // Fetching real-time data from Firestore (or the Express API when configured)
         const lots = await getLots();
         
         if (alive) {
@@ -3,6 +3,9 @@
  * Description:
  * Data access layer for Firestore reads. Handles fetching individual or 
  * collective parking lot data combined with real-time occupancy status.
+ * Data that is computed server-side (forecasts, history, lot search) and the
+ * live status stream come from the Express API, which is optional: it is used
+ * only when EXPO_PUBLIC_API_BASE is set, and then lots are read through it too.
  *
  * Implements Requirements:
  * - Req 5 : Ensure the database has accurate parking lot information
@@ -13,9 +16,22 @@
  * Programmer: Samantha Adorno
  * Created: March 2, 2026
  * Revision: 2026-04-26 (Added prologue)
+ * Revision: 2026-10-18 (Added per-zone/level breakdown to getLot)
+ * Revision: 2026-10-18 (Added derived sensorStatus to getLots/getLot)
+ * Revision: 2026-10-18 (Added weekday x hour averages to getLot)
+ * Revision: 2026-10-18 (Added lot timezone to getLots/getLot)
+ * Revision: 2026-10-18 (Added getLotForecast from the Express API)
+ * Revision: 2026-10-18 (Added daily lot insights to getLot)
+ * Revision: 2026-10-18 (Added getLotHistory from the Express API)
+ * Revision: 2026-10-18 (Added subscribeLotStatus live stream from the Express API)
+ * Revision: 2026-10-18 (Added findLots filtered/sorted lot search from the Express API)
+ * Revision: 2026-10-18 (Added GeoJSON lot footprint to getLots/getLot)
+ * Revision: 2026-10-18 (Added mergeLiveStatus for zone counts from the live stream)
+ * Revision: 2026-10-18 (getLots/getLot read through the Express API when EXPO_PUBLIC_API_BASE is set)
  *
  * Preconditions:
  * - Firestore 'lots' collection exists with valid sub-collections
+ * - Optional: the Express read API (scripts/server.js) at EXPO_PUBLIC_API_BASE
  *
  * Inputs:
  * - lotId: Unique string identifier for a parking lot
@@ -26,6 +42,12 @@
 
 import { collection, doc, getDoc, getDocs } from "firebase/firestore";
 import { db } from "./firebaseClient";
+import { lotTimeZone } from "../utils/lotTime";
+
+// Express read API (scripts/server.js), or null when not configured. The
+// hosted site and the native app cannot reach a local server, so without it
+// lots come straight from Firestore and the API-only reads return null.
+export const API_BASE = process.env.EXPO_PUBLIC_API_BASE || null;
 
 // ----------- Helpers -----------
 
@@ -39,13 +61,78 @@ async function readStatus(lotId) {
   return {
     count_now: status.count_now ?? 0,
     last_updated: status.last_updated ?? null, // Req 23
+    zone_counts: status.zone_counts || {},
   };
 }
 
+// Per-zone breakdown for multi-level lots (zone definitions on the lot doc,
+// live counts from current_status). Empty array for single-zone lots.
+function buildZones(lot, status) {
+  const zones = lot.zones && typeof lot.zones === "object" ? lot.zones : {};
+
+  return Object.entries(zones)
+    .map(([id, zone]) => ({
+      id,
+      name: zone?.name || id,
+      capacity: zone?.capacity ?? 0,
+      count_now: status.zone_counts[id] ?? 0,
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+// Sensor health (Req 22): detectors heartbeat about once a minute via the
+// sensorHeartbeat function, which mirrors lots/{lotId}.sensorHealth.{sensorId}.
+// A sensor is degraded when its heartbeat is late or it reported new errors,
+// offline when it has been silent too long. The lot is online only if every
+// sensor is, offline if none is, degraded otherwise; null if it has no sensors.
+const SENSOR_DEGRADED_AFTER_MS = 3 * 60 * 1000;
+const SENSOR_OFFLINE_AFTER_MS = 10 * 60 * 1000;
+
+function deriveSensorStatus(sensorHealth, nowMs = Date.now()) {
+  const sensors = Object.values(sensorHealth && typeof sensorHealth === "object" ? sensorHealth : {});
+  if (sensors.length === 0) return null;
+
+  const statuses = sensors.map((h) => {
+    const beatMs = h?.last_heartbeat?.toMillis ? h.last_heartbeat.toMillis() : null;
+    if (beatMs === null || nowMs - beatMs > SENSOR_OFFLINE_AFTER_MS) return "offline";
+    if (nowMs - beatMs > SENSOR_DEGRADED_AFTER_MS || (h.errors_since_last || 0) > 0) return "degraded";
+    return "online";
+  });
+
+  if (statuses.every((st) => st === "online")) return "online";
+  if (statuses.every((st) => st === "offline")) return "offline";
+  return "degraded";
+}
+
+// GET on the Express API; body.ok is checked and the body returned
+async function fetchApi(path, what) {
+  const res = await fetch(`${API_BASE}${path}`);
+  const body = await res.json();
+  if (!res.ok || !body.ok) {
+    throw new Error(body.error || `${what} request failed (${res.status})`);
+  }
+  return body;
+}
+
+// Lot outline stored as GeoJSON text in footprintGeoJSON (Firestore has no
+// nested arrays): a Polygon / MultiPolygon geometry, or null
+function parseFootprint(text) {
+  if (typeof text !== "string" || text === "") return null;
+  try {
+    const geometry = JSON.parse(text);
+    return geometry && (geometry.type === "Polygon" || geometry.type === "MultiPolygon") ? geometry : null;
+  } catch {
+    return null;
+  }
+}
+
 // ----------- Data Fetchers -----------
 
-// Req 5/35: Get ALL lots with live status for the map/list view
+// Req 5/35: Get ALL lots with live status for the map/list view (from
+// GET /api/lots when the API is configured, with last_updated as ISO 8601)
 export async function getLots() {
+  if (API_BASE) return (await fetchApi("/api/lots", "Lots")).lots;
+
   const snap = await getDocs(collection(db, "lots"));
 
   const lots = await Promise.all(
@@ -60,12 +147,15 @@ export async function getLots() {
         name: lot.displayName || lot.name || lotId,
         latitude: lot.latitude,
         longitude: lot.longitude,
+        footprint: parseFootprint(lot.footprintGeoJSON),
         capacity: lot.capacity ?? 0,
         description: lot.description || "",
         averageByHour: lot?.historicalData?.averageByHour || {}, // Req 7 support
         count_now: status.count_now,
         last_updated: status.last_updated,
         permit: lot.permit || "Garage",
+        timezone: lotTimeZone(lot),
+        sensorStatus: deriveSensorStatus(lot.sensorHealth),
       };
     })
   );
@@ -73,8 +163,11 @@ export async function getLots() {
   return lots;
 }
 
-// Req 22/35: Get details and live status for a single lot
+// Req 22/35: Get details and live status for a single lot (from
+// GET /api/lot/:lotId when the API is configured)
 export async function getLot(lotId) {
+  if (API_BASE) return (await fetchApi(`/api/lot/${encodeURIComponent(lotId)}`, "Lot")).lot;
+
   const lotSnap = await getDoc(doc(db, "lots", lotId));
   const lot = lotSnap.exists() ? (lotSnap.data() || {}) : {};
 
@@ -90,8 +183,85 @@ export async function getLot(lotId) {
     description: lot.description || "",
     latitude: lot.latitude,
     longitude: lot.longitude,
+    footprint: parseFootprint(lot.footprintGeoJSON),
     averageByHour: lot?.historicalData?.averageByHour || {},
+    averageByWeekdayHour: lot?.historicalData?.averageByWeekdayHour || {},
+    timezone: lotTimeZone(lot),
+    insights: lot.insights || null,
+    count_now: status.count_now,
+    last_updated: status.last_updated,
+    zones: buildZones(lot, status),
+    sensorStatus: deriveSensorStatus(lot.sensorHealth),
+  };
+}
+
+// Predicted occupancy for the next `hours` lot-local hours:
+// { intervals: [{ start, end, localHour, predicted, low, high }], ... },
+// or null without the API
+export async function getLotForecast(lotId, hours = 6) {
+  if (!API_BASE) return null;
+  return fetchApi(`/api/lot/${encodeURIComponent(lotId)}/forecast?hours=${hours}`, "Forecast");
+}
+
+// Occupancy over a time range rebuilt from the event log, one point per
+// bucket: { points: [{ t, avg, min, max, last }], ... }. Omitted options use
+// the server defaults (lot-local midnight today until now, 15m buckets).
+// null without the API.
+export async function getLotHistory(lotId, { from, to, resolution } = {}) {
+  if (!API_BASE) return null;
+
+  const params = new URLSearchParams();
+  if (from) params.set("from", from instanceof Date ? from.toISOString() : String(from));
+  if (to) params.set("to", to instanceof Date ? to.toISOString() : String(to));
+  if (resolution) params.set("resolution", resolution);
+
+  return fetchApi(`/api/lot/${encodeURIComponent(lotId)}/history?${params}`, "History");
+}
+
+// Lots matching a server-side query (GET /api/lots): { permit, minAvailable,
+// maxPercentFull, near: { lat, lng }, radius, sort, limit }, all optional.
+// Each lot carries available, percentFull and distanceMeters (null without near).
+// null without the API.
+export async function findLots({ near, ...filters } = {}) {
+  if (!API_BASE) return null;
+
+  const params = new URLSearchParams();
+  for (const [key, val] of Object.entries(filters)) {
+    if (val !== undefined && val !== null) params.set(key, String(val));
+  }
+  if (near) params.set("near", `${near.lat},${near.lng}`);
+
+  return (await fetchApi(`/api/lots?${params}`, "Lot search")).lots;
+}
+
+// Req 22: live count_now / last_updated for one lot over Server-Sent Events
+// (GET /api/lot/:lotId/stream). onStatus gets { lotId, count_now, last_updated,
+// zone_counts } on every change (apply it with mergeLiveStatus). Returns an unsubscribe function, or null without the API
+// or where EventSource is unavailable (native), in which case callers keep refreshing by hand.
+export function subscribeLotStatus(lotId, onStatus) {
+  if (!API_BASE || typeof EventSource === "undefined") return null;
+
+  // EventSource reconnects by itself and resumes from the last event id
+  const source = new EventSource(`${API_BASE}/api/lot/${encodeURIComponent(lotId)}/stream`);
+  source.addEventListener("status", (e) => {
+    try {
+      onStatus(JSON.parse(e.data));
+    } catch {
+      // ignore a malformed event; the next one carries the full status
+    }
+  });
+  return () => source.close();
+}
+
+// A lot from getLot with one stream status applied: the count, timestamp and
+// each zone's count. sensorStatus is not in the stream (heartbeats do not
+// touch current_status); refetch the lot for it.
+export function mergeLiveStatus(lot, status) {
+  const zoneCounts = status.zone_counts || {};
+  return {
+    ...lot,
     count_now: status.count_now,
     last_updated: status.last_updated,
+    zones: (lot.zones || []).map((z) => ({ ...z, count_now: zoneCounts[z.id] ?? 0 })),
   };
 }
@@ -70,6 +70,7 @@ import 'leaflet/dist/leaflet.css';
 import { useTheme } from '../../app/context/ThemeContext';
 import LoginScreen from "./LoginScreen";
 import { useAuthUser } from "../firebase/useAuthUser";
+import { DEFAULT_LOT_TIMEZONE, formatLocalTime, localDateKey, lotTimeZone } from "../utils/lotTime";
 
 const { width, height } = Dimensions.get('window');
 
@@ -77,27 +78,27 @@ const { width, height } = Dimensions.get('window');
  * Returns availability info for a parking lot:
  * - latest datapoint (most recent occupancy update)
  * - available spots
- * - formatted last updated timestamp
+ * - formatted last updated timestamp (in the lot's timezone)
  */
-function formatLastUpdated(ts) {
+function formatLastUpdated(ts, timeZone) {
   if (!ts) return "Unknown"; // Return "Unknown" if timestamp is missing
 
   if (typeof ts === "string") {
     const date = new Date(ts);
-    return isNaN(date.getTime()) ? "Invalid Date" : date.toLocaleTimeString(); // Handle invalid date strings
+    return isNaN(date.getTime()) ? "Invalid Date" : formatLocalTime(date, timeZone); // Handle invalid date strings
   }
 
   if (ts?._seconds) {
-    return new Date(ts._seconds * 1000).toLocaleTimeString(); // Handle Firestore-like timestamps with _seconds
+    return formatLocalTime(new Date(ts._seconds * 1000), timeZone); // Handle Firestore-like timestamps with _seconds
   }
 
   if (ts?.seconds) {
-    return new Date(ts.seconds * 1000).toLocaleTimeString(); // Handle Firestore timestamps
+    return formatLocalTime(new Date(ts.seconds * 1000), timeZone); // Handle Firestore timestamps
   }
 
   if (ts?.toDate) {
     const date = ts.toDate();
-    return isNaN(date.getTime()) ? "Invalid Date" : date.toLocaleTimeString(); // Handle Firestore Timestamp objects
+    return isNaN(date.getTime()) ? "Invalid Date" : formatLocalTime(date, timeZone); // Handle Firestore Timestamp objects
   }
 
   return "Unknown"; // Default fallback
@@ -108,7 +109,7 @@ function getLatestAvailability(lot) {
   const countNow = typeof lot.count_now === "number" ? lot.count_now : 0; // Ensure countNow is a number or defaults to 0
 
   const available = Math.max(0, cap - countNow); // Calculate available spots
-  const lastUpdated = formatLastUpdated(lot.last_updated); // Format last updated timestamp
+  const lastUpdated = formatLastUpdated(lot.last_updated, lotTimeZone(lot)); // Format last updated timestamp, lot-local
 
   return {
     available, // Spots available
@@ -118,6 +119,17 @@ function getLatestAvailability(lot) {
   };
 }
 
+/**
+ * Converts a lot's GeoJSON footprint ([lng, lat] positions) into Leaflet
+ * Polygon positions ([lat, lng]); null when the lot only has a point.
+ */
+function footprintPositions(footprint) {
+  const toLatLng = (ring) => ring.map(([lng, lat]) => [lat, lng]);
+  if (footprint?.type === "Polygon") return footprint.coordinates.map(toLatLng);
+  if (footprint?.type === "MultiPolygon") return footprint.coordinates.map((rings) => rings.map(toLatLng));
+  return null;
+}
+
 export default function HomeScreen() {
   const { user, authLoading } = useAuthUser();
   const { colors } = useTheme();
@@ -513,7 +525,8 @@ function AuthedHomeScreen() {
    * Pulls events from parkingEvents file.
    */
   useEffect(() => {
-    const today = new Date().toLocaleDateString("en-CA");
+    // Event dates are campus dates, so "today" is campus-local too
+    const today = localDateKey(new Date(), DEFAULT_LOT_TIMEZONE);
     const todayEvents = parkingEvents.filter(e => e.date === today);
 
     if (todayEvents.length === 0) {
@@ -610,7 +623,7 @@ if (loading) { // NEW: check loading state from hook
   }
 
   /** Extract Leaflet components */
-  const { MapContainer, TileLayer, CircleMarker, Popup } = LeafletModules;
+  const { MapContainer, TileLayer, CircleMarker, Polygon, Popup } = LeafletModules;
 
   /**
    * Theme-aware tile layer URLs.
@@ -700,10 +713,18 @@ if (loading) { // NEW: check loading state from hook
   const pctFull = total > 0 ? (occupied / total) * 100 : 0;
   // FR25.3 – Change marker color to orange when lot is nearly full (>=80%)
   const markerColor = pctFull >= 80 ? "#FF8C00" : "#ff3333";
+  // Lot outline (set with db_tools.js setFootprint), drawn under the marker
+  const outline = footprintPositions(lot.footprint);
 
   return (
+    <React.Fragment key={lot.id}>
+    {outline && (
+      <Polygon
+        positions={outline}
+        pathOptions={{ color: markerColor, weight: 2, fillColor: markerColor, fillOpacity: 0.2 }}
+      />
+    )}
     <CircleMarker
-      key={lot.id}
       center={[lot.latitude, lot.longitude]}
       radius={10}
       fillColor={markerColor}
@@ -739,12 +760,22 @@ if (loading) { // NEW: check loading state from hook
             {available}/{total} spots available
           </div>
 
+          {/* Sensor health: flag counts that may be stale */}
+          {(lot.sensorStatus === 'offline' || lot.sensorStatus === 'degraded') && (
+            <div style={{ color: '#8B1E1E', fontWeight: '600', fontSize: 12, marginTop: 2 }}>
+              {lot.sensorStatus === 'offline'
+                ? 'Sensor offline — count may be stale'
+                : 'Sensor degraded — count may be inaccurate'}
+            </div>
+          )}
+
           <div style={{ fontSize: 12, color: popupSubColor, marginTop: 2 }}>
             Last updated: {lastUpdated}
           </div>
         </div>
       </Popup>
     </CircleMarker>
+    </React.Fragment>
   );
 })}
 
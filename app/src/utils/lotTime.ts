@@ -0,0 +1,63 @@
+/******************************************************************************
+ * Code Artifact: lotTime.ts
+ * Description:
+ * Lot-local wall-clock helpers. Hours shown in the app (Busy Hours, last
+ * updated, today's events) are the lot's own time, matching the buckets the
+ * analytics job writes, not the viewer's device time.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Inputs:
+ * - lot.timezone: IANA zone name (e.g. "America/Chicago"), optional
+ ******************************************************************************/
+
+// Lots without a timezone field are on the KU campus (same default as functions/analytics.js)
+export const DEFAULT_LOT_TIMEZONE = 'America/Chicago';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatter(timeZone: string, options: Intl.DateTimeFormatOptions, key: string) {
+  const cacheKey = `${key}:${timeZone}`;
+  let fmt = formatters.get(cacheKey);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', { ...options, timeZone });
+    formatters.set(cacheKey, fmt);
+  }
+  return fmt;
+}
+
+// The lot's timezone, or the default when missing or not recognized
+export function lotTimeZone(lot?: { timezone?: unknown } | null): string {
+  const tz = typeof lot?.timezone === 'string' ? lot.timezone : null;
+  if (!tz) return DEFAULT_LOT_TIMEZONE;
+  try {
+    formatter(tz, { hour: 'numeric' }, 'check');
+    return tz;
+  } catch {
+    return DEFAULT_LOT_TIMEZONE;
+  }
+}
+
+// Wall-clock hour (0-23) and weekday (0 = Sunday) of date in timeZone
+export function localHourAndDay(date: Date, timeZone: string): { hour: number; day: number } {
+  const parts: Record<string, string> = {};
+  const fmt = formatter(timeZone, { hourCycle: 'h23', hour: 'numeric', weekday: 'short' }, 'hourDay');
+  for (const p of fmt.formatToParts(date)) parts[p.type] = p.value;
+  return { hour: Number(parts.hour) % 24, day: WEEKDAYS.indexOf(parts.weekday) };
+}
+
+// "YYYY-MM-DD" of date in timeZone (the format parkingEvents uses)
+export function localDateKey(date: Date, timeZone: string): string {
+  const parts: Record<string, string> = {};
+  const fmt = formatter(timeZone, { year: 'numeric', month: '2-digit', day: '2-digit' }, 'date');
+  for (const p of fmt.formatToParts(date)) parts[p.type] = p.value;
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Time of day in timeZone, e.g. "3:04:05 PM"
+export function formatLocalTime(date: Date, timeZone: string): string {
+  return formatter(timeZone, { hour: 'numeric', minute: '2-digit', second: '2-digit' }, 'time').format(date);
+}
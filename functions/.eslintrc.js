@@ -16,7 +16,8 @@ module.exports = {
     "quotes": ["error", "double", {"allowTemplateLiterals": true}],
     "require-jsdoc": "off",
     "linebreak-style": "off",
-
+    // File headers open with a /***...*** banner
+    "spaced-comment": ["error", "always", {"block": {"exceptions": ["*"]}}],
   },
 
   overrides: [
@@ -0,0 +1,452 @@
+/******************************************************************************
+ * Code Artifact: functions/analytics.js
+ * Description:
+ *   Historical occupancy aggregates for the nightly scheduleAnalytics job.
+ *   Works only from the hourly rollups that eventCore maintains at write time
+ *   (lots/{lotId}/rollups), so the cost is one document per lot-hour no
+ *   matter how much traffic the lot had.
+ *
+ * Implements Requirements:
+ *   - Req 7 : Historical occupancy trends (Busy Hours)
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18 (moved out of scheduleAnalytics; aggregates rollups
+ *          instead of events)
+ * Revision: 2026-10-18 (bucket by the lot's local hour and weekday, DST-aware)
+ * Revision: 2026-10-18 (daily insights: turnover, dwell time, time-to-full)
+ * Revision: 2026-10-18 (weekday x hour traffic profile for anomaly detection)
+ * Revision: 2026-10-18 (refreshLotAnalytics shared by scheduleAnalytics and
+ *           db_tools rebuild)
+ *
+ * Preconditions:
+ *   - db is a firebase-admin Firestore instance; admin is the firebase-admin
+ *     module
+ *
+ * Side Effects:
+ *   - refreshLotAnalytics writes historicalData and insights on the lot
+ *     document; everything else is read-only
+ ******************************************************************************/
+
+const {HOUR_MS, hourStartMs, rollupHourKey} = require("./eventCore");
+
+// ----------- lot-local time -----------
+
+// Lots without a timezone field are on the KU campus
+const DEFAULT_LOT_TIMEZONE = "America/Chicago";
+
+const hourFormatters = new Map();
+
+// The lot's IANA timezone, or the default when missing or not recognized
+function lotTimeZone(lot) {
+  const tz = lot && typeof lot.timezone === "string" ? lot.timezone : null;
+  if (!tz) return DEFAULT_LOT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone: tz});
+    return tz;
+  } catch (_) {
+    console.warn(`Unknown timezone ${tz}; using ${DEFAULT_LOT_TIMEZONE}`);
+    return DEFAULT_LOT_TIMEZONE;
+  }
+}
+
+// Wall-clock hour (0-23) and weekday (0 = Sunday) of ms in timeZone; DST
+// is handled by Intl, so 8am is bucket 8 all year
+function localHourAndDay(ms, timeZone) {
+  let fmt = hourFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      hour: "numeric",
+      weekday: "short",
+    });
+    hourFormatters.set(timeZone, fmt);
+  }
+  const parts = {};
+  for (const p of fmt.formatToParts(new Date(ms))) parts[p.type] = p.value;
+  return {
+    hour: Number(parts.hour) % 24,
+    day: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+        parts.weekday,
+    ),
+  };
+}
+
+// Splits [fromMs, toMs) into per-hour pieces: fn(hourStartMs, seconds)
+function forEachHourSegment(fromMs, toMs, fn) {
+  let t = fromMs;
+  while (t < toMs) {
+    const hour = hourStartMs(t);
+    const end = Math.min(hour + HOUR_MS, toMs);
+    fn(hour, (end - t) / 1000);
+    t = end;
+  }
+}
+
+// Reads what the aggregations below need for one lot: the rollups that
+// start in [startMs, endMs) and the current status (for the open stretch
+// since the last change). One query plus one document read.
+async function loadLotHistory(db, admin, {lotId, startMs, endMs}) {
+  const lotRef = db.collection("lots").doc(lotId);
+
+  const [rollupsSnap, statusSnap] = await Promise.all([
+    lotRef
+        .collection("rollups")
+        .where(
+            "hour_start",
+            ">=",
+            admin.firestore.Timestamp.fromMillis(hourStartMs(startMs)),
+        )
+        .where("hour_start", "<", admin.firestore.Timestamp.fromMillis(endMs))
+        .get(),
+    lotRef.collection("_meta").doc("current_status").get(),
+  ]);
+
+  return {
+    rollups: new Map(rollupsSnap.docs.map((d) => [d.id, d.data() || {}])),
+    status: statusSnap.exists ? statusSnap.data() || {} : {},
+  };
+}
+
+// Walks every hour of [startMs, endMs) whose count is known and calls
+// fn(hourMs, { occ, secs, fullSecs, firstFullMs, entries, exits }):
+//   - hours with a rollup use it as written;
+//   - quiet hours before the latest change that never got a rollup of their
+//     own (stretches longer than eventCore backfills) hold the previous
+//     hour's last_count;
+//   - the stretch since the latest change comes from current_status.
+// Time before the lot's first rollup in the window is left out rather than
+// guessed.
+function forEachKnownHour(lot, history, startMs, endMs, fn) {
+  const cap = typeof lot.capacity === "number" ? lot.capacity : null;
+  const isFull = (count) => cap !== null && count >= cap;
+  const {rollups, status} = history;
+  const lastChangeMs =
+    typeof status.last_change_ms === "number" ? status.last_change_ms : null;
+  const lastChangeHour =
+    lastChangeMs === null ? null : hourStartMs(lastChangeMs);
+
+  const held = (hour, count, fromMs, secs) =>
+    fn(hour, {
+      occ: count * secs,
+      secs,
+      fullSecs: isFull(count) ? secs : 0,
+      firstFullMs: isFull(count) ? fromMs : null,
+      entries: 0,
+      exits: 0,
+    });
+
+  let carry = null;
+  for (let hour = hourStartMs(startMs); hour < endMs; hour += HOUR_MS) {
+    const r = rollups.get(rollupHourKey(hour));
+    if (r) {
+      fn(hour, {
+        occ: Number(r.occupancy_seconds || 0),
+        secs: Number(r.covered_seconds || 0),
+        fullSecs: Number(r.full_seconds || 0),
+        firstFullMs:
+          typeof r.first_full_ms === "number" ? r.first_full_ms : null,
+        entries: Number(r.entries || 0),
+        exits: Number(r.exits || 0),
+      });
+      if (typeof r.last_count === "number") carry = r.last_count;
+    } else if (
+      carry !== null &&
+      lastChangeHour !== null &&
+      hour < lastChangeHour
+    ) {
+      held(hour, carry, hour, HOUR_MS / 1000);
+    }
+  }
+
+  if (lastChangeMs !== null) {
+    const count = Number(status.count_now || 0);
+    let from = Math.max(lastChangeMs, startMs);
+    forEachHourSegment(from, endMs, (hour, secs) => {
+      held(hour, count, from, secs);
+      from = hour + HOUR_MS;
+    });
+  }
+}
+
+// Time-weighted average occupancy for one lot over [startMs, endMs):
+// {
+//   averageByHour:        { "0".."23": avg count },
+//   averageRateByHour:    { "0".."23": avg % of capacity },
+//   averageByWeekdayHour: { "0" (Sunday).."6": { "0".."23": avg count } },
+//   timezone:             the IANA zone the buckets are in,
+//   coveredSeconds:       how much of the window had a known count
+// }
+// Hours and weekdays are the lot's wall clock (lot.timezone, see lotTimeZone).
+// Rollups are whole UTC hours, which map onto whole local hours in every
+// zone with a whole-hour offset (all of the US).
+function computeHourlyAverages({lot, history, startMs, endMs}) {
+  const cap = typeof lot.capacity === "number" ? lot.capacity : null;
+  const timeZone = lotTimeZone(lot);
+
+  const occSeconds = Array(24).fill(0);
+  const totalSeconds = Array(24).fill(0);
+  const dayOccSeconds = Array.from({length: 7}, () => Array(24).fill(0));
+  const dayTotalSeconds = Array.from({length: 7}, () => Array(24).fill(0));
+
+  forEachKnownHour(lot, history, startMs, endMs, (hourMs, {occ, secs}) => {
+    if (!(secs > 0)) return;
+    const {hour, day} = localHourAndDay(hourMs, timeZone);
+    occSeconds[hour] += occ;
+    totalSeconds[hour] += secs;
+    dayOccSeconds[day][hour] += occ;
+    dayTotalSeconds[day][hour] += secs;
+  });
+
+  const averageByHour = {};
+  const averageRateByHour = {};
+  for (let h = 0; h < 24; h++) {
+    const avgOcc = totalSeconds[h] > 0 ? occSeconds[h] / totalSeconds[h] : 0;
+    averageByHour[String(h)] = avgOcc;
+    averageRateByHour[String(h)] = cap && cap > 0 ? (avgOcc / cap) * 100 : 0;
+  }
+
+  // Firestore has no nested arrays, so the 7x24 matrix is a map of maps
+  const averageByWeekdayHour = {};
+  for (let d = 0; d < 7; d++) {
+    const byHour = {};
+    for (let h = 0; h < 24; h++) {
+      byHour[String(h)] =
+        dayTotalSeconds[d][h] > 0 ?
+          dayOccSeconds[d][h] / dayTotalSeconds[d][h] :
+          0;
+    }
+    averageByWeekdayHour[String(d)] = byHour;
+  }
+
+  return {
+    averageByHour,
+    averageRateByHour,
+    averageByWeekdayHour,
+    timezone: timeZone,
+    coveredSeconds: totalSeconds.reduce((a, b) => a + b, 0),
+  };
+}
+
+// Typical traffic (ENTRY + EXIT events per hour) for each lot-local weekday
+// and hour over [startMs, endMs): { "0".."6": { "0".."23": mean events } },
+// averaged over the hours whose count is known. anomalies.js compares event
+// gaps against it to tell a dead sensor from a quiet hour.
+function computeTrafficProfile({lot, history, startMs, endMs}) {
+  const timeZone = lotTimeZone(lot);
+  const events = Array.from({length: 7}, () => Array(24).fill(0));
+  const hours = Array.from({length: 7}, () => Array(24).fill(0));
+
+  forEachKnownHour(
+      lot,
+      history,
+      startMs,
+      endMs,
+      (hourMs, {secs, entries, exits}) => {
+        if (!(secs > 0)) return;
+        const {hour, day} = localHourAndDay(hourMs, timeZone);
+        events[day][hour] += entries + exits;
+        hours[day][hour] += secs / 3600;
+      },
+  );
+
+  const profile = {};
+  for (let d = 0; d < 7; d++) {
+    const byHour = {};
+    for (let h = 0; h < 24; h++) {
+      byHour[String(h)] = hours[d][h] > 0 ? events[d][h] / hours[d][h] : 0;
+    }
+    profile[String(d)] = byHour;
+  }
+  return profile;
+}
+
+// ----------- daily lot insights -----------
+
+const dateFormatters = new Map();
+
+// "YYYY-MM-DD" and "HH:MM" (24h) of ms on the lot's wall clock
+function localDateAndTime(ms, timeZone) {
+  let fmt = dateFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    dateFormatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const part of fmt.formatToParts(new Date(ms))) p[part.type] = part.value;
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${String(Number(p.hour) % 24).padStart(2, "0")}:${p.minute}`,
+  };
+}
+
+function mean(values) {
+  return values.length > 0 ?
+    values.reduce((a, b) => a + b, 0) / values.length :
+    null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Per lot-local day in [startMs, endMs), complete days only (the partial
+// first day and today are dropped):
+//   entries, exits,
+//   turnoverRate:    entries per space (entries / capacity),
+//   avgDwellMinutes: estimated stay, average count / arrival rate
+//                    (Little's law),
+//   firstFullAt:     lot-local "HH:MM" it first reached capacity, or null,
+//   minutesFull:     time spent at capacity
+// Returns { timezone, latest (most recent day), typical (averages over all
+// days; firstFullAt is the median over days that filled), daysFull, days }.
+function computeDailyInsights({lot, history, startMs, endMs}) {
+  const cap =
+    typeof lot.capacity === "number" && lot.capacity > 0 ? lot.capacity : null;
+  const timeZone = lotTimeZone(lot);
+  const firstDay = localDateAndTime(startMs, timeZone).date;
+  const today = localDateAndTime(endMs, timeZone).date;
+
+  const byDate = new Map();
+  forEachKnownHour(lot, history, startMs, endMs, (hourMs, h) => {
+    const {date} = localDateAndTime(hourMs, timeZone);
+    if (date === firstDay || date === today) return;
+
+    const d = byDate.get(date) || {
+      occ: 0,
+      secs: 0,
+      fullSecs: 0,
+      firstFullMs: null,
+      entries: 0,
+      exits: 0,
+    };
+    d.occ += h.occ;
+    d.secs += h.secs;
+    d.fullSecs += h.fullSecs;
+    d.entries += h.entries;
+    d.exits += h.exits;
+    if (
+      h.firstFullMs !== null &&
+      (d.firstFullMs === null || h.firstFullMs < d.firstFullMs)
+    ) {
+      d.firstFullMs = h.firstFullMs;
+    }
+    byDate.set(date, d);
+  });
+
+  const days = [...byDate.entries()]
+      .filter(([, d]) => d.secs > 0)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, d]) => ({
+        date,
+        entries: d.entries,
+        exits: d.exits,
+        turnoverRate: cap ? d.entries / cap : null,
+        avgDwellMinutes: d.entries > 0 ? d.occ / d.entries / 60 : null,
+        firstFullAt:
+        d.firstFullMs === null ?
+          null :
+          localDateAndTime(d.firstFullMs, timeZone).time,
+        minutesFull: d.fullSecs / 60,
+      }));
+
+  const toMinutes = (hhmm) =>
+    Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+  const toHhmm = (minutes) =>
+    String(Math.floor(minutes / 60)).padStart(2, "0") +
+    ":" +
+    String(minutes % 60).padStart(2, "0");
+  const filled = days.filter((d) => d.firstFullAt !== null);
+  const medianFull = median(filled.map((d) => toMinutes(d.firstFullAt)));
+  const medianMinutes = medianFull === null ? null : Math.round(medianFull);
+
+  return {
+    timezone: timeZone,
+    latest: days.length > 0 ? days[days.length - 1] : null,
+    typical:
+      days.length === 0 ?
+        null :
+        {
+          entries: mean(days.map((d) => d.entries)),
+          turnoverRate: mean(
+              days
+                  .filter((d) => d.turnoverRate !== null)
+                  .map((d) => d.turnoverRate),
+          ),
+          avgDwellMinutes: mean(
+              days
+                  .filter((d) => d.avgDwellMinutes !== null)
+                  .map((d) => d.avgDwellMinutes),
+          ),
+          firstFullAt:
+              medianMinutes === null ? null : toHhmm(medianMinutes),
+          minutesFull: mean(days.map((d) => d.minutesFull)),
+        },
+    daysFull: filled.length,
+    days: days.length,
+  };
+}
+
+// Recomputes and stores one lot's historicalData and insights over the
+// lookbackWeeks before endMs. Returns false (and writes nothing) when no
+// count is known anywhere in the window, so the previous values are kept.
+async function refreshLotAnalytics(
+    db,
+    admin,
+    {lotId, lot, lookbackWeeks, endMs = Date.now()},
+) {
+  const windowDays = lookbackWeeks * 7;
+  const startMs = endMs - windowDays * 24 * HOUR_MS;
+  const history = await loadLotHistory(db, admin, {lotId, startMs, endMs});
+  const averages = computeHourlyAverages({lot, history, startMs, endMs});
+  if (averages.coveredSeconds === 0) return false;
+
+  const insights = computeDailyInsights({lot, history, startMs, endMs});
+
+  await db
+      .collection("lots")
+      .doc(lotId)
+      .set(
+          {
+            historicalData: {
+              averageByHour: averages.averageByHour,
+              averageRateByHour: averages.averageRateByHour,
+              averageByWeekdayHour: averages.averageByWeekdayHour,
+              timezone: averages.timezone,
+              windowDays,
+              lookbackWeeks,
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            },
+            insights: {
+              ...insights,
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            },
+          },
+          {merge: true},
+      );
+  return true;
+}
+
+module.exports = {
+  DEFAULT_LOT_TIMEZONE,
+  lotTimeZone,
+  localHourAndDay,
+  localDateAndTime,
+  forEachHourSegment,
+  loadLotHistory,
+  computeHourlyAverages,
+  computeTrafficProfile,
+  computeDailyInsights,
+  refreshLotAnalytics,
+};
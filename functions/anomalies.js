@@ -0,0 +1,302 @@
+/******************************************************************************
+ * Code Artifact: functions/anomalies.js
+ * Description:
+ *   Anomaly detection over each lot's event stream, run by the scanAnomalies
+ *   Cloud Function and `db_tools.js anomalies --scan`. Three kinds of flag:
+ *     burst:     a sensor lane reporting cars faster than they can pass
+ *     silence:   no events for a stretch the lot is normally busy
+ *     imbalance: a lot-local day whose ENTRYs and EXITs do not come close to
+ *                cancelling out (the count drifted that day)
+ *   Events are immutable (Req 17), so flags go to lots/{lotId}/anomalies
+ *   rather than onto the events. Document ids are derived from what was
+ *   flagged, so rescanning an overlapping window updates flags in place.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Preconditions:
+ *   - db is a firebase-admin Firestore instance; admin is the firebase-admin
+ *     module
+ *   - Events follow the eventCore schema; rollups exist for the traffic profile
+ *
+ * Side Effects:
+ *   - scanLotAnomalies writes lots/{lotId}/anomalies; detectAnomalies is pure
+ ******************************************************************************/
+
+const {HOUR_MS} = require("./eventCore");
+const {
+  lotTimeZone,
+  localHourAndDay,
+  localDateAndTime,
+  forEachHourSegment,
+  loadLotHistory,
+  computeTrafficProfile,
+} = require("./analytics");
+
+const ANOMALY_TYPES = ["burst", "silence", "imbalance"];
+
+// How much recent history one scan looks at; two days so yesterday is
+// always complete for the imbalance check
+const SCAN_WINDOW_MS = 48 * HOUR_MS;
+
+// burst: a lane cannot clear one car in less than this...
+const MIN_HEADWAY_MS = 2000;
+// ...and it takes this many too-close events in a row to call it a burst
+const BURST_MIN_EVENTS = 5;
+
+// silence: at least this long, over hours that normally see this many events
+const MIN_SILENCE_MS = 60 * 60 * 1000;
+const SILENCE_MIN_EXPECTED = 15;
+
+// imbalance: net ENTRY - EXIT over a day beyond this share of capacity (or
+// this many cars, whichever is more)
+const IMBALANCE_SHARE = 0.1;
+const IMBALANCE_MIN = 10;
+
+// Event ids kept on one flag (Firestore documents are capped at 1 MiB)
+const MAX_FLAGGED_IDS = 50;
+
+// When the event happened: the sensor's own clock for buffered uploads,
+// otherwise the server time it was applied
+function eventMs(e) {
+  const ts = e.sensor_timestamp || e.timestamp;
+  return ts && typeof ts.toMillis === "function" ? ts.toMillis() : null;
+}
+
+// Runs of same-lane, same-type sensor events closer together than
+// MIN_HEADWAY_MS
+function findBursts(events) {
+  const lanes = new Map();
+  for (const e of events) {
+    if (
+      e.source !== "sensor" ||
+      (e.eventType !== "ENTRY" && e.eventType !== "EXIT")
+    ) {
+      continue;
+    }
+    const key = `${e.sensorId || ""}|${e.eventType}`;
+    if (!lanes.has(key)) lanes.set(key, []);
+    lanes.get(key).push(e);
+  }
+
+  const found = [];
+  for (const laneEvents of lanes.values()) {
+    laneEvents.sort((a, b) => a.ms - b.ms);
+    let run = [laneEvents[0]];
+    const flush = () => {
+      if (run.length >= BURST_MIN_EVENTS) {
+        const first = run[0];
+        const spanMs = run[run.length - 1].ms - first.ms;
+        const sensor = first.sensorId || "unknown sensor";
+        const span = (spanMs / 1000).toFixed(1);
+        found.push({
+          id: `burst-${first.id}`,
+          type: "burst",
+          startMs: first.ms,
+          endMs: run[run.length - 1].ms,
+          ongoing: false,
+          message:
+            `${run.length} ${first.eventType} events from ${sensor} ` +
+            `in ${span}s`,
+          details: {
+            sensorId: first.sensorId || null,
+            eventType: first.eventType,
+            eventCount: run.length,
+            perMinute: spanMs > 0 ? ((run.length - 1) / spanMs) * 60000 : null,
+          },
+          eventIds: run.slice(0, MAX_FLAGGED_IDS).map((e) => e.id),
+        });
+      }
+    };
+    for (let i = 1; i < laneEvents.length; i++) {
+      if (laneEvents[i].ms - laneEvents[i - 1].ms < MIN_HEADWAY_MS) {
+        run.push(laneEvents[i]);
+      } else {
+        flush();
+        run = [laneEvents[i]];
+      }
+    }
+    flush();
+  }
+  return found;
+}
+
+// Gaps between consecutive events (the last one running to nowMs) that the
+// traffic profile says should have held at least SILENCE_MIN_EXPECTED events
+function findSilences(times, profile, timeZone, nowMs) {
+  const found = [];
+  for (let i = 0; i < times.length; i++) {
+    const startMs = times[i];
+    const ongoing = i === times.length - 1;
+    const endMs = ongoing ? nowMs : times[i + 1];
+    if (endMs - startMs < MIN_SILENCE_MS) continue;
+
+    let expected = 0;
+    forEachHourSegment(startMs, endMs, (hourMs, secs) => {
+      const {hour, day} = localHourAndDay(hourMs, timeZone);
+      const dayProfile = profile[String(day)] || {};
+      expected += Number(dayProfile[String(hour)] || 0) * (secs / 3600);
+    });
+    if (expected < SILENCE_MIN_EXPECTED) continue;
+
+    const hours = (endMs - startMs) / HOUR_MS;
+    const suffix = ongoing ? " (ongoing)" : "";
+    found.push({
+      id: `silence-${startMs}`,
+      type: "silence",
+      startMs,
+      endMs,
+      ongoing,
+      message:
+        `No events for ${hours.toFixed(1)}h${suffix}; ` +
+        `about ${Math.round(expected)} expected`,
+      details: {hours, expectedEvents: expected},
+      eventIds: [],
+    });
+  }
+  return found;
+}
+
+// Complete lot-local days in the window whose ENTRY/EXIT totals are lopsided
+function findImbalances(events, lot, timeZone, startMs, nowMs) {
+  const cap =
+    typeof lot.capacity === "number" && lot.capacity > 0 ? lot.capacity : 0;
+  const threshold = Math.max(IMBALANCE_MIN, IMBALANCE_SHARE * cap);
+  const firstDay = localDateAndTime(startMs, timeZone).date;
+  const today = localDateAndTime(nowMs, timeZone).date;
+
+  const days = new Map();
+  for (const e of events) {
+    if ((e.eventType !== "ENTRY" && e.eventType !== "EXIT") || e.deduped) {
+      continue;
+    }
+    const {date} = localDateAndTime(e.ms, timeZone);
+    if (date === firstDay || date === today) continue;
+    const d = days.get(date) || {
+      entries: 0,
+      exits: 0,
+      startMs: e.ms,
+      endMs: e.ms,
+    };
+    if (e.eventType === "ENTRY") d.entries++;
+    else d.exits++;
+    d.startMs = Math.min(d.startMs, e.ms);
+    d.endMs = Math.max(d.endMs, e.ms);
+    days.set(date, d);
+  }
+
+  const found = [];
+  for (const [date, d] of days) {
+    const net = d.entries - d.exits;
+    if (Math.abs(net) <= threshold) continue;
+    const sign = net > 0 ? "+" : "";
+    found.push({
+      id: `imbalance-${date}`,
+      type: "imbalance",
+      startMs: d.startMs,
+      endMs: d.endMs,
+      ongoing: false,
+      message:
+        `${date}: ${d.entries} ENTRY vs ${d.exits} EXIT (net ${sign}${net})`,
+      details: {date, entries: d.entries, exits: d.exits, net, threshold},
+      eventIds: [],
+    });
+  }
+  return found;
+}
+
+// All flags for one lot. events: the scan window's event documents plus, if
+// there is one, the last event before it (so a silence that began earlier
+// keeps its start); profile: computeTrafficProfile output.
+function detectAnomalies({lot, events, profile, startMs, nowMs}) {
+  const timeZone = lotTimeZone(lot);
+  const timed = events
+      .map((e) => ({...e, ms: eventMs(e)}))
+      .filter((e) => e.ms !== null)
+      .sort((a, b) => a.ms - b.ms);
+  const inWindow = timed.filter((e) => e.ms >= startMs);
+
+  return [
+    ...findBursts(inWindow),
+    ...findSilences(
+        timed.map((e) => e.ms),
+        profile,
+        timeZone,
+        nowMs,
+    ),
+    ...findImbalances(inWindow, lot, timeZone, startMs, nowMs),
+  ];
+}
+
+// Scans the last SCAN_WINDOW_MS of one lot and stores what it finds.
+// Returns { events: scanned, flagged: [anomaly ids] }.
+async function scanLotAnomalies(
+    db,
+    admin,
+    {lotId, lot, nowMs = Date.now(), lookbackWeeks = 4},
+) {
+  const lotRef = db.collection("lots").doc(lotId);
+  const startMs = nowMs - SCAN_WINDOW_MS;
+  const startTs = admin.firestore.Timestamp.fromMillis(startMs);
+  const historyStartMs = nowMs - lookbackWeeks * 7 * 24 * HOUR_MS;
+
+  const [eventsSnap, priorSnap, history] = await Promise.all([
+    lotRef
+        .collection("events")
+        .where("timestamp", ">=", startTs)
+        .orderBy("timestamp")
+        .get(),
+    lotRef
+        .collection("events")
+        .where("timestamp", "<", startTs)
+        .orderBy("timestamp", "desc")
+        .limit(1)
+        .get(),
+    loadLotHistory(db, admin, {lotId, startMs: historyStartMs, endMs: startMs}),
+  ]);
+
+  const events = [...priorSnap.docs, ...eventsSnap.docs].map((d) => ({
+    id: d.id,
+    ...(d.data() || {}),
+  }));
+  const profile = computeTrafficProfile({
+    lot,
+    history,
+    startMs: historyStartMs,
+    endMs: startMs,
+  });
+  const anomalies = detectAnomalies({lot, events, profile, startMs, nowMs});
+
+  // 500 writes per batch
+  for (let i = 0; i < anomalies.length; i += 400) {
+    const batch = db.batch();
+    for (const a of anomalies.slice(i, i + 400)) {
+      batch.set(
+          lotRef.collection("anomalies").doc(a.id),
+          {
+            id: a.id,
+            lotId,
+            type: a.type,
+            start: admin.firestore.Timestamp.fromMillis(a.startMs),
+            end: admin.firestore.Timestamp.fromMillis(a.endMs),
+            ongoing: a.ongoing,
+            message: a.message,
+            details: a.details,
+            eventIds: a.eventIds,
+            updated_at: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          {merge: true},
+      );
+    }
+    await batch.commit();
+  }
+
+  return {events: eventsSnap.size, flagged: anomalies.map((a) => a.id)};
+}
+
+module.exports = {
+  ANOMALY_TYPES,
+  SCAN_WINDOW_MS,
+  detectAnomalies,
+  scanLotAnomalies,
+};
@@ -0,0 +1,1453 @@
+/******************************************************************************
+ * Code Artifact: functions/eventCore.js
+ * Description:
+ *   Firestore write logic for lot occupancy that is shared by the Cloud
+ *   Functions (functions/index.js) and the admin CLI (app/scripts/db_tools.js).
+ *   Owns the canonical event schema: every event document is written here.
+ *   Callers pass in their own initialized Firestore instance and firebase-admin
+ *   module, so this file has no dependencies and can be required from either.
+ *
+ * Implements Requirements:
+ *   - Req 9 : Prevent duplicate vehicle events using cooldown logic
+ *             (configurable)
+ *   - Req 14: Store server-side timestamps for events and status updates
+ *   - Req 17: Write immutable event records (create-only)
+ *   - Req 18: Include unique id, timestamp, eventType in each event record
+ *   - Req 19: Update occupancy count based on entry/exit events
+ *   - Req 21: Enforce occupancy limits (0 ≤ occupancy ≤ capacity)
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18 (occupancy corrections shared by functions and db_tools)
+ * Revision: 2026-10-18 (added clamp drift report)
+ * Revision: 2026-10-18 (added cooldown validation and per-lot/per-sensor
+ *           resolution)
+ * Revision: 2026-10-18 (moved recordLotEvent here; one event schema for
+ *           functions and CLI, legacy migration)
+ * Revision: 2026-10-18 (hourly occupancy rollups maintained in the event
+ *           transaction)
+ * Revision: 2026-10-18 (rollups track time at capacity for lot insights)
+ * Revision: 2026-10-18 (rebuild derived event fields, rollups and counts by
+ *           replaying events)
+ * Revision: 2026-10-18 (corrections on lots with zones carry per-zone counts)
+ *
+ * Preconditions:
+ *   - db is a firebase-admin Firestore instance; admin is the firebase-admin
+ *     module
+ *
+ * Side Effects:
+ *   - buildDriftReport is read-only
+ *   - Creates event documents under lots/{lotId}/events (migrateLegacyEvents
+ *     rewrites pre-schema documents in place)
+ *   - Updates lots/{lotId}/_meta/current_status and the lot doc mirror
+ *   - Writes cooldown, idempotency and drift records under lots/{lotId}/_meta
+ *   - Updates hourly rollups under lots/{lotId}/rollups
+ *   - rebuildLotEvents rewrites derived event fields (occupancy_before/after,
+ *     clamped, deduped), rollups, drift counters and the count in place
+ *
+ * Invariants:
+ *   - count_now and lot.currentOccupancy are always written in the same
+ *     transaction
+ *   - Every event carries id, eventType, source and occupancy_before/after
+ *   - Every count change is reflected in the rollups by the same transaction
+ ******************************************************************************/
+
+const crypto = require("crypto");
+
+// ----------- helpers -----------
+
+// Throws an Error carrying an HTTP status (handlers turn it into a response)
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  throw err;
+}
+
+// Req 18: unique ID generation
+function makeId() {
+  if (typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  return `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// ----------- Req 9: cooldown configuration -----------
+
+// Dedupe windows are whole milliseconds between 0 and 10 minutes; anything
+// longer would swallow real traffic rather than sensor double-fires.
+const DEFAULT_COOLDOWN_MS = 1200;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Returns the cooldown as a number, or null when value is missing or invalid
+function parseCooldownMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms < 0 || ms > MAX_COOLDOWN_MS) return null;
+  return ms;
+}
+
+// Effective cooldown for one event: sensor setting, then lot setting, then
+// the deployment default. Invalid stored values are skipped, not trusted.
+// Returns { ms, source: "sensor" | "lot" | "default" }.
+function resolveCooldownMs({sensorCooldownMs, lotCooldownMs, defaultMs}) {
+  const fromSensor = parseCooldownMs(sensorCooldownMs);
+  if (fromSensor !== null) return {ms: fromSensor, source: "sensor"};
+
+  const fromLot = parseCooldownMs(lotCooldownMs);
+  if (fromLot !== null) return {ms: fromLot, source: "lot"};
+
+  return {ms: defaultMs, source: "default"};
+}
+
+// ----------- canonical event schema (Req 17, 18) -----------
+// Every document in lots/{lotId}/events is written by this module in one shape:
+// {
+//   id, lotId,
+//   eventType:        "ENTRY" | "EXIT" | "MOVE" | "CORRECTION",
+//   source:           "sensor" | "manual" | "admin",
+//   timestamp:        server time the event was applied,
+//   occupancy_before, occupancy_after: lot total around the event,
+//   clamped:          "floor" | "ceiling" | null (not on CORRECTION),
+//   sensorId?         (source "sensor"),
+//   zoneId? | fromZoneId?/toZoneId?, clamped_zone?,
+//   sensor_timestamp? (buffered batch uploads),
+//   confidence?       0..1, how sure the detector was,
+//   detector?         raw detector metadata, stored as sent,
+//   operator?, reason? (manual and admin events),
+//   deduped?          true when a rebuild found it inside the cooldown
+//                     (count unchanged)
+// }
+
+const EVENT_TYPES = ["ENTRY", "EXIT", "MOVE"];
+const EVENT_SOURCES = ["sensor", "manual"];
+
+// Raw detector metadata is stored verbatim, so keep it small and flat enough
+// to read back in the console
+const MAX_DETECTOR_METADATA_BYTES = 2048;
+
+// Checks the optional confidence/detector fields; returns them normalized
+// (null when absent) or throws a 400
+function validateEventMetadata({confidence, detector}) {
+  let conf = null;
+  if (confidence !== undefined && confidence !== null) {
+    if (
+      typeof confidence !== "number" ||
+      !(confidence >= 0 && confidence <= 1)
+    ) {
+      httpError(400, "confidence must be a number between 0 and 1");
+    }
+    conf = confidence;
+  }
+
+  let meta = null;
+  if (detector !== undefined && detector !== null) {
+    if (typeof detector !== "object" || Array.isArray(detector)) {
+      httpError(400, "detector must be a JSON object");
+    }
+    if (
+      Buffer.byteLength(JSON.stringify(detector)) > MAX_DETECTOR_METADATA_BYTES
+    ) {
+      const max = MAX_DETECTOR_METADATA_BYTES;
+      httpError(400, `detector metadata must be at most ${max} bytes`);
+    }
+    meta = detector;
+  }
+
+  return {confidence: conf, detector: meta};
+}
+
+// Req 9: compute a stable cooldown doc id for (sensor,eventType)
+function cooldownDocId(sensorId, eventType) {
+  // Keep it filesystem/doc-id safe
+  return `${sensorId}_${eventType}`;
+}
+
+// ----------- hourly rollups -----------
+// lots/{lotId}/rollups/{YYYY-MM-DDTHH} (UTC hour), maintained by every write
+// that changes or could change the count:
+// {
+//   hour_start:        Timestamp of the top of the hour,
+//   occupancy_seconds: sum of count x seconds held during the hour,
+//   covered_seconds:   seconds of the hour accounted for so far,
+//   entries, exits, moves, corrections: events recorded in the hour,
+//   max, min:          extremes of the count during the covered part,
+//   last_count:        count at the end of the covered part,
+//   full_seconds:      seconds spent at capacity,
+//   first_full_ms:     when the lot first reached capacity in the hour
+//                      (if it did)
+// }
+// occupancy_seconds / covered_seconds is the time-weighted average count.
+// The stretch since the latest event is not in any rollup yet; readers add
+// it from current_status (count_now since last_change_ms).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A quiet stretch longer than this only backfills its most recent hours, so
+// one event never needs more than a week of rollup writes (Firestore allows
+// 500 per transaction). Readers carry last_count across any gap.
+const MAX_ROLLUP_SPAN_HOURS = 7 * 24;
+
+const ROLLUP_COUNTERS = {
+  ENTRY: "entries",
+  EXIT: "exits",
+  MOVE: "moves",
+  CORRECTION: "corrections",
+};
+
+function hourStartMs(ms) {
+  return Math.floor(ms / HOUR_MS) * HOUR_MS;
+}
+
+// "2026-10-18T14" for any time in that UTC hour
+function rollupHourKey(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+function rollupRef(lotRef, ms) {
+  return lotRef.collection("rollups").doc(rollupHourKey(ms));
+}
+
+// Adds the segment [prevChangeMs, atMs) held at prevCount to every hour it
+// spans, then records the event (and the count it left, nextCount) in atMs's
+// hour. hourSnap is that hour's rollup, read earlier in the same transaction;
+// every other write is an increment or a quiet hour, so needs no read.
+// cap (lot capacity, or null) drives full_seconds / first_full_ms.
+function writeRollups(
+    t,
+    admin,
+    lotRef,
+    {hourSnap, prevCount, prevChangeMs, atMs, nextCount, eventType, cap},
+) {
+  const {FieldValue, Timestamp} = admin.firestore;
+  const currentHour = hourStartMs(atMs);
+  const isFull = (count) => cap !== null && cap !== undefined && count >= cap;
+
+  // A buffered event older than the last change (another sensor has moved the
+  // count on since) only adds to its hour's tally. The hour's extremes and
+  // last_count belong to the changes around it, and it adds no time.
+  if (Number.isFinite(prevChangeMs) && atMs < prevChangeMs) {
+    t.set(
+        rollupRef(lotRef, atMs),
+        {
+          hour_start: Timestamp.fromMillis(currentHour),
+          [ROLLUP_COUNTERS[eventType]]: FieldValue.increment(1),
+        },
+        {merge: true},
+    );
+    return;
+  }
+
+  let currentOcc = 0;
+  let currentSecs = 0;
+  let currentFullSecs = 0;
+  let currentFullFrom = null;
+  let max = nextCount;
+  let min = nextCount;
+
+  // No last_change_ms (lots written before rollups) means no known segment
+  if (Number.isFinite(prevChangeMs) && prevChangeMs < atMs) {
+    let from = Math.max(prevChangeMs, atMs - MAX_ROLLUP_SPAN_HOURS * HOUR_MS);
+    while (from < atMs) {
+      const hour = hourStartMs(from);
+      const to = Math.min(hour + HOUR_MS, atMs);
+      const secs = (to - from) / 1000;
+      const fullSecs = isFull(prevCount) ? secs : 0;
+
+      if (hour === currentHour) {
+        currentOcc += prevCount * secs;
+        currentSecs += secs;
+        currentFullSecs += fullSecs;
+        if (fullSecs > 0) currentFullFrom = from;
+        max = Math.max(max, prevCount);
+        min = Math.min(min, prevCount);
+      } else {
+        const data = {
+          hour_start: Timestamp.fromMillis(hour),
+          occupancy_seconds: FieldValue.increment(prevCount * secs),
+          covered_seconds: FieldValue.increment(secs),
+          full_seconds: FieldValue.increment(fullSecs),
+        };
+        // The hour of the previous change already has its extremes; later
+        // hours in the span were quiet and held prevCount throughout
+        if (hour > hourStartMs(prevChangeMs)) {
+          data.max = prevCount;
+          data.min = prevCount;
+          data.last_count = prevCount;
+          if (fullSecs > 0) data.first_full_ms = hour;
+        }
+        t.set(rollupRef(lotRef, hour), data, {merge: true});
+      }
+      from = to;
+    }
+  }
+
+  const existing = hourSnap.exists ? hourSnap.data() || {} : {};
+  if (typeof existing.max === "number") max = Math.max(max, existing.max);
+  if (typeof existing.min === "number") min = Math.min(min, existing.min);
+
+  const current = {
+    hour_start: Timestamp.fromMillis(currentHour),
+    occupancy_seconds: FieldValue.increment(currentOcc),
+    covered_seconds: FieldValue.increment(currentSecs),
+    full_seconds: FieldValue.increment(currentFullSecs),
+    [ROLLUP_COUNTERS[eventType]]: FieldValue.increment(1),
+    max,
+    min,
+    last_count: nextCount,
+  };
+  // When in this hour the lot first reached capacity (kept once set)
+  if (typeof existing.first_full_ms !== "number") {
+    if (currentFullFrom !== null) current.first_full_ms = currentFullFrom;
+    else if (isFull(nextCount)) current.first_full_ms = atMs;
+  }
+  t.set(rollupRef(lotRef, atMs), current, {merge: true});
+}
+
+// --- transactional event write + occupancy update (Req 9, 14, 17–19, 21) ---
+// source "sensor" (default): sensorId required, cooldown dedupe applies
+// source "manual": operator-entered event, no sensor and no cooldown
+// occurredAtMs: optional sensor-side time (batch uploads); defaults to now
+// eventId: optional client idempotency key; replays return the stored result
+// zoneId (ENTRY/EXIT) or fromZoneId/toZoneId (MOVE): optional zone/level
+// sensorCooldownMs: the sensor's own cooldown_ms setting, if any
+// defaultCooldownMs: deployment-wide fallback (see resolveCooldownMs)
+async function recordLotEvent(
+    db,
+    admin,
+    {
+      lotId,
+      eventType,
+      source = "sensor",
+      sensorId = null,
+      occurredAtMs = null,
+      eventId = null,
+      zoneId = null,
+      fromZoneId = null,
+      toZoneId = null,
+      sensorCooldownMs = null,
+      defaultCooldownMs = DEFAULT_COOLDOWN_MS,
+      confidence = null,
+      detector = null,
+      operator = null,
+    },
+) {
+  if (!lotId || typeof lotId !== "string") {
+    httpError(400, "lotId is required (string)");
+  }
+  if (!EVENT_SOURCES.includes(source)) {
+    httpError(400, `source must be one of ${EVENT_SOURCES.join(", ")}`);
+  }
+  if (source === "sensor" && (!sensorId || typeof sensorId !== "string")) {
+    httpError(400, "sensorId is required (string)");
+  }
+  if (!EVENT_TYPES.includes(eventType)) {
+    httpError(400, `eventType must be one of ${EVENT_TYPES.join(", ")}`);
+  }
+  if (eventType === "MOVE" && (!fromZoneId || !toZoneId)) {
+    httpError(400, "MOVE events require fromZoneId and toZoneId");
+  }
+  const metadata = validateEventMetadata({confidence, detector});
+
+  const id = eventId || makeId();
+
+  const lotRef = db.collection("lots").doc(lotId);
+  const statusRef = lotRef.collection("_meta").doc("current_status");
+  const eventRef = lotRef.collection("events").doc(id);
+  const driftRef = lotRef.collection("_meta").doc("drift");
+
+  // Req 9: cooldown ref stored under _meta/cooldowns (sensor events only;
+  // an operator entering events by hand is never a double-fire)
+  const cooldownRef =
+    source === "sensor" ?
+      lotRef
+          .collection("_meta")
+          .doc("cooldowns")
+          .collection("by_sensor_event")
+          .doc(cooldownDocId(sensorId, eventType)) :
+      null;
+
+  // Idempotency records stored under _meta/idempotency, one per client eventId.
+  // They hold the outcome (created or deduped) so a retry gets the same answer.
+  const idempotencyRef = eventId ?
+    lotRef
+        .collection("_meta")
+        .doc("idempotency")
+        .collection("by_key")
+        .doc(eventId) :
+    null;
+
+  // Buffered events are deduped against the time they happened, not the time
+  // the backlog reached us (otherwise a whole flush would fall inside the
+  // cooldown)
+  const nowMs = occurredAtMs === null ? Date.now() : occurredAtMs;
+
+  // If deduped, we'll return this instead of creating event/update
+  let deduped = false;
+  let computedNext = null; // for historical averages purposes
+  let clamped = null;
+  let zoneCountsAfter = null;
+  let replayed = null;
+  let cooldown = null;
+
+  await db.runTransaction(async (t) => {
+    const lotSnap = await t.get(lotRef);
+    if (!lotSnap.exists) {
+      httpError(404, `Unknown lotId: ${lotId}`);
+    }
+
+    if (idempotencyRef) {
+      const idemSnap = await t.get(idempotencyRef);
+      if (idemSnap.exists) {
+        const prior = idemSnap.data() || {};
+        if (
+          (prior.sensorId || null) !== sensorId ||
+          prior.eventType !== eventType
+        ) {
+          httpError(
+              409,
+              `eventId ${eventId} was already used for a different event`,
+          );
+        }
+        replayed = prior.result || {};
+        return;
+      }
+    }
+
+    const cdSnap = cooldownRef ? await t.get(cooldownRef) : null;
+    const statusSnap = await t.get(statusRef);
+    const hourSnap = await t.get(rollupRef(lotRef, nowMs));
+
+    const lot = lotSnap.data() || {};
+    const cap = typeof lot.capacity === "number" ? lot.capacity : null;
+    const status = statusSnap.exists ? statusSnap.data() || {} : {};
+    const current = status.count_now || 0;
+    const lastChangeMs =
+      typeof status.last_change_ms === "number" ? status.last_change_ms : null;
+
+    // Zones named by the event must be defined on the lot
+    const lotZones =
+      lot.zones && typeof lot.zones === "object" ? lot.zones : {};
+    for (const z of [zoneId, fromZoneId, toZoneId]) {
+      if (z && !lotZones[z]) {
+        httpError(400, `Unknown zoneId for ${lotId}: ${z}`);
+      }
+    }
+
+    if (cooldownRef) {
+      const lastMs = cdSnap.exists ?
+        Number(cdSnap.data().last_event_ms || 0) :
+        0;
+
+      // Req 9: sensor setting beats lot setting beats deployment default
+      cooldown = resolveCooldownMs({
+        sensorCooldownMs,
+        lotCooldownMs: lot.cooldown_ms,
+        defaultMs: defaultCooldownMs,
+      });
+
+      // A buffered event older than the last one applied for this sensor would
+      // replay history out of order; the caller must not apply it.
+      if (occurredAtMs !== null && cdSnap.exists && occurredAtMs < lastMs) {
+        httpError(
+            409,
+            "Event timestamp precedes the last recorded event for this sensor",
+        );
+      }
+
+      deduped = Number.isFinite(lastMs) && nowMs - lastMs < cooldown.ms;
+
+      t.set(
+          cooldownRef,
+          {
+            last_event_ms: nowMs,
+            last_event_type: eventType,
+            last_sensor_id: sensorId,
+            last_updated: admin.firestore.FieldValue.serverTimestamp(),
+            cooldown_ms: cooldown.ms,
+          },
+          {merge: true},
+      );
+
+      if (deduped) {
+        if (idempotencyRef) {
+          t.create(idempotencyRef, {
+            sensorId,
+            eventType,
+            result: {
+              deduped: true,
+              cooldown_ms: cooldown.ms,
+              cooldown_source: cooldown.source,
+            },
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+        return;
+      }
+    }
+
+    // Req 21: clamp, but remember that we did: an EXIT at 0 or an ENTRY at
+    // capacity means the count has drifted from reality
+    const zoneCounts = {...(status.zone_counts || {})};
+    const {
+      next,
+      clamped: clampedAt,
+      clampedZone,
+    } = applyEventDelta({
+      eventType,
+      current,
+      cap,
+      lotZones,
+      zoneCounts,
+      zoneId,
+      fromZoneId,
+      toZoneId,
+    });
+    clamped = clampedAt;
+    computedNext = next;
+    if (Object.keys(lotZones).length > 0) zoneCountsAfter = zoneCounts;
+
+    const eventData = {
+      id,
+      lotId,
+      eventType,
+      source,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      occupancy_before: current,
+      occupancy_after: next,
+      clamped,
+    };
+    if (sensorId) eventData.sensorId = sensorId;
+    if (zoneId) eventData.zoneId = zoneId;
+    if (eventType === "MOVE") {
+      eventData.fromZoneId = fromZoneId;
+      eventData.toZoneId = toZoneId;
+    }
+    if (clampedZone) eventData.clamped_zone = clampedZone;
+    if (occurredAtMs !== null) {
+      eventData.sensor_timestamp =
+        admin.firestore.Timestamp.fromMillis(occurredAtMs);
+    }
+    if (metadata.confidence !== null) {
+      eventData.confidence = metadata.confidence;
+    }
+    if (metadata.detector !== null) eventData.detector = metadata.detector;
+    if (operator) eventData.operator = operator;
+
+    t.create(eventRef, eventData);
+
+    // Running drift counters, per lot and per sensor, for absorbed events
+    if (clamped) {
+      const counter = `${eventType.toLowerCase()}_absorbed`;
+      const drift = {
+        [counter]: admin.firestore.FieldValue.increment(1),
+        last_clamped_at: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      if (sensorId) {
+        drift.by_sensor = {
+          [sensorId]: {[counter]: admin.firestore.FieldValue.increment(1)},
+        };
+      }
+      t.set(driftRef, drift, {merge: true});
+    }
+
+    if (idempotencyRef) {
+      t.create(idempotencyRef, {
+        sensorId,
+        eventType,
+        result: {
+          id,
+          deduped: false,
+          next,
+          clamped,
+          zone_counts: zoneCountsAfter,
+        },
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    writeRollups(t, admin, lotRef, {
+      hourSnap,
+      prevCount: current,
+      prevChangeMs: lastChangeMs,
+      atMs: nowMs,
+      nextCount: next,
+      eventType,
+      cap,
+    });
+
+    const statusUpdate = {
+      count_now: next,
+      last_change_ms: Math.max(nowMs, lastChangeMs || 0),
+      last_updated: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const lotUpdate = {
+      currentOccupancy: next,
+      last_updated: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (zoneCountsAfter) {
+      statusUpdate.zone_counts = zoneCountsAfter;
+      lotUpdate.zoneOccupancy = zoneCountsAfter;
+    }
+
+    t.set(statusRef, statusUpdate, {merge: true});
+
+    t.set(lotRef, lotUpdate, {merge: true});
+  });
+
+  // Same key seen before: hand back the original outcome untouched
+  if (replayed) {
+    return {...replayed, replayed: true};
+  }
+
+  // Req 9: communicate dedupe result clearly
+  if (deduped) {
+    return {
+      deduped: true,
+      cooldown_ms: cooldown.ms,
+      cooldown_source: cooldown.source,
+    };
+  }
+
+  return {
+    id,
+    deduped: false,
+    next: computedNext,
+    clamped,
+    zone_counts: zoneCountsAfter,
+  };
+}
+
+// Applies one event to the lot total and, when zones are involved, to
+// zoneCounts (mutated in place). Zone and total move by the same delta or not
+// at all, so the zones never disagree with the total: if either bound would
+// be crossed the event is absorbed and reported as clamped.
+// Returns { next, clamped: "floor" | "ceiling" | null, clampedZone }.
+function applyEventDelta({
+  eventType,
+  current,
+  cap,
+  lotZones,
+  zoneCounts,
+  zoneId,
+  fromZoneId,
+  toZoneId,
+}) {
+  const zoneCap = (z) =>
+    lotZones[z] && typeof lotZones[z].capacity === "number" ?
+      lotZones[z].capacity :
+      null;
+  const zoneCount = (z) => Number(zoneCounts[z] || 0);
+
+  if (eventType === "MOVE") {
+    if (zoneCount(fromZoneId) <= 0) {
+      return {next: current, clamped: "floor", clampedZone: fromZoneId};
+    }
+    const toCap = zoneCap(toZoneId);
+    if (toCap !== null && zoneCount(toZoneId) >= toCap) {
+      return {next: current, clamped: "ceiling", clampedZone: toZoneId};
+    }
+    zoneCounts[fromZoneId] = zoneCount(fromZoneId) - 1;
+    zoneCounts[toZoneId] = zoneCount(toZoneId) + 1;
+    return {next: current, clamped: null, clampedZone: null};
+  }
+
+  const delta = eventType === "ENTRY" ? 1 : -1;
+  const next = current + delta;
+
+  if (next < 0) return {next: 0, clamped: "floor", clampedZone: null};
+  if (cap !== null && next > cap) {
+    return {next: cap, clamped: "ceiling", clampedZone: null};
+  }
+
+  if (zoneId) {
+    const zoneNext = zoneCount(zoneId) + delta;
+    if (zoneNext < 0) {
+      return {next: current, clamped: "floor", clampedZone: zoneId};
+    }
+    const zCap = zoneCap(zoneId);
+    if (zCap !== null && zoneNext > zCap) {
+      return {next: current, clamped: "ceiling", clampedZone: zoneId};
+    }
+    zoneCounts[zoneId] = zoneNext;
+  }
+
+  return {next, clamped: null, clampedZone: null};
+}
+
+// ----------- legacy event migration -----------
+
+// Events written before the canonical schema (the old db_tools recordEvent)
+// look like { timestamp, direction, source: "manual", confidence } with no id,
+// eventType or occupancy_before/after. Rewrites them in place, in timestamp
+// order, replaying the lot total from the nearest canonical event before
+// them (or from 0 when there is none). Only legacy documents are touched.
+// With dryRun nothing is written.
+// Returns { lotId, scanned, migrated, skipped: [{ id, reason }] }.
+async function migrateLegacyEvents(db, admin, {lotId, dryRun = false}) {
+  const lotRef = db.collection("lots").doc(lotId);
+  const lotSnap = await lotRef.get();
+  if (!lotSnap.exists) {
+    httpError(404, `Unknown lotId: ${lotId}`);
+  }
+  const lot = lotSnap.data() || {};
+  const cap = typeof lot.capacity === "number" ? lot.capacity : null;
+
+  const eventsSnap = await lotRef
+      .collection("events")
+      .orderBy("timestamp")
+      .get();
+
+  const updates = [];
+  const skipped = [];
+  let running = 0;
+
+  for (const doc of eventsSnap.docs) {
+    const e = doc.data() || {};
+
+    if (e.eventType) {
+      if (typeof e.occupancy_after === "number") running = e.occupancy_after;
+      continue;
+    }
+    if (e.direction !== "ENTRY" && e.direction !== "EXIT") {
+      skipped.push({
+        id: doc.id,
+        reason: `unrecognized direction ${JSON.stringify(e.direction)}`,
+      });
+      continue;
+    }
+
+    const {next, clamped} = applyEventDelta({
+      eventType: e.direction,
+      current: running,
+      cap,
+      lotZones: {},
+      zoneCounts: {},
+    });
+    const update = {
+      id: doc.id,
+      lotId,
+      eventType: e.direction,
+      source: EVENT_SOURCES.includes(e.source) ? e.source : "manual",
+      occupancy_before: running,
+      occupancy_after: next,
+      clamped,
+      direction: admin.firestore.FieldValue.delete(),
+      migrated_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (e.confidence !== undefined && e.confidence !== null) {
+      try {
+        update.confidence = validateEventMetadata({
+          confidence: e.confidence,
+        }).confidence;
+      } catch (_) {
+        update.confidence = admin.firestore.FieldValue.delete();
+      }
+    }
+    updates.push({ref: doc.ref, update});
+    running = next;
+  }
+
+  if (!dryRun) {
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < updates.length; i += 500) {
+      const batch = db.batch();
+      for (const {ref, update} of updates.slice(i, i + 500)) {
+        batch.update(ref, update);
+      }
+      await batch.commit();
+    }
+  }
+
+  return {lotId, scanned: eventsSnap.size, migrated: updates.length, skipped};
+}
+
+// ----------- rebuild derived state by replaying events -----------
+
+// Fields of an event that a replay recomputes (everything else is as recorded)
+function derivedEventFields(e) {
+  return {
+    occupancy_before:
+      typeof e.occupancy_before === "number" ? e.occupancy_before : null,
+    occupancy_after:
+      typeof e.occupancy_after === "number" ? e.occupancy_after : null,
+    clamped: e.clamped || null,
+    clamped_zone: e.clamped_zone || null,
+    deduped: e.deduped === true,
+  };
+}
+
+// When recordLotEvent applied the event: sensor time for buffered uploads,
+// otherwise the server timestamp
+function appliedAtMs(e) {
+  const ts = e.sensor_timestamp || e.timestamp;
+  return ts && typeof ts.toMillis === "function" ? ts.toMillis() : null;
+}
+
+// Plain-object twin of writeRollups for a replay: folds one applied event
+// into hours (Map of rollupHourKey -> absolute rollup fields)
+function foldRollups(
+    hours,
+    {prevCount, prevChangeMs, atMs, nextCount, eventType, cap},
+) {
+  const isFull = (count) => cap !== null && count >= cap;
+  const hourAt = (ms) => {
+    const key = rollupHourKey(ms);
+    if (!hours.has(key)) {
+      hours.set(key, {
+        hour_start: hourStartMs(ms),
+        occupancy_seconds: 0,
+        covered_seconds: 0,
+        full_seconds: 0,
+        entries: 0,
+        exits: 0,
+        moves: 0,
+        corrections: 0,
+        max: null,
+        min: null,
+        last_count: null,
+        first_full_ms: null,
+      });
+    }
+    return hours.get(key);
+  };
+  const see = (h, count, fromMs) => {
+    h.max = h.max === null ? count : Math.max(h.max, count);
+    h.min = h.min === null ? count : Math.min(h.min, count);
+    h.last_count = count;
+    if (isFull(count) && h.first_full_ms === null) h.first_full_ms = fromMs;
+  };
+
+  if (Number.isFinite(prevChangeMs) && prevChangeMs < atMs) {
+    let from = Math.max(prevChangeMs, atMs - MAX_ROLLUP_SPAN_HOURS * HOUR_MS);
+    while (from < atMs) {
+      const to = Math.min(hourStartMs(from) + HOUR_MS, atMs);
+      const h = hourAt(from);
+      const secs = (to - from) / 1000;
+      h.occupancy_seconds += prevCount * secs;
+      h.covered_seconds += secs;
+      if (isFull(prevCount)) h.full_seconds += secs;
+      see(h, prevCount, from);
+      from = to;
+    }
+  }
+  if (eventType) {
+    const h = hourAt(atMs);
+    h[ROLLUP_COUNTERS[eventType]] += 1;
+    see(h, nextCount, atMs);
+  }
+}
+
+// Replays a lot's events in timestamp order with recordLotEvent's rules
+// (cooldown dedupe for sensor events, clamping, zone bounds; CORRECTIONs set
+// the observed count) and rewrites what is derived from them:
+//   - occupancy_before/after, clamped, clamped_zone on each event; events the
+//     cooldown would have rejected are kept (Req 17) but marked deduped: true
+//     and leave the count alone
+//   - hourly rollups for the replayed hours, and the drift counters; stored
+//     rollups for hours in the range that no replayed event reaches (e.g.
+//     hours whose only events are now deduped) are deleted
+//   - count_now / zone counts, when the range runs to the latest event
+// defaultCooldownMs is required and must be the deployment's COOLDOWN_MS
+// (functions/index.js), or sensor events are deduped by a different window
+// than the one they were recorded under.
+// fromMs / toMs (null = unbounded) are rounded down to whole UTC hours so
+// every rebuilt rollup covers a whole hour. Before fromMs the stored count is
+// trusted. Zone counts are not stored on events, so lots with zones can only
+// be replayed from their first event. Nothing is written with dryRun; either
+// way the result lists every change:
+// { lotId, from, to, scanned, changed: [{ id, eventType, before, after }],
+//   status: { before, after } | null, rollupHours, rollupHoursCleared }
+// Not transactional: pause the lot's sensors while rebuilding up to now.
+async function rebuildLotEvents(
+    db,
+    admin,
+    {
+      lotId,
+      fromMs = null,
+      toMs = null,
+      dryRun = false,
+      defaultCooldownMs,
+    },
+) {
+  if (parseCooldownMs(defaultCooldownMs) === null) {
+    httpError(
+        400,
+        "defaultCooldownMs is required: the deployment's COOLDOWN_MS " +
+          `(0-${MAX_COOLDOWN_MS})`,
+    );
+  }
+  const {FieldValue, Timestamp} = admin.firestore;
+  const lotRef = db.collection("lots").doc(lotId);
+  const statusRef = lotRef.collection("_meta").doc("current_status");
+  const lotSnap = await lotRef.get();
+  if (!lotSnap.exists) {
+    httpError(404, `Unknown lotId: ${lotId}`);
+  }
+  const lot = lotSnap.data() || {};
+  const cap = typeof lot.capacity === "number" ? lot.capacity : null;
+  const lotZones = lot.zones && typeof lot.zones === "object" ? lot.zones : {};
+
+  const startMs = fromMs === null ? null : hourStartMs(fromMs);
+  const endMs = toMs === null ? null : hourStartMs(toMs);
+  if (startMs !== null && endMs !== null && startMs >= endMs) {
+    httpError(400, "from must be at least an hour before to");
+  }
+  if (startMs !== null && Object.keys(lotZones).length > 0) {
+    httpError(
+        400,
+        `${lotId} has zones, which can only be rebuilt from its first event ` +
+          "(omit from)",
+    );
+  }
+
+  const events = lotRef.collection("events");
+  let query = events;
+  if (startMs !== null) {
+    query = query.where("timestamp", ">=", Timestamp.fromMillis(startMs));
+  }
+  if (endMs !== null) {
+    query = query.where("timestamp", "<", Timestamp.fromMillis(endMs));
+  }
+
+  let storedRollups = lotRef.collection("rollups");
+  if (startMs !== null) {
+    storedRollups = storedRollups.where(
+        "hour_start",
+        ">=",
+        Timestamp.fromMillis(startMs),
+    );
+  }
+  if (endMs !== null) {
+    storedRollups = storedRollups.where(
+        "hour_start",
+        "<",
+        Timestamp.fromMillis(endMs),
+    );
+  }
+
+  const [
+    eventsSnap,
+    priorSnap,
+    cooldownSnap,
+    laterSnap,
+    sensorsSnap,
+    statusSnap,
+    storedRollupsSnap,
+  ] = await Promise.all([
+    query.orderBy("timestamp").get(),
+    startMs === null ?
+      null :
+      events
+          .where("timestamp", "<", Timestamp.fromMillis(startMs))
+          .orderBy("timestamp", "desc")
+          .limit(1)
+          .get(),
+    // Sensor events just before the range still hold their cooldowns open
+    startMs === null ?
+      null :
+      events
+          .where(
+              "timestamp",
+              ">=",
+              Timestamp.fromMillis(startMs - MAX_COOLDOWN_MS),
+          )
+          .where("timestamp", "<", Timestamp.fromMillis(startMs))
+          .orderBy("timestamp")
+          .get(),
+    endMs === null ?
+      null :
+      events
+          .where("timestamp", ">=", Timestamp.fromMillis(endMs))
+          .limit(1)
+          .get(),
+    db.collection("sensors").where("lotId", "==", lotId).get(),
+    statusRef.get(),
+    storedRollups.select().get(),
+  ]);
+
+  const sensorCooldowns = new Map(
+      sensorsSnap.docs.map((d) => [d.id, (d.data() || {}).cooldown_ms]),
+  );
+  const lastSensorMs = new Map();
+  for (const d of cooldownSnap ? cooldownSnap.docs : []) {
+    const e = d.data() || {};
+    const atMs = appliedAtMs(e);
+    if (e.source === "sensor" && atMs !== null) {
+      lastSensorMs.set(cooldownDocId(e.sensorId, e.eventType), atMs);
+    }
+  }
+
+  const prior =
+    priorSnap && !priorSnap.empty ? priorSnap.docs[0].data() || {} : null;
+  let running =
+    prior && typeof prior.occupancy_after === "number" ?
+      prior.occupancy_after :
+      0;
+  let lastChangeMs = prior ? appliedAtMs(prior) : null;
+  const zoneCounts = {};
+  const hours = new Map();
+  const changed = [];
+  const driftDelta = {entry_absorbed: 0, exit_absorbed: 0, by_sensor: {}};
+
+  for (const doc of eventsSnap.docs) {
+    const e = doc.data() || {};
+    const atMs = appliedAtMs(e);
+    const stored = derivedEventFields(e);
+    const next = {...stored, occupancy_before: running, deduped: false};
+
+    if (e.eventType === "CORRECTION") {
+      next.occupancy_after =
+        stored.occupancy_after === null ? running : stored.occupancy_after;
+      if (e.zone_counts_after && typeof e.zone_counts_after === "object") {
+        for (const z of Object.keys(zoneCounts)) delete zoneCounts[z];
+        Object.assign(zoneCounts, e.zone_counts_after);
+      }
+    } else if (EVENT_TYPES.includes(e.eventType)) {
+      if (e.source === "sensor") {
+        const key = cooldownDocId(e.sensorId, e.eventType);
+        const cooldown = resolveCooldownMs({
+          sensorCooldownMs: sensorCooldowns.get(e.sensorId),
+          lotCooldownMs: lot.cooldown_ms,
+          defaultMs: defaultCooldownMs,
+        });
+        const lastMs = lastSensorMs.get(key);
+        next.deduped = lastMs !== undefined && atMs - lastMs < cooldown.ms;
+        lastSensorMs.set(key, atMs);
+      }
+      if (next.deduped) {
+        next.occupancy_after = running;
+        next.clamped = null;
+        next.clamped_zone = null;
+      } else {
+        const applied = applyEventDelta({
+          eventType: e.eventType,
+          current: running,
+          cap,
+          lotZones,
+          zoneCounts,
+          zoneId: e.zoneId,
+          fromZoneId: e.fromZoneId,
+          toZoneId: e.toZoneId,
+        });
+        next.occupancy_after = applied.next;
+        next.clamped = applied.clamped;
+        next.clamped_zone = applied.clampedZone;
+      }
+    } else {
+      // Not in the canonical schema (run migrateEvents first); left untouched
+      continue;
+    }
+
+    if (!next.deduped && atMs !== null) {
+      foldRollups(hours, {
+        prevCount: running,
+        prevChangeMs: lastChangeMs,
+        atMs,
+        nextCount: next.occupancy_after,
+        eventType: e.eventType,
+        cap,
+      });
+      lastChangeMs = Math.max(atMs, lastChangeMs || 0);
+    }
+    running = next.occupancy_after;
+
+    const differs = Object.keys(next).some((k) => next[k] !== stored[k]);
+    if (differs) {
+      changed.push({
+        ref: doc.ref,
+        id: doc.id,
+        eventType: e.eventType,
+        sensorId: e.sensorId || null,
+        before: stored,
+        after: next,
+      });
+    }
+  }
+
+  // A bounded range holds its closing count to the end of its last hour
+  const open = endMs === null || laterSnap.empty;
+  if (!open && lastChangeMs !== null && lastChangeMs < endMs) {
+    foldRollups(hours, {
+      prevCount: running,
+      prevChangeMs: lastChangeMs,
+      atMs: endMs,
+      nextCount: running,
+      eventType: null,
+      cap,
+    });
+  }
+  // Earlier hours are outside the range (only reached by the stretch from
+  // the prior event)
+  const rollups = [...hours.values()].filter(
+      (h) => startMs === null || h.hour_start >= startMs,
+  );
+  const rebuiltKeys = new Set(rollups.map((h) => rollupHourKey(h.hour_start)));
+  const staleRollups = storedRollupsSnap.docs.filter(
+      (d) => !rebuiltKeys.has(d.id),
+  );
+
+  for (const c of changed) {
+    if (c.eventType !== "ENTRY" && c.eventType !== "EXIT") continue;
+    const diff = (c.after.clamped ? 1 : 0) - (c.before.clamped ? 1 : 0);
+    if (diff === 0) continue;
+    const counter = `${c.eventType.toLowerCase()}_absorbed`;
+    driftDelta[counter] += diff;
+    if (c.sensorId) {
+      driftDelta.by_sensor[c.sensorId] = driftDelta.by_sensor[c.sensorId] || {
+        entry_absorbed: 0,
+        exit_absorbed: 0,
+      };
+      driftDelta.by_sensor[c.sensorId][counter] += diff;
+    }
+  }
+
+  const status = statusSnap.exists ? statusSnap.data() || {} : {};
+  const statusChange = open ?
+    {
+      before: {
+        count_now: status.count_now || 0,
+        zone_counts: status.zone_counts || null,
+      },
+      after: {
+        count_now: running,
+        zone_counts: Object.keys(lotZones).length > 0 ? zoneCounts : null,
+      },
+    } :
+    null;
+
+  if (!dryRun) {
+    const writes = [];
+    for (const c of changed) {
+      writes.push((b) =>
+        b.update(c.ref, {
+          occupancy_before: c.after.occupancy_before,
+          occupancy_after: c.after.occupancy_after,
+          clamped:
+            c.eventType === "CORRECTION" ?
+              FieldValue.delete() :
+              c.after.clamped,
+          clamped_zone: c.after.clamped_zone || FieldValue.delete(),
+          deduped: c.after.deduped || FieldValue.delete(),
+          rebuilt_at: FieldValue.serverTimestamp(),
+        }),
+      );
+    }
+    for (const h of rollups) {
+      const {first_full_ms: firstFullMs, ...fields} = h;
+      const data = {...fields, hour_start: Timestamp.fromMillis(h.hour_start)};
+      if (firstFullMs !== null) data.first_full_ms = firstFullMs;
+      writes.push((b) =>
+        b.set(
+            lotRef.collection("rollups").doc(rollupHourKey(h.hour_start)),
+            data,
+        ),
+      );
+    }
+    for (const d of staleRollups) writes.push((b) => b.delete(d.ref));
+
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+      const batch = db.batch();
+      for (const w of writes.slice(i, i + 500)) w(batch);
+      await batch.commit();
+    }
+
+    if (driftDelta.entry_absorbed !== 0 || driftDelta.exit_absorbed !== 0) {
+      const drift = {
+        entry_absorbed: FieldValue.increment(driftDelta.entry_absorbed),
+        exit_absorbed: FieldValue.increment(driftDelta.exit_absorbed),
+      };
+      for (const [sensorId, counts] of Object.entries(driftDelta.by_sensor)) {
+        drift.by_sensor = drift.by_sensor || {};
+        drift.by_sensor[sensorId] = {
+          entry_absorbed: FieldValue.increment(counts.entry_absorbed),
+          exit_absorbed: FieldValue.increment(counts.exit_absorbed),
+        };
+      }
+      await lotRef.collection("_meta").doc("drift").set(drift, {merge: true});
+    }
+
+    if (statusChange) {
+      const statusUpdate = {
+        count_now: running,
+        last_updated: FieldValue.serverTimestamp(),
+      };
+      const lotUpdate = {
+        currentOccupancy: running,
+        last_updated: FieldValue.serverTimestamp(),
+      };
+      if (lastChangeMs !== null) statusUpdate.last_change_ms = lastChangeMs;
+      if (statusChange.after.zone_counts) {
+        statusUpdate.zone_counts = zoneCounts;
+        lotUpdate.zoneOccupancy = zoneCounts;
+      }
+      const batch = db.batch();
+      batch.set(statusRef, statusUpdate, {merge: true});
+      batch.set(lotRef, lotUpdate, {merge: true});
+      await batch.commit();
+    }
+  }
+
+  return {
+    lotId,
+    from: startMs === null ? null : new Date(startMs).toISOString(),
+    to: endMs === null ? null : new Date(endMs).toISOString(),
+    scanned: eventsSnap.size,
+    changed: changed.map(({id, eventType, before, after}) => ({
+      id,
+      eventType,
+      before,
+      after,
+    })),
+    status: statusChange,
+    rollupHours: rollups.length,
+    rollupHoursCleared: staleRollups.length,
+  };
+}
+
+// ----------- admin occupancy corrections -----------
+
+// Checks a recount's per-zone counts against the lot's zones. A lot with
+// zones must be recounted zone by zone, so the zone counts stay in step with
+// the total; every defined zone is required and no other is accepted. Cars
+// not yet in any zone make up the rest, so the zones may sum to less than
+// the total but never more.
+function validateCorrectionZones(lotId, lotZones, zoneCounts, observedCount) {
+  const zoneIds = Object.keys(lotZones);
+  if (zoneIds.length === 0) {
+    if (zoneCounts !== null) {
+      httpError(400, `${lotId} has no zones; omit zoneCounts`);
+    }
+    return;
+  }
+  if (zoneCounts === null) {
+    httpError(
+        400,
+        `${lotId} has zones (${zoneIds.join(", ")}); zoneCounts is required`,
+    );
+  }
+  for (const z of Object.keys(zoneCounts)) {
+    if (!zoneIds.includes(z)) httpError(400, `Unknown zone for ${lotId}: ${z}`);
+  }
+  let sum = 0;
+  for (const z of zoneIds) {
+    if (!Object.prototype.hasOwnProperty.call(zoneCounts, z)) {
+      httpError(400, `zoneCounts is missing zone ${z}`);
+    }
+    const zoneCap =
+      lotZones[z] && typeof lotZones[z].capacity === "number" ?
+        lotZones[z].capacity :
+        null;
+    if (zoneCap !== null && zoneCounts[z] > zoneCap) {
+      httpError(
+          400,
+          `zoneCounts.${z} ${zoneCounts[z]} exceeds zone capacity ${zoneCap}`,
+      );
+    }
+    sum += zoneCounts[z];
+  }
+  if (sum > observedCount) {
+    httpError(
+        400,
+        `zoneCounts add up to ${sum}, more than observedCount ${observedCount}`,
+    );
+  }
+}
+
+// Records an observed head-count as an immutable CORRECTION event and sets
+// both status locations to it. Unlike ENTRY/EXIT, an observed count outside
+// 0..capacity is an operator mistake, so it is rejected instead of clamped.
+// zoneCounts ({ zoneId: count }) is required on lots with zones and replaces
+// the zone counts the same way (see validateCorrectionZones).
+async function recordOccupancyCorrection(
+    db,
+    admin,
+    {lotId, observedCount, zoneCounts = null, operator, reason},
+) {
+  if (!Number.isInteger(observedCount) || observedCount < 0) {
+    httpError(400, "observedCount must be a non-negative integer");
+  }
+  if (zoneCounts !== null) {
+    if (typeof zoneCounts !== "object" || Array.isArray(zoneCounts)) {
+      httpError(400, "zoneCounts must be an object of zoneId -> count");
+    }
+    for (const [z, n] of Object.entries(zoneCounts)) {
+      if (!Number.isInteger(n) || n < 0) {
+        httpError(400, `zoneCounts.${z} must be a non-negative integer`);
+      }
+    }
+  }
+  if (!operator || typeof operator !== "string") {
+    httpError(400, "operator is required (string)");
+  }
+  if (!reason || typeof reason !== "string" || !reason.trim()) {
+    httpError(400, "reason is required (string)");
+  }
+
+  const id = makeId();
+  const lotRef = db.collection("lots").doc(lotId);
+  const statusRef = lotRef.collection("_meta").doc("current_status");
+  const eventRef = lotRef.collection("events").doc(id);
+
+  let before = null;
+  let zonesBefore = null;
+
+  await db.runTransaction(async (t) => {
+    const lotSnap = await t.get(lotRef);
+    if (!lotSnap.exists) {
+      httpError(404, `Unknown lotId: ${lotId}`);
+    }
+    const statusSnap = await t.get(statusRef);
+    const nowMs = Date.now();
+    const hourSnap = await t.get(rollupRef(lotRef, nowMs));
+
+    const lot = lotSnap.data() || {};
+    const cap = typeof lot.capacity === "number" ? lot.capacity : null;
+    if (cap !== null && observedCount > cap) {
+      httpError(400, `observedCount ${observedCount} exceeds capacity ${cap}`);
+    }
+    const lotZones =
+      lot.zones && typeof lot.zones === "object" ? lot.zones : {};
+    validateCorrectionZones(lotId, lotZones, zoneCounts, observedCount);
+
+    const status = statusSnap.exists ? statusSnap.data() || {} : {};
+    const lastChangeMs =
+      typeof status.last_change_ms === "number" ? status.last_change_ms : null;
+    before = status.count_now || 0;
+
+    const event = {
+      id,
+      lotId,
+      eventType: "CORRECTION",
+      source: "admin",
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      occupancy_before: before,
+      occupancy_after: observedCount,
+      operator,
+      reason: reason.trim(),
+    };
+    const statusUpdate = {
+      count_now: observedCount,
+      last_change_ms: Math.max(nowMs, lastChangeMs || 0),
+      last_updated: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const lotUpdate = {
+      currentOccupancy: observedCount,
+      last_updated: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (zoneCounts !== null) {
+      zonesBefore = {...(status.zone_counts || {})};
+      event.zone_counts_before = zonesBefore;
+      event.zone_counts_after = {...zoneCounts};
+      statusUpdate.zone_counts = {...zoneCounts};
+      lotUpdate.zoneOccupancy = {...zoneCounts};
+    }
+
+    t.create(eventRef, event);
+
+    writeRollups(t, admin, lotRef, {
+      hourSnap,
+      prevCount: before,
+      prevChangeMs: lastChangeMs,
+      atMs: nowMs,
+      nextCount: observedCount,
+      eventType: "CORRECTION",
+      cap,
+    });
+
+    // zone_counts is replaced, not merged, so zones absent from it are gone
+    t.set(statusRef, statusUpdate, {mergeFields: Object.keys(statusUpdate)});
+    t.set(lotRef, lotUpdate, {mergeFields: Object.keys(lotUpdate)});
+  });
+
+  const result = {id, occupancy_before: before, occupancy_after: observedCount};
+  if (zoneCounts !== null) {
+    result.zone_counts_before = zonesBefore;
+    result.zone_counts_after = zoneCounts;
+  }
+  return result;
+}
+
+// ----------- clamp drift report -----------
+
+// Summarizes events absorbed by clamping in [fromMs, toMs]: ENTRYs at
+// capacity ("ceiling") and EXITs at zero ("floor"), per lot and per sensor.
+// Also returns the all-time counters kept in lots/{lotId}/_meta/drift.
+async function buildDriftReport(db, admin, {lotId, fromMs, toMs}) {
+  const lotRef = db.collection("lots").doc(lotId);
+  const lotSnap = await lotRef.get();
+  if (!lotSnap.exists) {
+    httpError(404, `Unknown lotId: ${lotId}`);
+  }
+
+  const [eventsSnap, driftSnap] = await Promise.all([
+    lotRef
+        .collection("events")
+        .where("timestamp", ">=", admin.firestore.Timestamp.fromMillis(fromMs))
+        .where("timestamp", "<=", admin.firestore.Timestamp.fromMillis(toMs))
+        .get(),
+    lotRef.collection("_meta").doc("drift").get(),
+  ]);
+
+  const absorbed = {entry: 0, exit: 0};
+  const bySensor = {};
+  let eventsInWindow = 0;
+
+  for (const doc of eventsSnap.docs) {
+    const e = doc.data() || {};
+    if (e.eventType !== "ENTRY" && e.eventType !== "EXIT") continue;
+    if (e.deduped) continue;
+    eventsInWindow++;
+    if (!e.clamped) continue;
+
+    const key = e.eventType === "ENTRY" ? "entry" : "exit";
+    const sensorId = e.sensorId || "unknown";
+    absorbed[key]++;
+    bySensor[sensorId] = bySensor[sensorId] || {entry: 0, exit: 0};
+    bySensor[sensorId][key]++;
+  }
+
+  const drift = driftSnap.exists ? driftSnap.data() || {} : {};
+  const allTimeBySensor = {};
+  for (const [sensorId, counts] of Object.entries(drift.by_sensor || {})) {
+    allTimeBySensor[sensorId] = {
+      entry: counts.entry_absorbed || 0,
+      exit: counts.exit_absorbed || 0,
+    };
+  }
+
+  return {
+    lotId,
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    events_in_window: eventsInWindow,
+    absorbed: {...absorbed, total: absorbed.entry + absorbed.exit},
+    absorbed_rate:
+      eventsInWindow > 0 ?
+        (absorbed.entry + absorbed.exit) / eventsInWindow :
+        0,
+    by_sensor: bySensor,
+    all_time: {
+      entry: drift.entry_absorbed || 0,
+      exit: drift.exit_absorbed || 0,
+      by_sensor: allTimeBySensor,
+      last_clamped_at: drift.last_clamped_at || null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_COOLDOWN_MS,
+  MAX_COOLDOWN_MS,
+  EVENT_TYPES,
+  HOUR_MS,
+  hourStartMs,
+  rollupHourKey,
+  httpError,
+  makeId,
+  parseCooldownMs,
+  resolveCooldownMs,
+  validateEventMetadata,
+  recordLotEvent,
+  migrateLegacyEvents,
+  rebuildLotEvents,
+  recordOccupancyCorrection,
+  buildDriftReport,
+};
@@ -1,12 +1,14 @@
 /******************************************************************************
  * Code Artifact: functions/index.js
  * Description:
- *   Firebase Cloud Functions (HTTPS) that handle authenticated event writes for
- *   a parking lot system. This file is the authoritative write path to Firestore
- *   for ENTRY/EXIT events and occupancy updates.
+ *   Firebase Cloud Functions (HTTPS) that handle authenticated event writes
+ *   for a parking lot system. This file is the authoritative write path to
+ *   Firestore for ENTRY/EXIT events and occupancy updates.
  *
  * Implements Requirements:
- *   - Req 9 : Prevent duplicate vehicle events using cooldown logic (configurable)
+ *   - Req 9 : Prevent duplicate vehicle events using cooldown logic
+ *             (configurable per sensor, per lot, or deployment-wide via
+ *             COOLDOWN_MS)
  *   - Req 10: Define/enforce JSON schema for occupancy update payloads
  *   - Req 12: Validate requests in Cloud Function before writing to Firestore
  *   - Req 13: Reject unauthorized/malformed requests with clear errors
@@ -20,58 +22,173 @@
  *
  * Programmer: Samantha Adorno
  * Created: 2026-02-9
- * Revision: 2026-02-15 (deployed coud function and move writing logic from server.js to here)
+ * Revision: 2026-02-15 (deployed coud function and move writing logic from
+ *           server.js to here)
  * Revision: 2026-02-25 (added openai proxy)
  * Revision: 2026-02-28 (added scheduled data analysis)
+ * Revision: 2026-10-18 (added batch ingestion endpoint for buffered sensor
+ *           uploads)
+ * Revision: 2026-10-18 (added client-supplied idempotency keys for event
+ *           writes)
+ * Revision: 2026-10-18 (replaced shared API_KEY with per-sensor credential
+ *           registry)
+ * Revision: 2026-10-18 (added HMAC request signing with timestamp/nonce
+ *           replay protection)
+ * Revision: 2026-10-18 (added unified /event endpoint with lane-direction
+ *           mapping)
+ * Revision: 2026-10-18 (added admin recount endpoint writing CORRECTION events)
+ * Revision: 2026-10-18 (record clamp saturation on events, drift counters and
+ *           report)
+ * Revision: 2026-10-18 (zone/level-aware occupancy and MOVE events for ramp
+ *           sensors)
+ * Revision: 2026-10-18 (per-lot and per-sensor cooldown configuration)
+ * Revision: 2026-10-18 (added sensor heartbeat endpoint for stale-sensor
+ *           detection)
+ * Revision: 2026-10-18 (event transaction moved to eventCore; optional
+ *           confidence/detector metadata)
+ * Revision: 2026-10-18 (weekday x hour averages over a configurable
+ *           multi-week lookback)
+ * Revision: 2026-10-18 (nightly analytics aggregate hourly rollups instead of
+ *           re-reading events)
+ * Revision: 2026-10-18 (analytics bucket hours in each lot's timezone)
+ * Revision: 2026-10-18 (daily lot insights: turnover, dwell time, time-to-full)
+ * Revision: 2026-10-18 (added scheduled event-stream anomaly scan)
+ * Revision: 2026-10-18 (sensor endpoints answer only at their function root)
  * Preconditions:
  *   - Firebase project initialized and Firestore enabled
- *   - lots/{lotId} documents exist 
- *   - API_KEY environment variable configured for authentication
+ *   - lots/{lotId} documents exist
+ *   - sensors/{sensorId} registry documents exist for every posting sensor
+ *     (created with `node db_tools.js registerSensor`)
  *
  * Inputs:
- *   - POST /event/entry body: { lotId: string, sensorId: string }
- *   - POST /event/exit  body: { lotId: string, sensorId: string }
- *   - Header: x-api-key (required if API_KEY is set)
+ *   - POST /event       body: { lotId: string, sensorId: string,
+ *                               eventType?: "ENTRY" | "EXIT" | "MOVE",
+ *                               eventId?: string, zoneId?: string,
+ *                               fromZoneId?: string, toZoneId?: string,
+ *                               confidence?: number (0..1),
+ *                               detector?: object (raw detector metadata) }
+ *                       (eventType defaults to the sensor's lane:
+ *                        entry -> ENTRY, exit -> EXIT, ramp -> MOVE; zone
+ *                        fields default to the sensor's configured zones)
+ *   - POST /eventEntry  body: { lotId: string, sensorId: string,
+ *                               eventId?: string }
+ *   - POST /eventExit   body: { lotId: string, sensorId: string,
+ *                               eventId?: string }
+ *   - POST /event/batch body: { lotId, sensorId, events: [{ eventType?,
+ *                               timestamp, eventId?, zoneId?, ... }] }
+ *   - POST /sensorHeartbeat body: { lotId, sensorId, uptimeSeconds?,
+ *                                   baselineCm?, errorCount? }
+ *       (same sensor authentication as the event endpoints)
+ *   - POST /lot/:lotId/recount body: { observedCount: integer, reason: string,
+ *       zoneCounts?: { zoneId: integer } } (zoneCounts required on lots with
+ *       zones)
+ *       Header: Authorization: Bearer <Firebase ID token with the admin claim>
+ *   - GET  /lot/:lotId/drift?hours=N (same admin header)
+ *   - Headers (signed sensors, the default):
+ *       x-signature-timestamp (epoch ms), x-signature-nonce,
+ *       x-signature = hex HMAC-SHA256(secret,
+ *                                     `${timestamp}.${nonce}.${rawBody}`)
+ *   - Header (legacy api_key sensors): x-api-key, checked against
+ *     sensors/{sensorId}
+ *   - Header: Idempotency-Key (optional, alternative to body eventId)
  *
  * Outputs:
- *   - 201 { ok: true, id } on success
- *   - 400/401/404/500 { ok: false, error } on failure
+ *   - 201 { ok: true, id, eventType } on success
+ *   - 200 { ok: true, results: [...] } for batches (one result per event)
+ *   - 400/401/403/404/500 { ok: false, error } on failure
+ *   - 404 for any subpath of the sensor endpoints (e.g. /event/exit)
  *
  * Side Effects:
  *   - Creates an immutable event document in Firestore
  *   - Updates a lot occupancy status document in Firestore
+ *   - Updates hourly rollups under lots/{lotId}/rollups (via eventCore)
+ *   - scanAnomalies writes flags to lots/{lotId}/anomalies (via anomalies.js)
  *
  * Invariants:
  *   - Events are created once and never overwritten (Req 17)
- *   - Occupancy is clamped within valid bounds (Req 21)
+ *   - A given eventId changes occupancy at most once per lot
+ *   - Occupancy is clamped within valid bounds (Req 21); every clamp is
+ *     recorded on the event and counted in lots/{lotId}/_meta/drift
+ *   - Zone counts change by exactly the same delta as the lot total, in the
+ *     same transaction (MOVE events shift between zones, total unchanged)
  ******************************************************************************/
 
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const crypto = require("crypto");
-const { defineSecret } = require('firebase-functions/params');
+const fetch = require("node-fetch");
+const {defineSecret} = require("firebase-functions/params");
+const {
+  DEFAULT_COOLDOWN_MS,
+  EVENT_TYPES,
+  httpError,
+  parseCooldownMs,
+  validateEventMetadata,
+  recordLotEvent,
+  recordOccupancyCorrection,
+  buildDriftReport,
+} = require("./eventCore");
+const {refreshLotAnalytics} = require("./analytics");
+const {scanLotAnomalies} = require("./anomalies");
 
 // Define the OpenAI API key as a secret
-const openaiApiKey = defineSecret('OPENAI_API_KEY');
+const openaiApiKey = defineSecret("OPENAI_API_KEY");
 
 // ----------- Firebase initialization -----------
 admin.initializeApp();
 const db = admin.firestore();
 
 // ----------- Req 9: configurable cooldown -----------
-const COOLDOWN_MS = Number(process.env.COOLDOWN_MS || 1200);
-if (!Number.isFinite(COOLDOWN_MS) || COOLDOWN_MS < 0) {
-  // Fail safe: if misconfigured, default to 1200ms
-  // (Do not throw at module load; keep function deployable.)
+// Deployment-wide default; lots and sensors may override it with cooldown_ms
+// (see resolveCooldownMs). A bad env value falls back to the built-in default.
+// (Do not throw at module load; keep function deployable.)
+let COOLDOWN_MS = DEFAULT_COOLDOWN_MS;
+if (process.env.COOLDOWN_MS !== undefined) {
+  const parsed = parseCooldownMs(process.env.COOLDOWN_MS);
+  if (parsed === null) {
+    console.warn(
+        `Ignoring invalid COOLDOWN_MS=${process.env.COOLDOWN_MS}; ` +
+          `using ${DEFAULT_COOLDOWN_MS}ms`,
+    );
+  } else {
+    COOLDOWN_MS = parsed;
+  }
 }
 
-// ----------- helpers -----------
-function httpError(status, message) {
-  const err = new Error(message);
-  err.status = status;
-  throw err;
+// Signed requests: how far the sensor clock may drift from ours, and
+// therefore how long a nonce has to be remembered
+const SIGNATURE_MAX_SKEW_MS = Number(
+    process.env.SIGNATURE_MAX_SKEW_MS || 5 * 60 * 1000,
+);
+
+// ENTRY/EXIT change the lot total; MOVE shifts a car between two zones of the
+// same lot (inter-level ramp sensors) and leaves the total alone (EVENT_TYPES)
+const ZONE_FIELDS = ["zoneId", "fromZoneId", "toZoneId"];
+const METADATA_FIELDS = ["confidence", "detector"];
+
+// Batch uploads: upper bound on events per request, and how far ahead of the
+// server clock a sensor-side timestamp may be before it is rejected.
+const MAX_BATCH_EVENTS = 500;
+const MAX_CLOCK_AHEAD_MS = 60 * 1000;
+
+// Analytics lookback in whole weeks, so every weekday gets the same number of
+// samples. Override with ANALYTICS_LOOKBACK_WEEKS (1-12).
+const DEFAULT_LOOKBACK_WEEKS = 4;
+let LOOKBACK_WEEKS = DEFAULT_LOOKBACK_WEEKS;
+if (process.env.ANALYTICS_LOOKBACK_WEEKS !== undefined) {
+  const weeks = Number(process.env.ANALYTICS_LOOKBACK_WEEKS);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 12) {
+    console.warn(
+        "Ignoring invalid ANALYTICS_LOOKBACK_WEEKS=" +
+          `${process.env.ANALYTICS_LOOKBACK_WEEKS}; ` +
+          `using ${DEFAULT_LOOKBACK_WEEKS}`,
+    );
+  } else {
+    LOOKBACK_WEEKS = weeks;
+  }
 }
 
+// ----------- helpers -----------
 // Req 13: basic string validation
 function assertString(name, val) {
   if (!val || typeof val !== "string") {
@@ -80,10 +197,16 @@ function assertString(name, val) {
 }
 
 // Req 10: enforce payload "schema" (strict keys + types)
-// Schema for both endpoints:
+// Schema for all single-event endpoints:
 // {
 //   lotId: string (non-empty),
-//   sensorId: string (non-empty)
+//   sensorId: string (non-empty),
+//   eventType: "ENTRY" | "EXIT" | "MOVE" (optional, /event only),
+//   eventId: string (optional, client idempotency key),
+//   zoneId: string (optional, ENTRY/EXIT zone/level),
+//   fromZoneId, toZoneId: string (optional, MOVE between zones),
+//   confidence: number 0..1 (optional),
+//   detector: object (optional raw metadata)
 // }
 function validateEventPayload(body) {
   // Content-type safety: if body is undefined, it can be missing JSON parsing
@@ -91,7 +214,14 @@ function validateEventPayload(body) {
     httpError(400, "Request body must be a JSON object");
   }
 
-  const allowedKeys = new Set(["lotId", "sensorId"]);
+  const allowedKeys = new Set([
+    "lotId",
+    "sensorId",
+    "eventType",
+    "eventId",
+    ...ZONE_FIELDS,
+    ...METADATA_FIELDS,
+  ]);
   for (const k of Object.keys(body)) {
     if (!allowedKeys.has(k)) {
       httpError(400, `Unexpected field: ${k}`);
@@ -109,210 +239,835 @@ function validateEventPayload(body) {
 
   const idRe = /^[A-Za-z0-9._-]+$/;
   if (!idRe.test(lotId)) httpError(400, "lotId contains invalid characters");
-  if (!idRe.test(sensorId)) httpError(400, "sensorId contains invalid characters");
+  if (!idRe.test(sensorId)) {
+    httpError(400, "sensorId contains invalid characters");
+  }
+
+  const eventType = validateEventType(body.eventType);
+  const eventId = validateEventId(body.eventId);
 
-  return { lotId, sensorId };
+  return {
+    lotId,
+    sensorId,
+    eventType,
+    eventId,
+    zones: validateZoneFields(body),
+    metadata: validateEventMetadata(body),
+  };
+}
+
+// Optional direction; null means "derive it from the sensor's lane"
+function validateEventType(val) {
+  if (val === undefined || val === null) return null;
+  if (!EVENT_TYPES.includes(val)) {
+    httpError(400, `eventType must be one of ${EVENT_TYPES.join(", ")}`);
+  }
+  return val;
 }
 
-// Req 18: unique ID generation
-function makeId() {
-  if (typeof crypto.randomUUID === "function") return crypto.randomUUID();
-  return `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`;
+// Optional zone ids; each is null when not supplied
+function validateZoneFields(src) {
+  const zones = {};
+  for (const k of ZONE_FIELDS) {
+    if (src[k] === undefined || src[k] === null) {
+      zones[k] = null;
+      continue;
+    }
+    assertString(k, src[k]);
+    if (!/^[A-Za-z0-9._-]+$/.test(src[k])) {
+      httpError(400, `${k} contains invalid characters`);
+    }
+    zones[k] = src[k];
+  }
+  return zones;
 }
 
-// Req 13: auth check using API key header
-function requireApiKey(req) {
-  const API_KEY = process.env.API_KEY;
-  if (!API_KEY) return;
+// Client idempotency key: doubles as the event document id, so it has the
+// same character rules as lotId/sensorId. Returns null when not supplied.
+function validateEventId(val) {
+  if (val === undefined || val === null) return null;
+  assertString("eventId", val);
 
-  const got = req.get("x-api-key");
-  if (got !== API_KEY) {
-    httpError(401, "Unauthorized");
+  const eventId = val.trim();
+  if (!/^[A-Za-z0-9._-]{1,128}$/.test(eventId)) {
+    httpError(400, "eventId must be 1-128 characters of [A-Za-z0-9._-]");
   }
+  return eventId;
 }
 
-// Req 9: compute a stable cooldown doc id for (sensor,eventType)
-function cooldownDocId(sensorId, eventType) {
-  // Keep it filesystem/doc-id safe
-  return `${sensorId}_${eventType}`;
+// eventId may come from the body or the Idempotency-Key header, not both
+function resolveEventId(req, bodyEventId) {
+  const headerEventId = validateEventId(req.get("idempotency-key"));
+  if (bodyEventId && headerEventId && bodyEventId !== headerEventId) {
+    httpError(400, "eventId and Idempotency-Key header disagree");
+  }
+  return bodyEventId || headerEventId;
 }
 
-// ----------- transactional event write + occupancy update (Req 9, 14, 17–19, 21) -----------
-async function recordLotEvent({ lotId, sensorId, eventType }) {
-  assertString("lotId", lotId);
-  assertString("sensorId", sensorId);
+// Batch schema:
+// {
+//   lotId: string, sensorId: string,
+//   events: [{ eventType?: "ENTRY" | "EXIT" | "MOVE",
+//              timestamp: ISO string | epoch ms, eventId?: string,
+//              zone fields?, confidence?, detector? }]
+// }
+// Only the envelope is validated here; each item is checked by
+// validateBatchItem so one bad item does not reject the whole backlog.
+function validateBatchPayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    httpError(400, "Request body must be a JSON object");
+  }
 
-  if (!["ENTRY", "EXIT"].includes(eventType)) {
-    httpError(400, "eventType must be ENTRY or EXIT");
+  const {events, ...rest} = body;
+  for (const k of ["eventId", "eventType", ...METADATA_FIELDS]) {
+    if (rest[k] !== undefined) {
+      httpError(400, `${k} belongs on each event, not the batch`);
+    }
   }
+  const {lotId, sensorId} = validateEventPayload(rest);
 
-  const id = makeId();
+  if (!Array.isArray(events) || events.length === 0) {
+    httpError(400, "events must be a non-empty array");
+  }
+  if (events.length > MAX_BATCH_EVENTS) {
+    httpError(400, `events may contain at most ${MAX_BATCH_EVENTS} items`);
+  }
 
-  const lotRef = db.collection("lots").doc(lotId);
-  const statusRef = lotRef.collection("_meta").doc("current_status");
-  const eventRef = lotRef.collection("events").doc(id);
+  return {lotId, sensorId, events};
+}
 
-  // Req 9: cooldown ref stored under _meta/cooldowns
-  const cooldownRef = lotRef
-    .collection("_meta")
-    .doc("cooldowns")
-    .collection("by_sensor_event")
-    .doc(cooldownDocId(sensorId, eventType));
+// Returns { eventType, occurredAtMs, eventId, zones, metadata } for one batch
+// item or throws a 400.
+// eventType is null when omitted (the caller maps it from the sensor's lane).
+function validateBatchItem(item, previousMs) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    httpError(400, "Event must be a JSON object");
+  }
 
-  const nowMs = Date.now();
+  const allowedKeys = new Set([
+    "eventType",
+    "timestamp",
+    "eventId",
+    ...ZONE_FIELDS,
+    ...METADATA_FIELDS,
+  ]);
+  for (const k of Object.keys(item)) {
+    if (!allowedKeys.has(k)) {
+      httpError(400, `Unexpected field: ${k}`);
+    }
+  }
+
+  const eventType = validateEventType(item.eventType);
 
-  // If deduped, we'll return this instead of creating event/update
-  let deduped = false;
-  let computedNext = null; //for historical averages purposes
+  let occurredAtMs = NaN;
+  if (typeof item.timestamp === "number") occurredAtMs = item.timestamp;
+  else if (typeof item.timestamp === "string") {
+    occurredAtMs = Date.parse(item.timestamp);
+  }
 
-  await db.runTransaction(async (t) => {
-  const lotSnap = await t.get(lotRef);
-  if (!lotSnap.exists) {
-    httpError(404, `Unknown lotId: ${lotId}`);
+  if (!Number.isFinite(occurredAtMs)) {
+    httpError(400, "timestamp is required (ISO string or epoch milliseconds)");
+  }
+  if (occurredAtMs > Date.now() + MAX_CLOCK_AHEAD_MS) {
+    httpError(400, "timestamp is in the future");
   }
+  if (previousMs !== null && occurredAtMs < previousMs) {
+    httpError(400, "timestamp is earlier than the previous event in the batch");
+  }
+
+  return {
+    eventType,
+    occurredAtMs,
+    eventId: validateEventId(item.eventId),
+    zones: validateZoneFields(item),
+    metadata: validateEventMetadata(item),
+  };
+}
 
-  const cdSnap = await t.get(cooldownRef);
-  const statusSnap = await t.get(statusRef);
+// ----------- Req 13: per-sensor credentials -----------
+// Registry document sensors/{sensorId}:
+// {
+//   auth_mode:      "hmac" (default) | "api_key" (legacy, opt-in per sensor),
+//   signing_secret: shared HMAC secret (hmac sensors; sensors/ is admin-only),
+//   key_hash:       sha256 hex of the API key (api_key sensors; key never
+//                   stored),
+//   lotId:          the only lot this sensor may post events for,
+//   lane:           "entry" | "exit" | "bidirectional" | "ramp",
+//   zoneId:         default zone for ENTRY/EXIT (optional),
+//   fromZoneId, toZoneId: zones a ramp sensor moves cars between (ramp lane),
+//   enabled:        false once the sensor has been revoked
+// }
+// Used nonces live in sensors/{sensorId}/nonces/{nonce} with an expires_at
+// for a Firestore TTL policy.
+
+// Event types each lane role is allowed to produce
+const LANE_EVENT_TYPES = {
+  entry: ["ENTRY"],
+  exit: ["EXIT"],
+  bidirectional: ["ENTRY", "EXIT"],
+  ramp: ["MOVE"],
+};
+
+function hashSensorKey(key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
 
-  const lastMs = cdSnap.exists ? Number(cdSnap.data().last_event_ms || 0) : 0;
-  const lot = lotSnap.data() || {};
-  const cap = typeof lot.capacity === "number" ? lot.capacity : null;
-  const current = statusSnap.exists ? (statusSnap.data().count_now || 0) : 0;
+// Constant-time comparison of two hex digests
+function hexDigestsEqual(x, y) {
+  if (typeof x !== "string" || typeof y !== "string" || !x || !y) return false;
+  const a = Buffer.from(x, "hex");
+  const b = Buffer.from(y, "hex");
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-  if (Number.isFinite(lastMs) && nowMs - lastMs < COOLDOWN_MS) {
-    deduped = true;
+// Legacy mode: x-api-key checked against the stored hash
+function verifyApiKey(req, sensorId, sensor) {
+  const got = req.get("x-api-key");
+  if (!got) {
+    httpError(401, "Missing x-api-key header");
+  }
+  if (!hexDigestsEqual(hashSensorKey(got), sensor.key_hash)) {
+    httpError(401, `API key does not match sensor ${sensorId}`);
+  }
+}
 
-    t.set(
-      cooldownRef,
-      {
-        last_event_ms: nowMs,
-        last_event_type: eventType,
-        last_sensor_id: sensorId,
-        last_updated: admin.firestore.FieldValue.serverTimestamp(),
-        cooldown_ms: COOLDOWN_MS,
-      },
-      { merge: true }
+// Signed mode: HMAC over timestamp, nonce and the exact bytes received.
+// A captured request stops working once it falls outside the skew window,
+// and inside the window its nonce can only be spent once.
+async function verifySignature(req, sensorId, sensor) {
+  const timestamp = req.get("x-signature-timestamp");
+  const nonce = req.get("x-signature-nonce");
+  const signature = req.get("x-signature");
+  if (!timestamp || !nonce || !signature) {
+    httpError(
+        401,
+        "Missing x-signature, x-signature-timestamp or " +
+          "x-signature-nonce header",
     );
+  }
 
-    return;
+  const sentMs = Number(timestamp);
+  if (
+    !/^\d+$/.test(timestamp) ||
+    Math.abs(Date.now() - sentMs) > SIGNATURE_MAX_SKEW_MS
+  ) {
+    httpError(401, "Signature timestamp is outside the allowed clock skew");
+  }
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+    httpError(
+        401,
+        "Signature nonce must be 16-128 characters of [A-Za-z0-9_-]",
+    );
+  }
+  if (typeof sensor.signing_secret !== "string" || !sensor.signing_secret) {
+    httpError(401, `Sensor ${sensorId} has no signing secret configured`);
+  }
+  if (!Buffer.isBuffer(req.rawBody)) {
+    httpError(400, "Request body could not be read for signature verification");
   }
 
-  const delta = eventType === "ENTRY" ? 1 : -1;
-  let next = current + delta;
+  const expected = crypto
+      .createHmac("sha256", sensor.signing_secret)
+      .update(`${timestamp}.${nonce}.`)
+      .update(req.rawBody)
+      .digest("hex");
+  if (!hexDigestsEqual(expected, signature)) {
+    httpError(401, `Signature does not match sensor ${sensorId}`);
+  }
 
-  if (next < 0) next = 0;
-  if (cap !== null && next > cap) next = cap;
+  // Spend the nonce; create() fails if this exact nonce was already used
+  const nonceRef = db
+      .collection("sensors")
+      .doc(sensorId)
+      .collection("nonces")
+      .doc(nonce);
+  try {
+    await nonceRef.create({
+      used_at: admin.firestore.FieldValue.serverTimestamp(),
+      expires_at: admin.firestore.Timestamp.fromMillis(
+          sentMs + SIGNATURE_MAX_SKEW_MS,
+      ),
+    });
+  } catch (e) {
+    if (e.code === 6) {
+      // ALREADY_EXISTS
+      httpError(401, "Signature nonce has already been used");
+    }
+    throw e;
+  }
+}
 
-  computedNext = next;
+// Req 13: authentication layer for all write endpoints. Verifies the request
+// against the registry entry for sensorId (HMAC signature, or x-api-key for
+// legacy sensors) and checks the sensor may post for lotId. Returns the
+// sensor record.
+// 401 = we can't tell who is calling; 403 = we can, but they may not do this.
+async function authenticateSensor(req, {lotId, sensorId}) {
+  const snap = await db.collection("sensors").doc(sensorId).get();
+  if (!snap.exists) {
+    httpError(401, `Unknown sensorId: ${sensorId}`);
+  }
 
-  t.set(
-    cooldownRef,
-    {
-      last_event_ms: nowMs,
-      last_event_type: eventType,
-      last_sensor_id: sensorId,
-      last_updated: admin.firestore.FieldValue.serverTimestamp(),
-      cooldown_ms: COOLDOWN_MS,
-    },
-    { merge: true }
-  );
+  const sensor = snap.data() || {};
+  if (sensor.auth_mode === "api_key") {
+    verifyApiKey(req, sensorId, sensor);
+  } else {
+    await verifySignature(req, sensorId, sensor);
+  }
 
-  t.create(eventRef, {
-    id,
-    lotId,
-    sensorId,
-    eventType,
-    timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    occupancy_before: current,
-    occupancy_after: next,
-  });
+  if (sensor.enabled === false) {
+    httpError(403, `Sensor ${sensorId} has been revoked`);
+  }
+  if (sensor.lotId !== lotId) {
+    httpError(403, `Sensor ${sensorId} is not bound to lot ${lotId}`);
+  }
 
-  t.set(
-    statusRef,
-    {
-      count_now: next,
-      last_updated: admin.firestore.FieldValue.serverTimestamp(),
-    },
-    { merge: true }
-  );
+  return {id: sensorId, ...sensor};
+}
 
-  t.set(
-    lotRef,
-    {
-      currentOccupancy: next,
-      last_updated: admin.firestore.FieldValue.serverTimestamp(),
-    },
-    { merge: true }
+// Direction implied by the sensor's lane when the request doesn't name one
+function laneEventType(sensor) {
+  if (sensor.lane === "entry") return "ENTRY";
+  if (sensor.lane === "exit") return "EXIT";
+  if (sensor.lane === "ramp") return "MOVE";
+  const lane = sensor.lane || "bidirectional";
+  return httpError(
+      400,
+      `eventType is required for sensor ${sensor.id} on the ${lane} lane`,
   );
-});
+}
+
+// Zone fields for an event: values in the request win over the sensor's
+// configured zones. Whether the zones exist is checked against the lot later.
+function resolveEventZones(sensor, eventType, zones) {
+  if (eventType === "MOVE") {
+    const fromZoneId = zones.fromZoneId || sensor.fromZoneId || null;
+    const toZoneId = zones.toZoneId || sensor.toZoneId || null;
+    if (!fromZoneId || !toZoneId) {
+      httpError(400, "MOVE events require fromZoneId and toZoneId");
+    }
+    if (fromZoneId === toZoneId) {
+      httpError(400, "fromZoneId and toZoneId must differ");
+    }
+    if (zones.zoneId) {
+      httpError(
+          400,
+          "zoneId is not valid on MOVE events (use fromZoneId/toZoneId)",
+      );
+    }
+    return {zoneId: null, fromZoneId, toZoneId};
+  }
+
+  if (zones.fromZoneId || zones.toZoneId) {
+    httpError(400, "fromZoneId/toZoneId are only valid on MOVE events");
+  }
+  return {
+    zoneId: zones.zoneId || sensor.zoneId || null,
+    fromZoneId: null,
+    toZoneId: null,
+  };
+}
+
+// Reject event types the sensor's lane can't produce (e.g. EXIT from an
+// entry lane)
+function assertLaneAllows(sensor, eventType) {
+  const allowed =
+    LANE_EVENT_TYPES[sensor.lane] || LANE_EVENT_TYPES.bidirectional;
+  if (!allowed.includes(eventType)) {
+    httpError(
+        403,
+        `Sensor ${sensor.id} on the ${sensor.lane} lane cannot post ` +
+          `${eventType} events`,
+    );
+  }
+}
+
+// ----------- Req 13: operator (admin) authentication -----------
+
+// Admin endpoints take a Firebase ID token whose user has the custom claim
+// admin: true (granted with `node db_tools.js grantAdmin`). Returns the
+// operator identity recorded on anything the request writes.
+async function requireAdmin(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+  if (!match) {
+    httpError(401, "Missing Authorization: Bearer <Firebase ID token>");
+  }
+
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(match[1]);
+  } catch (e) {
+    httpError(401, "Invalid or expired ID token");
+  }
+
+  if (decoded.admin !== true) {
+    httpError(403, "Admin privileges required");
+  }
+  return decoded.email || decoded.uid;
+}
 
+// Recount schema: { observedCount: integer >= 0, reason: non-empty string,
+//   zoneCounts?: { zoneId: integer >= 0 } (required on lots with zones) }
+function validateRecountPayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    httpError(400, "Request body must be a JSON object");
+  }
 
-  // Req 9: communicate dedupe result clearly
-  if (deduped) {
-    return { deduped: true, cooldown_ms: COOLDOWN_MS };
+  const allowedKeys = new Set(["observedCount", "zoneCounts", "reason"]);
+  for (const k of Object.keys(body)) {
+    if (!allowedKeys.has(k)) {
+      httpError(400, `Unexpected field: ${k}`);
+    }
   }
 
-  return { id, deduped: false, next: computedNext };
+  if (!Number.isInteger(body.observedCount) || body.observedCount < 0) {
+    httpError(400, "observedCount must be a non-negative integer");
+  }
+  let zoneCounts = null;
+  if (body.zoneCounts !== undefined) {
+    if (
+      !body.zoneCounts ||
+      typeof body.zoneCounts !== "object" ||
+      Array.isArray(body.zoneCounts)
+    ) {
+      httpError(400, "zoneCounts must be an object of zoneId -> count");
+    }
+    for (const [zoneId, n] of Object.entries(body.zoneCounts)) {
+      if (!Number.isInteger(n) || n < 0) {
+        httpError(400, `zoneCounts.${zoneId} must be a non-negative integer`);
+      }
+    }
+    zoneCounts = body.zoneCounts;
+  }
+  assertString("reason", body.reason);
+  if (!body.reason.trim()) httpError(400, "reason must be a non-empty string");
+
+  return {
+    observedCount: body.observedCount,
+    zoneCounts,
+    reason: body.reason.trim(),
+  };
+}
+
+// ----------- event write (Req 9, 14, 17–19, 21) -----------
+// The transaction and event schema live in eventCore.recordLotEvent so the
+// CLI writes the same documents; sensor events add this deployment's cooldown.
+function recordSensorEvent(fields) {
+  return recordLotEvent(db, admin, {
+    ...fields,
+    source: "sensor",
+    defaultCooldownMs: COOLDOWN_MS,
+  });
 }
 
 // ----------- Write endpoints (Req 15, 16) -----------
 
-// Req 15: POST /event/entry
-exports.eventEntry = functions.https.onRequest(async (req, res) => {
+// Shared handler for every single-event endpoint. endpointEventType is fixed
+// by the legacy /eventEntry and /eventExit functions; on /event it comes from
+// the body, or from the sensor's configured lane when the body omits it.
+async function handleEventRequest(req, res, endpointEventType = null) {
   try {
     if (req.method !== "POST") {
-      return res.status(405).json({ ok: false, error: "Method not allowed" });
+      return res.status(405).json({ok: false, error: "Method not allowed"});
     }
 
-    requireApiKey(req);
-
     // Req 10: schema validation
-    const { lotId, sensorId } = validateEventPayload(req.body);
-
-    const result = await recordLotEvent({ lotId, sensorId, eventType: "ENTRY" });
+    const {
+      lotId,
+      sensorId,
+      eventType: bodyEventType,
+      eventId: bodyEventId,
+      zones,
+      metadata,
+    } = validateEventPayload(req.body);
+    if (
+      endpointEventType &&
+      bodyEventType &&
+      bodyEventType !== endpointEventType
+    ) {
+      httpError(
+          400,
+          `eventType ${bodyEventType} does not match this endpoint ` +
+            `(${endpointEventType})`,
+      );
+    }
+    const eventId = resolveEventId(req, bodyEventId);
+
+    const sensor = await authenticateSensor(req, {lotId, sensorId});
+    const eventType =
+      endpointEventType || bodyEventType || laneEventType(sensor);
+    assertLaneAllows(sensor, eventType);
+    const eventZones = resolveEventZones(sensor, eventType, zones);
+
+    const result = await recordSensorEvent({
+      lotId,
+      sensorId,
+      eventType,
+      eventId,
+      ...eventZones,
+      ...metadata,
+      sensorCooldownMs: sensor.cooldown_ms,
+    });
 
     // If deduped, return 200 (no new event created)
     if (result.deduped) {
-      return res.status(200).json({ ok: true, ...result });
+      return res.status(200).json({ok: true, eventType, ...result});
     }
 
-    return res.status(201).json({ ok: true, ...result });
+    return res.status(201).json({ok: true, eventType, ...result});
   } catch (e) {
-    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+    return res
+        .status(e.status || 500)
+        .json({ok: false, error: e.message || String(e)});
   }
-});
+}
 
-// Req 16: POST /event/exit
-exports.eventExit = functions.https.onRequest(async (req, res) => {
+// Cloud Functions also routes every subpath of a function to it (/event/exit
+// reaches `event`), so the sensor endpoints answer only at their root and at
+// the subpaths in subroutes (req.path is relative to the function root)
+function rootOnly(handler, subroutes = new Map()) {
+  return (req, res) => {
+    const path = req.path || "/";
+    const route = path === "/" ? handler : subroutes.get(path);
+    if (!route) {
+      return res.status(404).json({ok: false, error: "Not found"});
+    }
+    return route(req, res);
+  };
+}
+
+// POST /event: one endpoint for every lane; direction from body or lane config
+// POST /event/batch: a sensor's buffered events (handleEventBatchRequest)
+exports.event = functions.https.onRequest(
+    rootOnly(
+        (req, res) => handleEventRequest(req, res),
+        new Map([["/batch", handleEventBatchRequest]]),
+    ),
+);
+
+// Req 15: POST /eventEntry (kept for sensors that predate /event)
+exports.eventEntry = functions.https.onRequest(
+    rootOnly((req, res) => handleEventRequest(req, res, "ENTRY")),
+);
+
+// Req 16: POST /eventExit (kept for sensors that predate /event)
+exports.eventExit = functions.https.onRequest(
+    rootOnly((req, res) => handleEventRequest(req, res, "EXIT")),
+);
+
+// POST /event/batch
+// Flushes a sensor's buffered backlog after an outage. Events are applied one
+// at a time, in order, through the same recordLotEvent transaction as the live
+// endpoints so count_now ends up exactly where it would have been.
+async function handleEventBatchRequest(req, res) {
   try {
     if (req.method !== "POST") {
-      return res.status(405).json({ ok: false, error: "Method not allowed" });
+      return res.status(405).json({ok: false, error: "Method not allowed"});
+    }
+
+    const {lotId, sensorId, events} = validateBatchPayload(req.body);
+    const sensor = await authenticateSensor(req, {lotId, sensorId});
+
+    const results = [];
+    let previousMs = null;
+    let halted = null;
+
+    for (let index = 0; index < events.length; index++) {
+      // After a server-side failure nothing later may be applied, or the
+      // gateway's retry would replay events out of order.
+      if (halted) {
+        results.push({
+          index,
+          status: "rejected",
+          error: halted,
+          retryable: true,
+        });
+        continue;
+      }
+
+      try {
+        const item = validateBatchItem(events[index], previousMs);
+        const {occurredAtMs, eventId} = item;
+        const eventType = item.eventType || laneEventType(sensor);
+        previousMs = occurredAtMs;
+        assertLaneAllows(sensor, eventType);
+        const eventZones = resolveEventZones(sensor, eventType, item.zones);
+
+        const result = await recordSensorEvent({
+          lotId,
+          sensorId,
+          eventType,
+          occurredAtMs,
+          eventId,
+          ...eventZones,
+          ...item.metadata,
+          sensorCooldownMs: sensor.cooldown_ms,
+        });
+        const replayed = result.replayed ? {replayed: true} : {};
+
+        if (result.deduped) {
+          results.push({
+            index,
+            status: "deduped",
+            eventType,
+            cooldown_ms: result.cooldown_ms,
+            cooldown_source: result.cooldown_source,
+            ...replayed,
+          });
+        } else {
+          results.push({
+            index,
+            status: "created",
+            eventType,
+            id: result.id,
+            next: result.next,
+            ...replayed,
+          });
+        }
+      } catch (e) {
+        const status = e.status || 500;
+        if (status >= 500) {
+          halted = `Not processed: event ${index} failed`;
+          results.push({
+            index,
+            status: "rejected",
+            error: e.message || String(e),
+            retryable: true,
+          });
+        } else {
+          results.push({
+            index,
+            status: "rejected",
+            error: e.message || String(e),
+          });
+        }
+      }
     }
 
-    requireApiKey(req);
+    const countOf = (status) =>
+      results.filter((r) => r.status === status).length;
+
+    return res.status(200).json({
+      ok: true,
+      lotId,
+      sensorId,
+      created: countOf("created"),
+      deduped: countOf("deduped"),
+      rejected: countOf("rejected"),
+      results,
+    });
+  } catch (e) {
+    return res
+        .status(e.status || 500)
+        .json({ok: false, error: e.message || String(e)});
+  }
+}
+
+// ----------- Sensor health -----------
 
-    // Req 10: schema validation
-    const { lotId, sensorId } = validateEventPayload(req.body);
+// Heartbeat schema:
+// {
+//   lotId: string, sensorId: string,
+//   uptimeSeconds: number >= 0 (optional),
+//   baselineCm: number > 0 (optional, calibrated empty-lane distance),
+//   errorCount: integer >= 0 (optional, cumulative since the detector started)
+// }
+function validateHeartbeatPayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    httpError(400, "Request body must be a JSON object");
+  }
 
-    const result = await recordLotEvent({ lotId, sensorId, eventType: "EXIT" });
+  const {uptimeSeconds, baselineCm, errorCount, ...rest} = body;
+  for (const k of Object.keys(rest)) {
+    if (k !== "lotId" && k !== "sensorId") {
+      httpError(400, `Unexpected field: ${k}`);
+    }
+  }
+  const {lotId, sensorId} = validateEventPayload(rest);
 
-    if (result.deduped) {
-      return res.status(200).json({ ok: true, ...result });
+  const optionalNumber = (name, val, check) => {
+    if (val === undefined || val === null) return null;
+    if (typeof val !== "number" || !Number.isFinite(val) || !check(val)) {
+      httpError(400, `${name} is invalid`);
     }
+    return val;
+  };
+
+  return {
+    lotId,
+    sensorId,
+    uptimeSeconds: optionalNumber(
+        "uptimeSeconds",
+        uptimeSeconds,
+        (v) => v >= 0,
+    ),
+    baselineCm: optionalNumber("baselineCm", baselineCm, (v) => v > 0),
+    errorCount: optionalNumber(
+        "errorCount",
+        errorCount,
+        (v) => Number.isInteger(v) && v >= 0,
+    ),
+  };
+}
+
+// POST /sensorHeartbeat
+// Called periodically by each detector's main loop. last_updated only moves
+// when a car passes, so this is what distinguishes a quiet lot from a dead
+// sensor. Health is stored on sensors/{sensorId}.health and mirrored to
+// lots/{lotId}.sensorHealth.{sensorId} so readers can derive sensorStatus
+// (online/degraded/offline) without access to the sensors registry.
+exports.sensorHeartbeat = functions.https.onRequest(
+    rootOnly(async (req, res) => {
+      try {
+        if (req.method !== "POST") {
+          return res.status(405).json({ok: false, error: "Method not allowed"});
+        }
+
+        const {lotId, sensorId, uptimeSeconds, baselineCm, errorCount} =
+        validateHeartbeatPayload(req.body);
+        const sensor = await authenticateSensor(req, {lotId, sensorId});
 
-    return res.status(201).json({ ok: true, ...result });
+        // errorCount is cumulative; a smaller value than last time means the
+        // detector restarted, so everything it reports is new
+        const previousErrors = Number(
+            (sensor.health && sensor.health.error_count) || 0,
+        );
+        let errorsSinceLast = 0;
+        if (errorCount !== null) {
+          errorsSinceLast =
+          errorCount >= previousErrors ?
+            errorCount - previousErrors :
+            errorCount;
+        }
+
+        const health = {
+          last_heartbeat: admin.firestore.FieldValue.serverTimestamp(),
+          uptime_seconds: uptimeSeconds,
+          baseline_cm: baselineCm,
+          error_count: errorCount,
+          errors_since_last: errorsSinceLast,
+        };
+
+        const batch = db.batch();
+        batch.set(
+            db.collection("sensors").doc(sensorId),
+            {health},
+            {merge: true},
+        );
+        batch.set(
+            db.collection("lots").doc(lotId),
+            {
+              sensorHealth: {
+                [sensorId]: {
+                  last_heartbeat: health.last_heartbeat,
+                  errors_since_last: errorsSinceLast,
+                  uptime_seconds: uptimeSeconds,
+                },
+              },
+            },
+            {merge: true},
+        );
+        await batch.commit();
+
+        return res.status(200).json({
+          ok: true,
+          lotId,
+          sensorId,
+          errors_since_last: errorsSinceLast,
+        });
+      } catch (e) {
+        return res
+            .status(e.status || 500)
+            .json({ok: false, error: e.message || String(e)});
+      }
+    }),
+);
+
+// ----------- Admin lot endpoints -----------
+
+// POST /lot/:lotId/recount
+// Replaces the old direct count_now overwrite: the observed count is written
+// as a CORRECTION event so event history still adds up for analytics.
+async function handleRecount(req, res, lotId) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ok: false, error: "Method not allowed"});
+  }
+
+  const operator = await requireAdmin(req);
+  const {observedCount, zoneCounts, reason} = validateRecountPayload(req.body);
+
+  const result = await recordOccupancyCorrection(db, admin, {
+    lotId,
+    observedCount,
+    zoneCounts,
+    operator,
+    reason,
+  });
+
+  return res.status(201).json({ok: true, lotId, operator, ...result});
+}
+
+// GET /lot/:lotId/drift?hours=N
+// How many ENTRY/EXIT events were absorbed by clamping over the last N hours
+// (default 24, max 90 days), plus the lot's all-time running counters.
+async function handleDrift(req, res, lotId) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ok: false, error: "Method not allowed"});
+  }
+
+  await requireAdmin(req);
+
+  const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 90 * 24) {
+    httpError(400, "hours must be a number between 0 and 2160");
+  }
+
+  const toMs = Date.now();
+  const report = await buildDriftReport(db, admin, {
+    lotId,
+    fromMs: toMs - hours * 60 * 60 * 1000,
+    toMs,
+  });
+
+  return res.status(200).json({ok: true, ...report});
+}
+
+// Routes /lot/:lotId/<action> (req.path is relative to the function root)
+const LOT_ROUTES = new Map([
+  ["recount", handleRecount],
+  ["drift", handleDrift],
+]);
+
+exports.lot = functions.https.onRequest(async (req, res) => {
+  try {
+    const match = /^\/([A-Za-z0-9._-]+)\/([A-Za-z]+)\/?$/.exec(req.path || "");
+    const route = match ? LOT_ROUTES.get(match[2]) : null;
+    if (!route) {
+      return res.status(404).json({ok: false, error: "Not found"});
+    }
+
+    return await route(req, res, match[1]);
   } catch (e) {
-    return res.status(e.status || 500).json({ ok: false, error: e.message || String(e) });
+    return res
+        .status(e.status || 500)
+        .json({ok: false, error: e.message || String(e)});
   }
 });
 
 // Data analysis - Triggered by Cloud Scheduler via HTTP endpoint
 /**
  * POST /scheduleAnalytics
- * 
- * Recomputes hourly parking averages for all lots
+ *
+ * Recomputes hourly parking averages for all lots: one 24-slot curve over the
+ * whole lookback (averageByHour) and one per weekday (averageByWeekdayHour,
+ * keyed "0" = Sunday ... "6" = Saturday, each a 24-slot map like averageByHour)
+ * Hours are lot-local (lots/{lotId}.timezone, default America/Chicago)
+ * Reads only the hourly rollups written with each event (see analytics.js)
+ * Also stores daily lot insights next to historicalData
+ * (lots/{lotId}.insights): turnover, estimated dwell time, when the lot first
+ * filled and time spent full
  * Triggered daily by Cloud Scheduler (configure in Google Cloud console)
- * 
+ *
  * Cloud Scheduler setup:
  * - Frequency: 0 2 * * * (daily at 2 AM UTC)
  * - Target: HTTPS
@@ -322,108 +1077,84 @@ exports.eventExit = functions.https.onRequest(async (req, res) => {
 exports.scheduleAnalytics = functions.https.onRequest(async (req, res) => {
   // Only allow POST requests
   if (req.method !== "POST") {
-    return res.status(405).json({ ok: false, error: "Method not allowed" });
+    return res.status(405).json({ok: false, error: "Method not allowed"});
   }
 
   try {
     const lotsSnap = await db.collection("lots").get();
-    const now = admin.firestore.Timestamp.now();
-    const windowDays = 3;
-    const start = admin.firestore.Timestamp.fromMillis(
-      now.toMillis() - windowDays * 24 * 60 * 60 * 1000
+    const endMs = Date.now();
+
+    // One rollup query per lot, so lots no longer need to be done one by one.
+    // A lot with nothing known in the window keeps its previous averages.
+    const results = await Promise.all(
+        lotsSnap.docs.map((lotDoc) =>
+          refreshLotAnalytics(db, admin, {
+            lotId: lotDoc.id,
+            lot: lotDoc.data() || {},
+            lookbackWeeks: LOOKBACK_WEEKS,
+            endMs,
+          }),
+        ),
     );
 
-    let processedCount = 0;
-
-    for (const lotDoc of lotsSnap.docs) {
-      const lotId = lotDoc.id;
-      const lot = lotDoc.data() || {};
-      const cap = typeof lot.capacity === "number" ? lot.capacity : null;
-
-      const eventsSnap = await db.collection("lots").doc(lotId)
-        .collection("events")
-        .where("timestamp", ">=", start)
-        .where("timestamp", "<=", now)
-        .orderBy("timestamp")
-        .get();
+    const processedCount = results.filter(Boolean).length;
 
-      if (eventsSnap.empty) continue;
-
-      const events = eventsSnap.docs.map(d => d.data());
-
-      // Skip if any event missing before/after
-      const missing = events.some(e => e.occupancy_before == null || e.occupancy_after == null);
-      if (missing) continue;
-
-      const occSeconds = Array(24).fill(0);
-      const totalSeconds = Array(24).fill(0);
-
-      const startDate = new Date(start.toMillis());
-      const endDate = new Date(now.toMillis());
-
-      function addSegment(t0, t1, occ) {
-        let t = new Date(t0);
-        while (t < t1) {
-          const hour = t.getHours();
-          const hourEnd = new Date(t);
-          hourEnd.setMinutes(0, 0, 0);
-          hourEnd.setHours(hourEnd.getHours() + 1);
-
-          const segEnd = hourEnd < t1 ? hourEnd : t1;
-          const secs = (segEnd - t) / 1000;
-
-          occSeconds[hour] += occ * secs;
-          totalSeconds[hour] += secs;
-
-          t = segEnd;
-        }
-      }
-
-      const first = events[0];
-      addSegment(startDate, new Date(first.timestamp.toMillis()), Number(first.occupancy_before || 0));
-
-      for (let i = 0; i < events.length - 1; i++) {
-        const a = events[i];
-        const b = events[i + 1];
-        addSegment(
-          new Date(a.timestamp.toMillis()),
-          new Date(b.timestamp.toMillis()),
-          Number(a.occupancy_after || 0)
-        );
-      }
-
-      const last = events[events.length - 1];
-      addSegment(new Date(last.timestamp.toMillis()), endDate, Number(last.occupancy_after || 0));
-
-      const averageByHour = {};
-      const averageRateByHour = {};
-
-      for (let h = 0; h < 24; h++) {
-        const avgOcc = totalSeconds[h] > 0 ? (occSeconds[h] / totalSeconds[h]) : 0;
-        averageByHour[String(h)] = avgOcc;
-        averageRateByHour[String(h)] = (cap && cap > 0) ? (avgOcc / cap) * 100 : 0;
-      }
+    console.log(`Analytics update completed for ${processedCount} lots`);
+    return res.status(200).json({ok: true, lotsProcessed: processedCount});
+  } catch (error) {
+    console.error("Analytics function error:", error);
+    return res.status(500).json({ok: false, error: error.message});
+  }
+});
 
-      await db.collection("lots").doc(lotId).set(
-        {
-          historicalData: {
-            averageByHour,
-            averageRateByHour,
-            windowDays,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          },
-        },
-        { merge: true }
-      );
+/**
+ * POST /scanAnomalies
+ *
+ * Flags suspicious stretches of each lot's event stream over the last two
+ * days (see anomalies.js): sensor bursts faster than cars can pass, silences
+ * during hours that are normally busy, and days whose ENTRYs and EXITs do not
+ * balance. Flags land in lots/{lotId}/anomalies; rescans update them in place.
+ * "Normally busy" comes from the same rollups and lookback as
+ * scheduleAnalytics.
+ *
+ * Cloud Scheduler setup:
+ * - Frequency: 15 * * * * (hourly)
+ * - Target: HTTPS
+ * - URL: https://us-central1-parking-capstone-9778c.cloudfunctions.net/scanAnomalies
+ * - Auth header: Add OIDC token, use default service account
+ */
+exports.scanAnomalies = functions.https.onRequest(async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ok: false, error: "Method not allowed"});
+  }
 
-      processedCount++;
-    }
+  try {
+    const lotsSnap = await db.collection("lots").get();
+    const nowMs = Date.now();
+
+    const results = await Promise.all(
+        lotsSnap.docs.map(async (lotDoc) => {
+          const result = await scanLotAnomalies(db, admin, {
+            lotId: lotDoc.id,
+            lot: lotDoc.data() || {},
+            nowMs,
+            lookbackWeeks: LOOKBACK_WEEKS,
+          });
+          return [lotDoc.id, result.flagged.length];
+        }),
+    );
 
-    console.log(`Analytics update completed for ${processedCount} lots`);
-    return res.status(200).json({ ok: true, lotsProcessed: processedCount });
+    console.log(`Anomaly scan completed for ${results.length} lots`);
+    return res
+        .status(200)
+        .json({
+          ok: true,
+          lotsScanned: results.length,
+          flagged: Object.fromEntries(results),
+        });
   } catch (error) {
-    console.error("Analytics function error:", error);
-    return res.status(500).json({ ok: false, error: error.message });
+    console.error("Anomaly scan error:", error);
+    return res.status(500).json({ok: false, error: error.message});
   }
 });
 
@@ -431,82 +1162,93 @@ exports.scheduleAnalytics = functions.https.onRequest(async (req, res) => {
 
 /**
  * POST /chatbot
- * 
+ *
  * Proxies OpenAI requests to keep API key secure on server
- * 
+ *
  * Body: { prompt: string, parkingData: object }
  * Returns: { ok: true, response: string } or { ok: false, error: string }
  */
 exports.chatbot = functions.https.onRequest(
-  { secrets: [openaiApiKey] },
-  async (req, res) => {
-  // Enable CORS for web app
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(204).send('');
-  }
+    {secrets: [openaiApiKey]},
+    async (req, res) => {
+    // Enable CORS for web app
+      res.set("Access-Control-Allow-Origin", "*");
+      res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+      res.set("Access-Control-Allow-Headers", "Content-Type");
+
+      if (req.method === "OPTIONS") {
+        return res.status(204).send("");
+      }
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ ok: false, error: 'Method not allowed' });
-  }
+      if (req.method !== "POST") {
+        return res.status(405).json({ok: false, error: "Method not allowed"});
+      }
 
-  try {
-    const { prompt } = req.body;
+      try {
+        const {prompt} = req.body;
 
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ ok: false, error: 'prompt is required (string)' });
-    }
+        if (!prompt || typeof prompt !== "string") {
+          return res
+              .status(400)
+              .json({ok: false, error: "prompt is required (string)"});
+        }
 
-    // Get OpenAI API key from secret
-    const OPENAI_API_KEY = openaiApiKey.value();
-    if (!OPENAI_API_KEY) {
-      console.error('OpenAI API key not found in secrets');
-      return res.status(500).json({ ok: false, error: 'OpenAI API key not configured' });
-    }
+        // Get OpenAI API key from secret
+        const OPENAI_API_KEY = openaiApiKey.value();
+        if (!OPENAI_API_KEY) {
+          console.error("OpenAI API key not found in secrets");
+          return res
+              .status(500)
+              .json({ok: false, error: "OpenAI API key not configured"});
+        }
 
-    console.log('OpenAI API key found, making request...');
-
-    // Call OpenAI API
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 300,
-        temperature: 0.7,
-      }),
-    });
+        console.log("OpenAI API key found, making request...");
+
+        // Call OpenAI API
+        const response = await fetch(
+            "https://api.openai.com/v1/chat/completions",
+            {
+              method: "POST",
+              headers: {
+                "Content-Type": "application/json",
+                "Authorization": `Bearer ${OPENAI_API_KEY}`,
+              },
+              body: JSON.stringify({
+                model: "gpt-3.5-turbo",
+                messages: [{role: "user", content: prompt}],
+                max_tokens: 300,
+                temperature: 0.7,
+              }),
+            },
+        );
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('OpenAI API Error:', response.status, errorData);
-      return res.status(response.status).json({ 
-        ok: false, 
-        error: errorData.error?.message || 'OpenAI API error' 
-      });
-    }
+        if (!response.ok) {
+          const errorData = await response.json();
+          console.error("OpenAI API Error:", response.status, errorData);
+          return res.status(response.status).json({
+            ok: false,
+            error:
+            (errorData.error && errorData.error.message) || "OpenAI API error",
+          });
+        }
 
-    const data = await response.json();
-    
-    if (data.choices && data.choices[0]) {
-      return res.status(200).json({ 
-        ok: true, 
-        response: data.choices[0].message.content 
-      });
-    }
+        const data = await response.json();
 
-    return res.status(500).json({ ok: false, error: 'Invalid OpenAI response' });
+        if (data.choices && data.choices[0]) {
+          return res.status(200).json({
+            ok: true,
+            response: data.choices[0].message.content,
+          });
+        }
 
-  } catch (error) {
-    console.error('Chatbot function error:', error);
-    return res.status(500).json({ ok: false, error: error.message || 'Internal server error' });
-  }
-});
+        return res
+            .status(500)
+            .json({ok: false, error: "Invalid OpenAI response"});
+      } catch (error) {
+        console.error("Chatbot function error:", error);
+        return res
+            .status(500)
+            .json({ok: false, error: error.message || "Internal server error"});
+      }
+    },
+);
@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {rollupHourKey} = require("../eventCore");
+const {
+  lotTimeZone,
+  localHourAndDay,
+  computeHourlyAverages,
+  computeDailyInsights,
+} = require("../analytics");
+
+const at = (day, hour, minute = 0) => Date.UTC(2026, 9, day, hour, minute);
+
+// history for the aggregations: hours is [[ms, rollup fields]], each a whole
+// covered hour unless the fields say otherwise
+function history(hours, status = {}) {
+  return {
+    rollups: new Map(
+        hours.map(([ms, fields]) => [
+          rollupHourKey(ms),
+          {covered_seconds: 3600, occupancy_seconds: 0, ...fields},
+        ]),
+    ),
+    status,
+  };
+}
+
+// Every hour of a UTC day, with fields(hour) merged into each
+function day(d, fields = () => ({})) {
+  return Array.from({length: 24}, (_, h) => [at(d, h), fields(h)]);
+}
+
+test("lotTimeZone falls back to campus time", () => {
+  assert.equal(lotTimeZone({timezone: "America/Denver"}), "America/Denver");
+  assert.equal(lotTimeZone({}), "America/Chicago");
+  assert.equal(lotTimeZone(null), "America/Chicago");
+});
+
+test("localHourAndDay follows daylight saving", () => {
+  // 13:00 UTC is 8am CDT in October and 7am CST in December
+  assert.deepEqual(localHourAndDay(at(18, 13), "America/Chicago"), {
+    hour: 8,
+    day: 0,
+  });
+  assert.equal(
+      localHourAndDay(Date.UTC(2026, 11, 20, 13), "America/Chicago").hour,
+      7,
+  );
+});
+
+test("computeHourlyAverages weights by covered time", () => {
+  const lot = {capacity: 10, timezone: "UTC"};
+  const hist = history([
+    [at(15, 8), {occupancy_seconds: 4 * 3600}],
+    [at(16, 8), {occupancy_seconds: 1800 * 7, covered_seconds: 1800}],
+  ]);
+  const avg = computeHourlyAverages({
+    lot,
+    history: hist,
+    startMs: at(15, 0),
+    endMs: at(17, 0),
+  });
+
+  // 4 cars for an hour and 7 for half an hour
+  assert.equal(avg.averageByHour["8"], 5);
+  assert.equal(avg.averageRateByHour["8"], 50);
+  assert.equal(avg.averageByHour["9"], 0);
+  assert.equal(avg.averageByWeekdayHour["4"]["8"], 4); // Thursday the 15th
+  assert.equal(avg.coveredSeconds, 5400);
+});
+
+test("computeHourlyAverages holds the count since the last change", () => {
+  const lot = {capacity: 10, timezone: "UTC"};
+  const hist = history([], {count_now: 3, last_change_ms: at(15, 8, 30)});
+  const avg = computeHourlyAverages({
+    lot,
+    history: hist,
+    startMs: at(15, 0),
+    endMs: at(15, 10),
+  });
+
+  assert.equal(avg.averageByHour["8"], 3);
+  assert.equal(avg.averageByHour["9"], 3);
+  assert.equal(avg.coveredSeconds, 1.5 * 3600);
+});
+
+test("computeDailyInsights summarizes complete days", () => {
+  const lot = {capacity: 10, timezone: "UTC"};
+  const hist = history([
+    // the 15th: 20 arrivals at 8 that stay until 18:00, full from 08:15
+    ...day(15, (h) => {
+      if (h < 8 || h > 17) return {};
+      return {
+        entries: h === 8 ? 20 : 0,
+        exits: h === 17 ? 20 : 0,
+        occupancy_seconds: 10 * 3600,
+        full_seconds: h === 8 ? 2700 : 3600,
+        first_full_ms: h === 8 ? at(15, 8, 15) : at(15, h),
+      };
+    }),
+    // the 16th: 10 cars that stay about 100 minutes, never full
+    ...day(16, (h) =>
+      h === 9 ? {entries: 10, exits: 10, occupancy_seconds: 60000} : {},
+    ),
+  ]);
+
+  const insights = computeDailyInsights({
+    lot,
+    history: hist,
+    startMs: at(15, 0),
+    endMs: at(17, 12),
+  });
+
+  // The 15th is the window's first day, so only the 16th is complete
+  assert.equal(insights.days, 1);
+
+  const wider = computeDailyInsights({
+    lot,
+    history: hist,
+    startMs: at(14, 12),
+    endMs: at(17, 12),
+  });
+  assert.equal(wider.timezone, "UTC");
+  assert.equal(wider.days, 2);
+  assert.equal(wider.daysFull, 1);
+  assert.deepEqual(wider.latest, {
+    date: "2026-10-16",
+    entries: 10,
+    exits: 10,
+    turnoverRate: 1,
+    avgDwellMinutes: 100,
+    firstFullAt: null,
+    minutesFull: 0,
+  });
+  assert.deepEqual(wider.typical, {
+    entries: 15,
+    turnoverRate: 1.5,
+    avgDwellMinutes: (300 + 100) / 2,
+    firstFullAt: "08:15",
+    minutesFull: (45 + 9 * 60) / 2,
+  });
+});
+
+test("computeDailyInsights buckets days and times on the lot's clock", () => {
+  const lot = {capacity: 2, timezone: "America/Chicago"};
+  // Full from 06:00 CDT on the 15th and 08:31 CDT on the 16th
+  const hist = history([
+    [at(15, 11), {entries: 2, full_seconds: 3600, first_full_ms: at(15, 11)}],
+    [
+      at(16, 13),
+      {entries: 2, full_seconds: 1740, first_full_ms: at(16, 13, 31)},
+    ],
+    // 02:00 UTC on the 17th is still the 16th in Chicago
+    [at(17, 2), {exits: 4}],
+  ]);
+
+  const insights = computeDailyInsights({
+    lot,
+    history: hist,
+    startMs: at(14, 12),
+    endMs: at(17, 18),
+  });
+
+  assert.equal(insights.timezone, "America/Chicago");
+  assert.equal(insights.days, 2);
+  assert.equal(insights.latest.date, "2026-10-16");
+  assert.equal(insights.latest.exits, 4);
+  assert.equal(insights.latest.firstFullAt, "08:31");
+  // median of 06:00 and 08:31, to the minute
+  assert.equal(insights.typical.firstFullAt, "07:16");
+});
+
+test("computeDailyInsights is empty without complete days", () => {
+  const insights = computeDailyInsights({
+    lot: {capacity: 10},
+    history: history([]),
+    startMs: at(15, 0),
+    endMs: at(15, 12),
+  });
+  assert.equal(insights.latest, null);
+  assert.equal(insights.typical, null);
+  assert.equal(insights.days, 0);
+});
@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {detectAnomalies} = require("../anomalies");
+const {Timestamp} = require("./fakeFirestore");
+
+const at = (day, hour, minute = 0) => Date.UTC(2026, 9, day, hour, minute);
+const lot = {capacity: 100, timezone: "UTC"};
+
+let nextId = 0;
+function event(ms, fields = {}) {
+  nextId += 1;
+  return {
+    id: `e${nextId}`,
+    eventType: "ENTRY",
+    source: "sensor",
+    sensorId: "s1",
+    timestamp: Timestamp.fromMillis(ms),
+    ...fields,
+  };
+}
+
+// The same events-per-hour expectation for every weekday and hour
+function flatProfile(perHour) {
+  const profile = {};
+  for (let d = 0; d < 7; d++) {
+    profile[String(d)] = {};
+    for (let h = 0; h < 24; h++) profile[String(d)][String(h)] = perHour;
+  }
+  return profile;
+}
+
+function detect(events, {profile = {}, startMs = at(16, 0), nowMs} = {}) {
+  return detectAnomalies({
+    lot,
+    events,
+    profile,
+    startMs,
+    nowMs: nowMs === undefined ? at(17, 12) : nowMs,
+  });
+}
+
+const ofType = (found, type) => found.filter((a) => a.type === type);
+
+test("detectAnomalies flags a lane firing faster than cars can pass", () => {
+  const t = at(16, 9);
+  const burst = [0, 500, 900, 1500, 2100].map((ms) => event(t + ms));
+  const found = ofType(detect(burst), "burst");
+
+  assert.equal(found.length, 1);
+  assert.equal(found[0].id, `burst-${burst[0].id}`);
+  assert.equal(found[0].startMs, t);
+  assert.equal(found[0].endMs, t + 2100);
+  assert.equal(found[0].details.eventCount, 5);
+  assert.deepEqual(
+      found[0].eventIds,
+      burst.map((e) => e.id),
+  );
+});
+
+test("detectAnomalies needs a burst on one lane", () => {
+  const t = at(16, 9);
+  const short = [0, 500, 1000, 1500].map((ms) => event(t + ms));
+  const spaced = [0, 2000, 4000, 6000, 8000].map((ms) => event(t + ms));
+  const mixed = [0, 500, 1000, 1500, 1900].map((ms, i) =>
+    event(t + ms, {sensorId: i % 2 ? "s1" : "s2"}),
+  );
+  const manual = [0, 100, 200, 300, 400].map((ms) =>
+    event(t + ms, {source: "manual", sensorId: null}),
+  );
+
+  for (const events of [short, spaced, mixed, manual]) {
+    assert.deepEqual(ofType(detect(events), "burst"), []);
+  }
+});
+
+test("detectAnomalies flags a silence in normally busy hours", () => {
+  const events = [event(at(16, 8)), event(at(16, 11)), event(at(17, 11, 30))];
+  const found = ofType(detect(events, {profile: flatProfile(10)}), "silence");
+
+  // 08:00-11:00 (30 expected) and 11:00 until 11:30 the next day; the last
+  // event is only half an hour before now
+  assert.deepEqual(
+      found.map((s) => [s.id, s.ongoing]),
+      [
+        [`silence-${at(16, 8)}`, false],
+        [`silence-${at(16, 11)}`, false],
+      ],
+  );
+  assert.equal(found[0].details.expectedEvents, 30);
+  assert.equal(found[0].details.hours, 3);
+});
+
+test("detectAnomalies reports a silence still going on", () => {
+  const events = [event(at(17, 9))];
+  const found = ofType(detect(events, {profile: flatProfile(10)}), "silence");
+
+  assert.equal(found.length, 1);
+  assert.equal(found[0].ongoing, true);
+  assert.equal(found[0].endMs, at(17, 12));
+});
+
+test("detectAnomalies ignores gaps in quiet or unprofiled hours", () => {
+  const events = [event(at(16, 1)), event(at(16, 5))];
+  const nowMs = at(16, 5, 30);
+  assert.deepEqual(
+      ofType(detect(events, {profile: flatProfile(1), nowMs}), "silence"),
+      [],
+  );
+  // A profile missing weekdays (new lot) expects nothing for them; the 16th
+  // is a Friday
+  assert.deepEqual(
+      ofType(detect(events, {profile: {"0": {"1": 50}}, nowMs}), "silence"),
+      [],
+  );
+});
+
+test("detectAnomalies flags a lopsided day", () => {
+  const day16 = [
+    ...Array.from({length: 30}, (_, i) => event(at(16, 8, i), {sensorId: "a"})),
+    ...Array.from({length: 5}, (_, i) =>
+      event(at(16, 17, i), {eventType: "EXIT", sensorId: "b"}),
+    ),
+    // deduped events left the count alone
+    ...Array.from({length: 20}, (_, i) =>
+      event(at(16, 18, i), {eventType: "EXIT", sensorId: "b", deduped: true}),
+    ),
+  ];
+  const found = ofType(detect(day16, {startMs: at(15, 12)}), "imbalance");
+
+  assert.equal(found.length, 1);
+  assert.equal(found[0].id, "imbalance-2026-10-16");
+  assert.deepEqual(found[0].details, {
+    date: "2026-10-16",
+    entries: 30,
+    exits: 5,
+    net: 25,
+    threshold: 10,
+  });
+});
+
+test("detectAnomalies only judges complete days", () => {
+  const lopsided = (d) =>
+    Array.from({length: 30}, (_, i) => event(at(d, 8, i), {sensorId: "a"}));
+  // the 16th is the window's first day and the 17th is today
+  const found = detect([...lopsided(16), ...lopsided(17)], {
+    startMs: at(16, 0),
+  });
+  assert.deepEqual(ofType(found, "imbalance"), []);
+});
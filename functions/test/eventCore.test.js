@@ -0,0 +1,340 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_COOLDOWN_MS,
+  parseCooldownMs,
+  resolveCooldownMs,
+  recordLotEvent,
+  recordOccupancyCorrection,
+  rebuildLotEvents,
+} = require("../eventCore");
+const {createFakeFirestore, fakeAdmin} = require("./fakeFirestore");
+
+// 2026-10-18 10:30 UTC
+const T0 = Date.UTC(2026, 9, 18, 10, 30);
+const MIN = 60 * 1000;
+
+// A fake db holding lot_1 (fields merged into its lot doc); db.clock is the
+// server time
+function setup(lot = {}) {
+  const clock = {ms: T0};
+  const db = createFakeFirestore({now: () => clock.ms});
+  db.clock = clock;
+  db.seed("lots/lot_1", {name: "Lot 1", capacity: 10, ...lot});
+  return db;
+}
+
+const status = (db) => db.dump("lots/lot_1/_meta/current_status") || {};
+const events = (db) => db.paths("lots/lot_1/events/");
+const rollup = (db, hour) => db.dump(`lots/lot_1/rollups/${hour}`);
+
+function record(db, fields) {
+  return recordLotEvent(db, fakeAdmin, {
+    lotId: "lot_1",
+    eventType: "ENTRY",
+    sensorId: "s1",
+    ...fields,
+  });
+}
+
+test("parseCooldownMs accepts whole ms up to ten minutes", () => {
+  assert.equal(parseCooldownMs("1500"), 1500);
+  assert.equal(parseCooldownMs(0), 0);
+  assert.equal(parseCooldownMs(10 * MIN), 10 * MIN);
+  assert.equal(parseCooldownMs(10 * MIN + 1), null);
+  assert.equal(parseCooldownMs(-1), null);
+  assert.equal(parseCooldownMs(1.5), null);
+  assert.equal(parseCooldownMs(""), null);
+  assert.equal(parseCooldownMs(undefined), null);
+});
+
+test("resolveCooldownMs prefers sensor, then lot, then default", () => {
+  const resolve = (sensorCooldownMs, lotCooldownMs) =>
+    resolveCooldownMs({sensorCooldownMs, lotCooldownMs, defaultMs: 9});
+  assert.deepEqual(resolve(5, 7), {ms: 5, source: "sensor"});
+  assert.deepEqual(resolve("x", 7), {ms: 7, source: "lot"});
+  assert.deepEqual(resolve(null, -1), {ms: 9, source: "default"});
+});
+
+test("recordLotEvent dedupes a sensor repeat inside the cooldown", async () => {
+  const db = setup();
+
+  const first = await record(db, {occurredAtMs: T0});
+  assert.equal(first.deduped, false);
+  assert.equal(first.next, 1);
+
+  const repeat = await record(db, {occurredAtMs: T0 + DEFAULT_COOLDOWN_MS - 1});
+  assert.deepEqual(repeat, {
+    deduped: true,
+    cooldown_ms: DEFAULT_COOLDOWN_MS,
+    cooldown_source: "default",
+  });
+  assert.equal(status(db).count_now, 1);
+  assert.equal(events(db).length, 1);
+
+  // The window restarts at the deduped event, not the last counted one
+  const chained = await record(db, {
+    occurredAtMs: T0 + 2 * DEFAULT_COOLDOWN_MS - 2,
+  });
+  assert.equal(chained.deduped, true);
+  const later = await record(db, {occurredAtMs: T0 + 4 * DEFAULT_COOLDOWN_MS});
+  assert.equal(later.deduped, false);
+  assert.equal(status(db).count_now, 2);
+});
+
+test("recordLotEvent keeps cooldowns per sensor and event type", async () => {
+  const db = setup();
+  await record(db, {occurredAtMs: T0});
+
+  const otherSensor = await record(db, {sensorId: "s2", occurredAtMs: T0 + 1});
+  const otherType = await record(db, {eventType: "EXIT", occurredAtMs: T0 + 2});
+  assert.equal(otherSensor.deduped, false);
+  assert.equal(otherType.deduped, false);
+  assert.equal(status(db).count_now, 1);
+});
+
+test("recordLotEvent uses the lot and sensor cooldown settings", async () => {
+  const db = setup({cooldown_ms: 0});
+  await record(db, {occurredAtMs: T0});
+  const lotSetting = await record(db, {occurredAtMs: T0 + 1});
+  assert.equal(lotSetting.deduped, false);
+
+  const sensorSetting = await record(db, {
+    occurredAtMs: T0 + 2,
+    sensorCooldownMs: 5000,
+  });
+  assert.equal(sensorSetting.deduped, true);
+  assert.equal(sensorSetting.cooldown_source, "sensor");
+});
+
+test("recordLotEvent never dedupes manual events", async () => {
+  const db = setup();
+  const manual = {source: "manual", sensorId: null, operator: "ops@ku.edu"};
+  await record(db, manual);
+  const again = await record(db, manual);
+  assert.equal(again.deduped, false);
+  assert.equal(status(db).count_now, 2);
+});
+
+test("recordLotEvent rejects out-of-order buffered events", async () => {
+  const db = setup();
+  await record(db, {occurredAtMs: T0});
+  await assert.rejects(
+      record(db, {occurredAtMs: T0 - 1}),
+      (e) => e.status === 409,
+  );
+});
+
+test("recordLotEvent replays an idempotency key's first outcome", async () => {
+  const db = setup();
+  const first = await record(db, {eventId: "k1", occurredAtMs: T0});
+  const retry = await record(db, {
+    eventId: "k1",
+    occurredAtMs: T0 + 10 * MIN,
+  });
+
+  assert.deepEqual(retry, {...first, replayed: true});
+  assert.equal(first.id, "k1");
+  assert.equal(status(db).count_now, 1);
+  assert.deepEqual(events(db), ["lots/lot_1/events/k1"]);
+});
+
+test("recordLotEvent replays a deduped outcome as deduped", async () => {
+  const db = setup();
+  await record(db, {occurredAtMs: T0});
+  const deduped = await record(db, {eventId: "k2", occurredAtMs: T0 + 1});
+  const retry = await record(db, {eventId: "k2", occurredAtMs: T0 + 10 * MIN});
+
+  assert.equal(deduped.deduped, true);
+  assert.equal(retry.deduped, true);
+  assert.equal(retry.replayed, true);
+  assert.equal(status(db).count_now, 1);
+});
+
+test("recordLotEvent refuses an idempotency key reused for another event",
+    async () => {
+      const db = setup();
+      await record(db, {eventId: "k3", occurredAtMs: T0});
+      await assert.rejects(
+          record(db, {eventId: "k3", eventType: "EXIT", occurredAtMs: T0}),
+          (e) => e.status === 409,
+      );
+      await assert.rejects(
+          record(db, {eventId: "k3", sensorId: "s2", occurredAtMs: T0}),
+          (e) => e.status === 409,
+      );
+    });
+
+test("recordLotEvent rejects unknown lots and zones", async () => {
+  const db = setup();
+  await assert.rejects(
+      record(db, {lotId: "nope"}),
+      (e) => e.status === 404,
+  );
+  await assert.rejects(
+      record(db, {zoneId: "L9"}),
+      (e) => e.status === 400 && /Unknown zoneId/.test(e.message),
+  );
+});
+
+test("recordLotEvent clamps at capacity and counts drift", async () => {
+  const db = setup({capacity: 1});
+  const manual = {source: "manual", sensorId: null};
+  await record(db, {...manual, occurredAtMs: T0});
+  const over = await record(db, {...manual, occurredAtMs: T0 + MIN});
+
+  assert.equal(over.next, 1);
+  assert.equal(over.clamped, "ceiling");
+  assert.equal(db.dump("lots/lot_1/_meta/drift").entry_absorbed, 1);
+});
+
+test("writeRollups splits the held count across the hours it spans",
+    async () => {
+      const db = setup();
+      const manual = {source: "manual", sensorId: null};
+
+      // 1 car from 10:30 until an ENTRY at 12:15
+      await record(db, {...manual, occurredAtMs: T0});
+      await record(db, {...manual, occurredAtMs: T0 + 105 * MIN});
+
+      const h10 = rollup(db, "2026-10-18T10");
+      const h11 = rollup(db, "2026-10-18T11");
+      const h12 = rollup(db, "2026-10-18T12");
+
+      assert.equal(h10.entries, 1);
+      assert.equal(h10.occupancy_seconds, 30 * 60);
+      assert.equal(h10.covered_seconds, 30 * 60);
+      assert.equal(h10.last_count, 1);
+
+      // A quiet hour in the middle held the count throughout
+      assert.equal(h11.occupancy_seconds, 3600);
+      assert.equal(h11.covered_seconds, 3600);
+      assert.equal(h11.entries, undefined);
+      assert.deepEqual([h11.min, h11.max, h11.last_count], [1, 1, 1]);
+      assert.equal(h11.hour_start.toMillis(), Date.UTC(2026, 9, 18, 11));
+
+      assert.equal(h12.entries, 1);
+      assert.equal(h12.occupancy_seconds, 15 * 60);
+      assert.equal(h12.covered_seconds, 15 * 60);
+      assert.deepEqual([h12.min, h12.max, h12.last_count], [1, 2, 2]);
+
+      assert.equal(status(db).last_change_ms, T0 + 105 * MIN);
+    });
+
+test("writeRollups tracks time at capacity", async () => {
+  const db = setup({capacity: 1});
+  const manual = {source: "manual", sensorId: null};
+  await record(db, {...manual, occurredAtMs: T0});
+  await record(db, {...manual, eventType: "EXIT", occurredAtMs: T0 + 45 * MIN});
+
+  const h10 = rollup(db, "2026-10-18T10");
+  const h11 = rollup(db, "2026-10-18T11");
+  assert.equal(h10.first_full_ms, T0);
+  assert.equal(h10.full_seconds, 30 * 60);
+  assert.equal(h11.first_full_ms, Date.UTC(2026, 9, 18, 11));
+  assert.equal(h11.full_seconds, 15 * 60);
+  assert.equal(h11.last_count, 0);
+});
+
+test("writeRollups only tallies an event older than the last change",
+    async () => {
+      const db = setup();
+      await record(db, {occurredAtMs: T0 + 40 * MIN});
+      // s2's buffered 10:50 upload lands after s1 moved the count at 11:10
+      await record(db, {sensorId: "s2", occurredAtMs: T0 + 20 * MIN});
+
+      const h10 = rollup(db, "2026-10-18T10");
+      const h11 = rollup(db, "2026-10-18T11");
+      assert.equal(h10.entries, 1);
+      assert.equal(h10.hour_start.toMillis(), Date.UTC(2026, 9, 18, 10));
+      assert.deepEqual([h10.min, h10.max, h10.last_count], [
+        undefined,
+        undefined,
+        undefined,
+      ]);
+      assert.equal(h10.covered_seconds, undefined);
+      assert.deepEqual([h11.min, h11.max, h11.last_count], [1, 1, 1]);
+
+      assert.equal(status(db).count_now, 2);
+      assert.equal(status(db).last_change_ms, T0 + 40 * MIN);
+    });
+
+test("recordOccupancyCorrection requires every zone on lots with zones",
+    async () => {
+      const zones = {L1: {capacity: 5}, L2: {capacity: 5}};
+      const db = setup({zones});
+      const correct = (fields) =>
+        recordOccupancyCorrection(db, fakeAdmin, {
+          lotId: "lot_1",
+          operator: "ops@ku.edu",
+          reason: "walked the lot",
+          ...fields,
+        });
+
+      await assert.rejects(
+          correct({observedCount: 3}),
+          /zoneCounts is required/,
+      );
+      await assert.rejects(
+          correct({observedCount: 3, zoneCounts: {L1: 3}}),
+          /missing zone L2/,
+      );
+      await assert.rejects(
+          correct({observedCount: 3, zoneCounts: {L1: 2, L2: 2}}),
+          /more than observedCount/,
+      );
+      await assert.rejects(
+          correct({observedCount: 9, zoneCounts: {L1: 6, L2: 1}}),
+          /exceeds zone capacity/,
+      );
+
+      const result = await correct({
+        observedCount: 4,
+        zoneCounts: {L1: 3, L2: 1},
+      });
+      assert.deepEqual(result.zone_counts_after, {L1: 3, L2: 1});
+      assert.deepEqual(status(db).zone_counts, {L1: 3, L2: 1});
+      assert.deepEqual(db.dump("lots/lot_1").zoneOccupancy, {L1: 3, L2: 1});
+      assert.equal(status(db).count_now, 4);
+    });
+
+test("rebuildLotEvents requires the deployment cooldown", async () => {
+  const db = setup();
+  await assert.rejects(
+      rebuildLotEvents(db, fakeAdmin, {lotId: "lot_1"}),
+      (e) => e.status === 400 && /defaultCooldownMs/.test(e.message),
+  );
+});
+
+test("rebuildLotEvents dedupes by the given cooldown and clears stale hours",
+    async () => {
+      const db = setup();
+      // Recorded with no cooldown: 10:30 and 11:00 and 11:00.5 all counted
+      for (const ms of [T0, T0 + 30 * MIN, T0 + 30 * MIN + 500]) {
+        db.clock.ms = ms;
+        await record(db, {occurredAtMs: ms, defaultCooldownMs: 0});
+      }
+      assert.equal(status(db).count_now, 3);
+
+      // An earlier rollup hour that no event reaches any more
+      db.seed("lots/lot_1/rollups/2026-10-18T09", {
+        hour_start: fakeAdmin.firestore.Timestamp.fromMillis(
+            Date.UTC(2026, 9, 18, 9),
+        ),
+        entries: 1,
+      });
+
+      const result = await rebuildLotEvents(db, fakeAdmin, {
+        lotId: "lot_1",
+        defaultCooldownMs: 1000,
+      });
+
+      assert.equal(result.changed.length, 1);
+      assert.equal(result.changed[0].after.deduped, true);
+      assert.deepEqual(result.status.after, {count_now: 2, zone_counts: null});
+      assert.equal(result.rollupHoursCleared, 1);
+      assert.equal(rollup(db, "2026-10-18T09"), undefined);
+      assert.equal(rollup(db, "2026-10-18T11").entries, 1);
+      assert.equal(status(db).count_now, 2);
+    });
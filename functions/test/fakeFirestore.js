@@ -0,0 +1,343 @@
+/******************************************************************************
+ * Code Artifact: functions/test/fakeFirestore.js
+ * Description:
+ *   In-memory stand-in for the parts of firebase-admin Firestore that
+ *   eventCore.js, analytics.js and anomalies.js use, so their transactions
+ *   and queries run in unit tests without the emulator:
+ *     - doc / collection references, get, set (merge, mergeFields), create,
+ *       update (dotted paths), delete
+ *     - where (==, <, <=, >, >=), orderBy, limit, select
+ *     - runTransaction (reads before writes, writes applied on success) and
+ *       batch (capped at 500 writes)
+ *     - FieldValue.increment / serverTimestamp / delete and Timestamp
+ *   Server timestamps come from the clock passed to createFakeFirestore.
+ *
+ * Programmer: Samantha Adorno
+ * Created: 2026-10-18
+ *
+ * Outputs:
+ *   - createFakeFirestore({ now }) -> db; db.dump(path) returns a document's
+ *     stored data (or undefined), db.seed(path, data) writes one directly
+ *   - fakeAdmin: the firebase-admin module shape ({ firestore: { ... } })
+ ******************************************************************************/
+
+class Timestamp {
+  constructor(ms) {
+    this.ms = ms;
+    this.seconds = Math.floor(ms / 1000);
+    this.nanoseconds = (ms - this.seconds * 1000) * 1e6;
+  }
+
+  static fromMillis(ms) {
+    return new Timestamp(ms);
+  }
+
+  toMillis() {
+    return this.ms;
+  }
+
+  toDate() {
+    return new Date(this.ms);
+  }
+}
+
+// Write sentinels, resolved against the stored value when applied
+class Sentinel {
+  constructor(op, value) {
+    this.op = op;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  increment: (n) => new Sentinel("increment", n),
+  serverTimestamp: () => new Sentinel("serverTimestamp"),
+  delete: () => new Sentinel("delete"),
+};
+
+const fakeAdmin = {firestore: {Timestamp, FieldValue}};
+
+const isPlainObject = (v) =>
+  v !== null &&
+  typeof v === "object" &&
+  !Array.isArray(v) &&
+  !(v instanceof Timestamp) &&
+  !(v instanceof Sentinel);
+
+// Value to store for incoming (sentinels resolved against existing)
+function resolve(incoming, existing, nowMs) {
+  if (incoming instanceof Sentinel) {
+    if (incoming.op === "increment") {
+      return (typeof existing === "number" ? existing : 0) + incoming.value;
+    }
+    if (incoming.op === "serverTimestamp") return new Timestamp(nowMs);
+  }
+  if (isPlainObject(incoming)) {
+    const out = {};
+    for (const [k, v] of Object.entries(incoming)) {
+      if (v instanceof Sentinel && v.op === "delete") continue;
+      out[k] = resolve(v, undefined, nowMs);
+    }
+    return out;
+  }
+  return incoming;
+}
+
+// Deep merge of incoming into target (set with {merge: true})
+function mergeInto(target, incoming, nowMs) {
+  for (const [k, v] of Object.entries(incoming)) {
+    if (v instanceof Sentinel && v.op === "delete") {
+      delete target[k];
+    } else if (isPlainObject(v) && isPlainObject(target[k])) {
+      mergeInto(target[k], v, nowMs);
+    } else if (isPlainObject(v)) {
+      target[k] = {};
+      mergeInto(target[k], v, nowMs);
+    } else {
+      target[k] = resolve(v, target[k], nowMs);
+    }
+  }
+  return target;
+}
+
+// Sets a dotted field path (update)
+function setPath(target, fieldPath, value, nowMs) {
+  const parts = fieldPath.split(".");
+  let node = target;
+  for (const p of parts.slice(0, -1)) {
+    if (!isPlainObject(node[p])) node[p] = {};
+    node = node[p];
+  }
+  const last = parts[parts.length - 1];
+  if (value instanceof Sentinel && value.op === "delete") delete node[last];
+  else node[last] = resolve(value, node[last], nowMs);
+}
+
+const deepCopy = (v) => {
+  if (Array.isArray(v)) return v.map(deepCopy);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = deepCopy(x);
+    return out;
+  }
+  return v;
+};
+
+// Comparable form of a field value (Timestamps by time)
+const comparable = (v) => (v instanceof Timestamp ? v.toMillis() : v);
+
+const OPS = {
+  "==": (a, b) => a === b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+function createFakeFirestore({now = () => Date.now()} = {}) {
+  const store = new Map(); // document path -> data
+
+  function docSnapshot(ref, fields = null) {
+    const exists = store.has(ref.path);
+    let data = exists ? deepCopy(store.get(ref.path)) : undefined;
+    if (exists && fields) {
+      const picked = {};
+      for (const f of fields) if (f in data) picked[f] = data[f];
+      data = picked;
+    }
+    return {id: ref.id, ref, exists, data: () => data};
+  }
+
+  function querySnapshot(docs) {
+    return {
+      docs,
+      size: docs.length,
+      empty: docs.length === 0,
+      forEach: (fn) => docs.forEach(fn),
+    };
+  }
+
+  // Applies one write to the store; throws like Firestore on bad writes
+  function apply({kind, ref, data, options}) {
+    const nowMs = now();
+    const existing = store.get(ref.path);
+    if (kind === "create") {
+      if (existing) {
+        const err = new Error(`6 ALREADY_EXISTS: ${ref.path}`);
+        err.code = 6;
+        throw err;
+      }
+      store.set(ref.path, resolve(data, undefined, nowMs));
+    } else if (kind === "set") {
+      if (options && options.mergeFields) {
+        const next = deepCopy(existing || {});
+        for (const f of options.mergeFields) {
+          if (data[f] instanceof Sentinel && data[f].op === "delete") {
+            delete next[f];
+          } else {
+            next[f] = resolve(data[f], next[f], nowMs);
+          }
+        }
+        store.set(ref.path, next);
+      } else if (options && options.merge) {
+        store.set(ref.path, mergeInto(deepCopy(existing || {}), data, nowMs));
+      } else {
+        store.set(ref.path, resolve(data, undefined, nowMs));
+      }
+    } else if (kind === "update") {
+      if (!existing) {
+        const err = new Error(`5 NOT_FOUND: ${ref.path}`);
+        err.code = 5;
+        throw err;
+      }
+      const next = deepCopy(existing);
+      for (const [f, v] of Object.entries(data)) setPath(next, f, v, nowMs);
+      store.set(ref.path, next);
+    } else if (kind === "delete") {
+      store.delete(ref.path);
+    }
+  }
+
+  // Write methods shared by transactions and batches; ops collects them
+  function writer(ops, limit = Infinity) {
+    const push = (op) => {
+      if (ops.length >= limit) {
+        throw new Error(`batch is limited to ${limit} writes`);
+      }
+      ops.push(op);
+    };
+    return {
+      set(ref, data, options) {
+        push({kind: "set", ref, data, options});
+        return this;
+      },
+      create(ref, data) {
+        push({kind: "create", ref, data});
+        return this;
+      },
+      update(ref, data) {
+        push({kind: "update", ref, data});
+        return this;
+      },
+      delete(ref) {
+        push({kind: "delete", ref});
+        return this;
+      },
+    };
+  }
+
+  function query(collPath, {filters = [], order = [], max = null,
+    fields = null} = {}) {
+    const q = (next) =>
+      query(collPath, {filters, order, max, fields, ...next});
+    return {
+      where: (field, op, value) =>
+        q({filters: [...filters, {field, op, value}]}),
+      orderBy: (field, dir = "asc") => q({order: [...order, {field, dir}]}),
+      limit: (n) => q({max: n}),
+      select: (...names) => q({fields: names}),
+      async get() {
+        const prefix = `${collPath}/`;
+        // Direct children only, like a Firestore collection
+        const inCollection = (p) =>
+          p.startsWith(prefix) && !p.slice(prefix.length).includes("/");
+        let rows = [...store.keys()]
+            .filter(inCollection)
+            .sort()
+            .map((p) => ({ref: docRef(p), data: store.get(p)}));
+        for (const {field, op, value} of filters) {
+          rows = rows.filter(
+              (r) =>
+                r.data[field] !== undefined &&
+                OPS[op](comparable(r.data[field]), comparable(value)),
+          );
+        }
+        for (const {field} of order) {
+          rows = rows.filter((r) => r.data[field] !== undefined);
+        }
+        rows.sort((a, b) => {
+          for (const {field, dir} of order) {
+            const x = comparable(a.data[field]);
+            const y = comparable(b.data[field]);
+            if (x !== y) return (x < y ? -1 : 1) * (dir === "desc" ? -1 : 1);
+          }
+          return 0;
+        });
+        if (max !== null) rows = rows.slice(0, max);
+        return querySnapshot(rows.map((r) => docSnapshot(r.ref, fields)));
+      },
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      id: path.split("/").pop(),
+      path,
+      doc: (id) => docRef(`${path}/${id}`),
+      ...query(path),
+    };
+  }
+
+  function docRef(path) {
+    const ref = {
+      id: path.split("/").pop(),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => docSnapshot(ref),
+      set: async (data, options) => apply({kind: "set", ref, data, options}),
+      create: async (data) => apply({kind: "create", ref, data}),
+      update: async (data) => apply({kind: "update", ref, data}),
+      delete: async () => apply({kind: "delete", ref}),
+    };
+    return ref;
+  }
+
+  return {
+    collection: (name) => collectionRef(name),
+    doc: (path) => docRef(path),
+
+    async runTransaction(fn) {
+      const ops = [];
+      const t = writer(ops, 500);
+      t.get = async (ref) => {
+        if (ops.length > 0) {
+          throw new Error("Firestore transactions require all reads " +
+            "to be executed before all writes");
+        }
+        return ref.get();
+      };
+      const result = await fn(t);
+      // Applied on a copy first so a failing write leaves nothing behind
+      const saved = new Map([...store].map(([k, v]) => [k, deepCopy(v)]));
+      try {
+        for (const op of ops) apply(op);
+      } catch (e) {
+        store.clear();
+        for (const [k, v] of saved) store.set(k, v);
+        throw e;
+      }
+      return result;
+    },
+
+    batch() {
+      const ops = [];
+      const b = writer(ops, 500);
+      b.commit = async () => {
+        for (const op of ops) apply(op);
+      };
+      return b;
+    },
+
+    dump: (path) =>
+      store.has(path) ? deepCopy(store.get(path)) : undefined,
+    seed: (path, data) => store.set(path, resolve(data, undefined, now())),
+    paths: (prefix = "") =>
+      [...store.keys()].filter((p) => p.startsWith(prefix)).sort(),
+  };
+}
+
+module.exports = {
+  Timestamp,
+  fakeAdmin,
+  createFakeFirestore,
+};
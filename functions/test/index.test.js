@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {event, eventEntry} = require("../index");
+
+// Calls an HTTPS function and resolves with {status, body} once it answers.
+// Only requests that fail before any Firestore access are used here.
+async function call(fn, {method = "POST", path = "/", body} = {}) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      return res;
+    },
+  };
+  await fn({method, path, body, headers: {}, get: () => undefined}, res);
+  return {status: res.statusCode, body: res.body};
+}
+
+test("event routes /batch to the batch handler", async () => {
+  const notPost = await call(event, {method: "GET", path: "/batch"});
+  assert.equal(notPost.status, 405);
+
+  const noEvents = await call(event, {
+    path: "/batch",
+    body: {lotId: "lot_1", sensorId: "s1"},
+  });
+  assert.equal(noEvents.status, 400);
+  assert.match(noEvents.body.error, /events/);
+});
+
+test("sensor endpoints reject other subpaths", async () => {
+  for (const path of ["/exit", "/batch/1", "/batch/"]) {
+    const res = await call(event, {path});
+    assert.equal(res.status, 404, path);
+  }
+  assert.equal((await call(eventEntry, {path: "/batch"})).status, 404);
+});